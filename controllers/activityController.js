@@ -1,4 +1,5 @@
 const Activity = require('../models/Activity');
+const EmailAction = require('../models/EmailAction');
 const logger = require('../utils/logger');
 
 // Get user's activity logs
@@ -165,9 +166,13 @@ exports.getActivityStats = async (req, res) => {
       }
     ]);
 
+    // Lifetime, not limited to the period
+    const storageFreed = await EmailAction.getStorageFreed(userId);
+
     res.json({
       success: true,
       stats,
+      storageFreed,
       period: { days: parseInt(days), startDate }
     });
 
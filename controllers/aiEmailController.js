@@ -1,31 +1,6 @@
-const gmailService = require('../services/gmailService');
 const logger = require('../utils/logger');
-
-// ─────────────────────────────────────────────
-// Helper: Call Groq API
-// ─────────────────────────────────────────────
-const callGroq = async (systemPrompt, userPrompt) => {
-  const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${process.env.GROQ_API_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      model: 'llama-3.3-70b-versatile',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      temperature: 0.7,
-      max_tokens: 800
-    })
-  });
-
-  const data = await response.json();
-  if (!response.ok) throw new Error(data.error?.message || 'Groq API error');
-  return data.choices[0].message.content;
-};
+const { callGroq } = require('../utils/groq');
+const jobQueue = require('../services/jobQueue');
 
 // ─────────────────────────────────────────────
 // Generate email from prompt
@@ -142,108 +117,22 @@ const broadcastEmails = async (req, res) => {
 
     const toneGuide = toneGuides[tone] || toneGuides.professional;
 
-    // ── Step 1: Generate personalized email for each recipient ──
-    console.log(`🧠 Personalizing emails for ${recipients.length} recipients...`);
-
-    const personalizedEmails = [];
-
-    for (const recipient of recipients) {
-      const { email, name, context: recipientContext } = recipient;
-
-      const recipientName = name || email.split('@')[0];
-
-      const systemPrompt = `You are an expert email writer. Write a ${toneGuide} email that feels genuinely personal to the recipient.
-Always output in this exact format:
-Subject: [subject here]
-[blank line]
-[email body here]
-
-Rules:
-- Address the recipient by name naturally
-- Keep it authentic, not template-like
-- Do not include placeholders like [Name] in the final output
-- Output ONLY the Subject line and email body. Nothing else.
-- Do NOT add any notes, explanations, or meta-commentary after the email.
-- End the email naturally with a sign-off. Do not add anything after it.
-- Never use placeholders like [platform], [industry], or [field]. Use actual specific details from the context provided, or write naturally without them.
-- For the sign-off, use "${req.user.name}" as the sender name.`;
-
-      const userPrompt = `Write a personalized email to ${recipientName} (${email}).
-${recipientContext ? `About this person: ${recipientContext}` : ''}
+    // Personalizing and sending runs on the job queue - poll /api/jobs/:id for progress
+    const job = await jobQueue.enqueue(req.user._id, 'ai.broadcast', {
+      recipients,
+      basePrompt,
+      toneGuide,
+      subject: manualSubject
+    });
 
-Base message/purpose: ${basePrompt}
+    console.log(`📤 [BROADCAST] Queued job ${job._id} for ${recipients.length} recipients`);
 
-Make it feel personal and genuine to ${recipientName}.`;
-
-      try {
-        const generated = await callGroq(systemPrompt, userPrompt);
-
-        const subjectMatch = generated.match(/Subject:\s*(.+?)(?:\n|$)/i);
-        const emailSubject = manualSubject || (subjectMatch ? subjectMatch[1].trim() : 'Hello');
-        const emailBody = generated.replace(/Subject:\s*.+?(?:\n|$)/i, '').trim();
-
-        personalizedEmails.push({
-          to: email,
-          subject: emailSubject,
-          body: emailBody,
-          recipientName
-        });
-
-        console.log(`✅ Personalized for ${email}`);
-      } catch (aiError) {
-        console.error(`❌ AI failed for ${email}:`, aiError.message);
-        // Skip failed personalization — don't send a blank email
-        personalizedEmails.push({
-          to: email,
-          subject: null,
-          body: null,
-          error: aiError.message,
-          recipientName
-        });
-      }
-    }
-
-    // ── Step 2: Filter out any AI failures ──
-    const readyToSend = personalizedEmails.filter(e => e.subject && e.body);
-    const aiFailures = personalizedEmails.filter(e => !e.subject || !e.body);
-
-    if (readyToSend.length === 0) {
-      return res.status(500).json({
-        success: false,
-        error: 'AI failed to generate any emails. Please try again.'
-      });
-    }
-
-    // ── Step 3: Send via Gmail ──
-    console.log(`📨 Sending ${readyToSend.length} emails via Gmail...`);
-
-    const broadcastResult = await gmailService.sendBroadcast(
-  req.user.googleTokens,
-  readyToSend
-);
-
-    // ── Step 4: Build response ──
-    const response = {
+    res.status(202).json({
       success: true,
-      summary: {
-        total: recipients.length,
-        aiPersonalized: readyToSend.length,
-        sent: broadcastResult.sent,
-        failed: broadcastResult.failed + aiFailures.length,
-        aiFailed: aiFailures.length
-      },
-      results: [
-        ...broadcastResult.results,
-        ...aiFailures.map(f => ({
-          success: false,
-          to: f.to,
-          error: `AI personalization failed: ${f.error}`
-        }))
-      ]
-    };
-
-    console.log(`✅ [BROADCAST] Done: ${broadcastResult.sent} sent, ${response.summary.failed} failed`);
-    res.json(response);
+      message: `Broadcast to ${recipients.length} recipient(s) queued`,
+      jobId: job._id,
+      job: job.toStatus()
+    });
 
   } catch (error) {
     console.error('❌ Broadcast error:', error);
@@ -6,6 +6,7 @@ const aiService = require('../services/aiService');
 const emailNotificationService = require('../services/emailNotificationService');
 const logger = require('../utils/logger');
 const { google } = require('googleapis');
+const crypto = require('crypto');
 
 // ==========================================
 // ✅ HELPER FUNCTION - CREATE GMAIL CLIENT
@@ -207,8 +208,19 @@ exports.executeCleanup = async (req, res) => {
     });
 
     let executed = 0;
+    let bytesFreed = 0;
     const learningData = [];
 
+    // ✅ Snapshot labels first so archive/delete can be undone, and sizes for the summary
+    const undoable = actions.filter(a => a.action === 'archive' || a.action === 'delete');
+    const gmail = await gmailService.getGmailClient(user.googleTokens);
+    const { snapshot, sizes } = await gmailService.getMessageState(
+      gmail,
+      actions.filter(a => a.action !== 'keep').map(a => a.emailId)
+    );
+    const batchId = undoable.length > 0 ? crypto.randomUUID() : null;
+    const undoExpiresAt = EmailAction.getUndoExpiry();
+
     for (const action of actions) {
       try {
         await gmailService.executeAction(user.googleTokens, action.emailId, action.action);
@@ -216,6 +228,14 @@ exports.executeCleanup = async (req, res) => {
         action.executed = true;
         action.executedAt = new Date();
         action.userApproved = true;
+        action.sizeEstimate = sizes[action.emailId] || 0;
+        if (action.action === 'delete') bytesFreed += action.sizeEstimate;
+        if (undoable.includes(action) && snapshot[action.emailId]) {
+          action.batchId = batchId;
+          action.source = 'cleanup';
+          action.previousLabels = snapshot[action.emailId];
+          action.undoExpiresAt = undoExpiresAt;
+        }
         await action.save();
         
         learningData.push({
@@ -252,7 +272,7 @@ exports.executeCleanup = async (req, res) => {
     await emailNotificationService.sendCleanupSummary(user.email, {
       analyzed: actions.length,
       cleaned: executed,
-      spaceSaved: `${(executed * 0.1).toFixed(1)} MB`
+      spaceSaved: `${(bytesFreed / (1024 * 1024)).toFixed(1)} MB`
     });
 
     res.json({
@@ -260,6 +280,9 @@ exports.executeCleanup = async (req, res) => {
       executed,
       failed: actions.length - executed,
       learned: learningData.length,
+      bytesFreed,
+      batchId,
+      undoExpiresAt: batchId ? undoExpiresAt : null,
       quotaRemaining: user.subscriptionTier === 'free' 
         ? user.emailQuotaLimit - user.emailQuotaUsed 
         : 'unlimited'
@@ -1,4 +1,7 @@
 const planningService = require('../services/planningService');
+const recurrenceService = require('../services/recurrenceService');
+const emailTaskService = require('../services/emailTaskService');
+const { isReauthError, sendReauthError } = require('../services/gmailClientFactory');
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
 
@@ -63,7 +66,10 @@ const planningController = {
         estimatedDuration,
         deadline,
         category,
-        tags
+        tags,
+        isRecurring,
+        recurrencePattern,
+        recurrence
       } = req.body;
       
       if (!title) {
@@ -73,7 +79,20 @@ const planningController = {
         });
       }
       
-      const task = await Task.create({
+      // Recurring: { isRecurring: true, recurrencePattern, recurrence: { interval, weekdaysOnly, daysOfWeek, nthWeekday, endDate } }
+      let rule = null;
+      if (isRecurring || (recurrencePattern && recurrencePattern !== 'none')) {
+        const parsed = recurrenceService.parseRule({ isRecurring, recurrencePattern, recurrence });
+        if (parsed.error) {
+          return res.status(400).json({
+            success: false,
+            message: parsed.error
+          });
+        }
+        rule = parsed.rule;
+      }
+      
+      let task = await Task.create({
         userId,
         title,
         description,
@@ -81,9 +100,14 @@ const planningController = {
         estimatedDuration: estimatedDuration || 60,
         deadline: deadline ? new Date(deadline) : null,
         category: category || 'General',
-        tags: tags || []
+        tags: tags || [],
+        ...rule
       });
       
+      if (task.isRecurring) {
+        task = await recurrenceService.startSeries(task);
+      }
+      
       logger.info(`✅ Created task: ${title}`);
       
       res.status(201).json({
@@ -101,17 +125,85 @@ const planningController = {
     }
   },
 
+  /**
+   * Create a task from an email (action items, deadline, priority and duration
+   * are inferred; body fields title/priority/estimatedDuration/deadline/category override them)
+   */
+  createTaskFromEmail: async (req, res) => {
+    try {
+      const { emailId } = req.params;
+      
+      const result = await emailTaskService.createFromEmail(req.user, req.accountTokens, emailId, {
+        accountId: req.account?._id || null,
+        overrides: req.body || {}
+      });
+      
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email not found'
+        });
+      }
+      
+      res.status(result.created ? 201 : 200).json({
+        success: true,
+        created: result.created,
+        task: result.task
+      });
+      
+    } catch (error) {
+      logger.error('Create task from email error:', error);
+      if (isReauthError(error)) return sendReauthError(res, error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create task from email',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Run the automatic email-to-task scan now (login mailbox)
+   */
+  scanEmailsForTasks: async (req, res) => {
+    try {
+      if (!req.user.googleTokens) {
+        return res.status(400).json({
+          success: false,
+          message: 'Gmail is not connected'
+        });
+      }
+      
+      const result = await emailTaskService.scanForUser(req.user);
+      
+      res.json({
+        success: true,
+        ...result
+      });
+      
+    } catch (error) {
+      logger.error('Email task scan error:', error);
+      if (isReauthError(error)) return sendReauthError(res, error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to scan emails for tasks',
+        error: error.message
+      });
+    }
+  },
+
   /**
    * Get all tasks
    */
   getTasks: async (req, res) => {
     try {
       const userId = req.user._id;
-      const { status, category } = req.query;
+      const { status, category, seriesId } = req.query;
       
       const query = { userId };
       if (status) query.status = status;
       if (category) query.category = category;
+      if (seriesId) query.seriesId = seriesId;
       
       const tasks = await Task.find(query).sort({ createdAt: -1 });
       
@@ -132,6 +224,8 @@ const planningController = {
 
   /**
    * Update task
+   * ?scope=series edits this and the following occurrences of a recurring task
+   * (default: this occurrence only)
    */
   updateTask: async (req, res) => {
     try {
@@ -147,12 +241,18 @@ const planningController = {
         });
       }
       
-      Object.assign(task, updates);
-      await task.save();
+      const result = await recurrenceService.updateTask(task, updates, req.query.scope);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
       
       res.json({
         success: true,
-        task
+        task: result.task,
+        updated: result.updated
       });
       
     } catch (error) {
@@ -167,13 +267,15 @@ const planningController = {
 
   /**
    * Delete task
+   * ?scope=series deletes this and the following occurrences of a recurring task
+   * (default: only this occurrence is cancelled)
    */
   deleteTask: async (req, res) => {
     try {
       const userId = req.user._id;
       const { taskId } = req.params;
       
-      const task = await Task.findOneAndDelete({ _id: taskId, userId });
+      const task = await Task.findOne({ _id: taskId, userId });
       if (!task) {
         return res.status(404).json({
           success: false,
@@ -181,9 +283,11 @@ const planningController = {
         });
       }
       
+      const removed = await recurrenceService.deleteTask(task, req.query.scope);
+      
       res.json({
         success: true,
-        message: 'Task deleted'
+        message: removed > 1 ? `${removed} tasks deleted` : 'Task deleted'
       });
       
     } catch (error) {
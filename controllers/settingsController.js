@@ -2,9 +2,16 @@ const User = require('../models/User');
 const UserPreferences = require('../models/UserPreferences');
 const ConnectedAccount = require('../models/ConnectedAccount');
 const Subscription = require('../models/Subscription');
+const Email = require('../models/Email');
 const logger = require('../utils/logger');
+const { isPublicHost } = require('../utils/network');
 const gmailService = require('../services/gmailService'); // ✅ ADD THIS!
 const emailNotificationService = require('../services/emailNotificationService');
+const emailRulesService = require('../services/emailRulesService');
+const gmailPushService = require('../services/gmailPushService');
+const accountSyncService = require('../services/accountSyncService');
+const imapService = require('../services/imapService');
+const { DEFAULT_SAFETY_RULES, IMPORTANCE_KEYWORDS } = require('../services/scoringRules/safety');
 const PDFDocument = require('pdfkit');
 const archiver = require('archiver');
 const mongoose = require('mongoose');
@@ -113,6 +120,9 @@ exports.getConnectedAccounts = async (req, res) => {
       isPrimary: acc.isPrimary,
       status: acc.status,
       lastSync: acc.lastSync,
+      syncStatus: acc.syncStatus,
+      syncError: acc.syncError?.message || null,
+      emailsSynced: acc.emailsSynced || 0,
       emailsProcessed: acc.emailsProcessed || 0,
       permissions: acc.permissions || ['read', 'send', 'modify']
     }));
@@ -130,6 +140,112 @@ exports.getConnectedAccounts = async (req, res) => {
   }
 };
 
+// Connect a Yahoo or other IMAP mailbox with an app password
+// Body: { email, appPassword, provider: 'yahoo' | 'imap', username?, imap?, smtp? }
+// imap/smtp ({ host, port, secure }) are required for 'imap', preset for 'yahoo'
+exports.connectImapAccount = async (req, res) => {
+  try {
+    const { email, appPassword, provider = 'imap', username } = req.body;
+
+    if (!email || !appPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and app password are required'
+      });
+    }
+    if (!['yahoo', 'imap'].includes(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provider must be yahoo or imap'
+      });
+    }
+
+    const preset = imapService.PRESETS[provider] || {};
+    const imap = { ...preset.imap, ...req.body.imap };
+    const smtp = { ...preset.smtp, ...req.body.smtp };
+
+    const validServer = (server) => server.host && Number.isInteger(Number(server.port))
+      && Number(server.port) > 0 && Number(server.port) < 65536;
+    if (!validServer(imap) || !validServer(smtp)) {
+      return res.status(400).json({
+        success: false,
+        message: 'IMAP and SMTP host and port are required'
+      });
+    }
+    imap.port = Number(imap.port);
+    smtp.port = Number(smtp.port);
+    imap.secure = imap.secure !== undefined ? !!imap.secure : imap.port === 993;
+    smtp.secure = smtp.secure !== undefined ? !!smtp.secure : smtp.port === 465;
+
+    // The server connects to these hosts - keep it off internal addresses
+    if (!(await isPublicHost(imap.host)) || !(await isPublicHost(smtp.host))) {
+      return res.status(400).json({
+        success: false,
+        message: 'IMAP and SMTP hosts must be public mail servers'
+      });
+    }
+
+    const existingAccount = await ConnectedAccount.findOne({ userId: req.user._id, email });
+    if (existingAccount) {
+      return res.status(409).json({
+        success: false,
+        message: 'This account is already connected'
+      });
+    }
+
+    // Log in to both servers before saving anything
+    try {
+      await imapService.verify({ user: username || email, pass: appPassword, imap, smtp });
+    } catch (error) {
+      logger.warn(`IMAP connect failed for ${email}: ${error.message}`);
+      return res.status(400).json({
+        success: false,
+        message: error.needsReauth
+          ? 'The mail server rejected the email or app password'
+          : 'Could not reach the mail server - check the host, port and security settings'
+      });
+    }
+
+    const account = await ConnectedAccount.create({
+      userId: req.user._id,
+      provider,
+      email,
+      appPassword,
+      imap: { ...imap, username: username || undefined },
+      smtp,
+      isPrimary: false,
+      status: 'connected',
+      permissions: ['read', 'send', 'modify', 'delete'],
+      settings: {
+        autoSync: false, // Sync is Gmail-only for now
+        syncInterval: 300000,
+        syncLabels: true,
+        syncAttachments: false
+      }
+    });
+
+    logger.info(`User ${req.user.email} connected ${provider} account ${email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account connected successfully',
+      account: {
+        id: account._id,
+        email: account.email,
+        provider: account.provider,
+        isPrimary: account.isPrimary,
+        status: account.status
+      }
+    });
+  } catch (error) {
+    logger.error('Error connecting IMAP account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to connect account'
+    });
+  }
+};
+
 exports.disconnectAccount = async (req, res) => {
   try {
     const { accountId } = req.params;
@@ -203,11 +319,6 @@ exports.updateAccountSettings = async (req, res) => {
   }
 };
 
-// Add this to controllers/settingsController.js
-// Replace the syncAccount function
-
-
-
 exports.syncAccount = async (req, res) => {
   try {
     const { accountId } = req.params;
@@ -224,6 +335,13 @@ exports.syncAccount = async (req, res) => {
       });
     }
 
+    if (account.provider !== 'gmail') {
+      return res.status(400).json({
+        success: false,
+        message: 'Sync is only available for Gmail accounts'
+      });
+    }
+
     // Check if account has valid tokens
     if (!account.accessToken || !account.refreshToken) {
       return res.status(400).json({
@@ -232,13 +350,9 @@ exports.syncAccount = async (req, res) => {
       });
     }
 
-    // Update sync status
-    account.syncStatus = 'syncing';
-    account.lastSyncAttempt = new Date();
-    await account.save();
-
-    // Trigger email sync in background
-    syncEmailsInBackground(account, req.user._id);
+    // Trigger email sync in background (incremental from the stored historyId)
+    accountSyncService.syncAccount(account, { trigger: 'manual' })
+      .catch(error => logger.error(`Background sync failed for ${account.email}:`, error));
 
     res.json({
       success: true,
@@ -255,85 +369,74 @@ exports.syncAccount = async (req, res) => {
   }
 };
 
-// Background sync function
-async function syncEmailsInBackground(account, userId) {
+// Start Gmail push notifications for an account
+exports.watchAccount = async (req, res) => {
   try {
-    logger.info(`Starting sync for account ${account.email}`);
-    
-    // Use Gmail API to fetch emails
-    const emails = await gmailService.fetchEmails(account.accessToken, {
-      maxResults: 100,
-      q: `after:${Math.floor(account.lastSync?.getTime() / 1000) || 0}`
-    });
-
-    logger.info(`Fetched ${emails.length} new emails for ${account.email}`);
-
-    // Process each email - TEMPORARILY DISABLED (no Email model)
-// for (const email of emails) {
-//   await processEmail(email, userId, account._id);
-// }
-logger.info(`Fetched ${emails.length} emails (saving disabled - no Email model)`);
-    // Update account sync status
-    account.syncStatus = 'idle';  // ✅ TAMA
-    account.lastSync = new Date();
-    account.emailsProcessed = (account.emailsProcessed || 0) + emails.length;
-    await account.save();
-
-    logger.info(`Sync completed for account ${account.email}`);
-
-    // Notification service - TEMPORARILY DISABLED
-// await emailNotificationService.sendSyncCompleteNotification(userId, {
-//   accountEmail: account.email,
-//   emailsProcessed: emails.length
-// });
+    const account = await ConnectedAccount.findOne({
+      _id: req.params.accountId,
+      userId: req.user._id
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    if (account.provider !== 'gmail') {
+      return res.status(400).json({
+        success: false,
+        message: 'Push notifications are only available for Gmail accounts'
+      });
+    }
+
+    const watch = await gmailPushService.watchAccount(account);
+
+    res.json({
+      success: true,
+      message: 'Push notifications enabled',
+      watch
+    });
   } catch (error) {
-    logger.error(`Sync failed for account ${account.email}:`, error);
-    
-    // Update account with error status
-    account.syncStatus = 'error';  // ✅ TAMA - 'error' is allowed
-    account.lastSyncError = error.message;
-    await account.save();
+    logger.error('Error starting Gmail watch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable push notifications'
+    });
   }
-}
+};
 
-// Helper function to process individual emails
-async function processEmail(emailData, userId, accountId) {
-  const Email = require('../models/Email'); // Assuming you have this model
-  
+// Stop Gmail push notifications for an account
+exports.unwatchAccount = async (req, res) => {
   try {
-    // Check if email already exists
-    const existingEmail = await Email.findOne({
-      messageId: emailData.id,
-      userId: userId
+    const account = await ConnectedAccount.findOne({
+      _id: req.params.accountId,
+      userId: req.user._id
     });
 
-    if (existingEmail) {
-      return; // Skip duplicates
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
     }
 
-    // Create new email record
-    const newEmail = new Email({
-      userId: userId,
-      accountId: accountId,
-      messageId: emailData.id,
-      threadId: emailData.threadId,
-      subject: emailData.subject,
-      from: emailData.from,
-      to: emailData.to,
-      body: emailData.snippet,
-      fullBody: emailData.body,
-      date: new Date(emailData.internalDate),
-      labels: emailData.labelIds,
-      isRead: !emailData.labelIds.includes('UNREAD'),
-      isStarred: emailData.labelIds.includes('STARRED'),
-      isImportant: emailData.labelIds.includes('IMPORTANT')
-    });
-
-    await newEmail.save();
+    const watch = await gmailPushService.unwatchAccount(account);
+
+    res.json({
+      success: true,
+      message: 'Push notifications disabled',
+      watch
+    });
   } catch (error) {
-    logger.error('Error processing email:', error);
+    logger.error('Error stopping Gmail watch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable push notifications'
+    });
   }
-}
+};
 
 // ==================== SUBSCRIPTION (UPDATED) ====================
 exports.getCurrentSubscription = async (req, res) => {
@@ -925,7 +1028,11 @@ exports.createEmailRule = async (req, res) => {
   try {
     const { rule } = req.body;
     
-    const preferences = await UserPreferences.findOne({ userId: req.user._id });
+    let preferences = await UserPreferences.findOne({ userId: req.user._id });
+    
+    if (!preferences) {
+      preferences = new UserPreferences({ userId: req.user._id, ...getDefaultPreferences() });
+    }
     
     if (!preferences.emailRules) {
       preferences.emailRules = [];
@@ -937,9 +1044,15 @@ exports.createEmailRule = async (req, res) => {
     res.json({
       success: true,
       message: 'Email rule created',
-      rule
+      rule: preferences.emailRules[preferences.emailRules.length - 1]
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     logger.error('Error creating email rule:', error);
     res.status(500).json({
       success: false,
@@ -964,7 +1077,9 @@ exports.updateEmailRule = async (req, res) => {
       });
     }
     
-    preferences.emailRules[ruleIndex] = { ...preferences.emailRules[ruleIndex], ...rule };
+    // Hit counters are maintained by the rules engine
+    const { hitCount, lastTriggeredAt, ...changes } = rule;
+    preferences.emailRules[ruleIndex].set(changes);
     await preferences.save();
 
     res.json({
@@ -972,6 +1087,12 @@ exports.updateEmailRule = async (req, res) => {
       message: 'Email rule updated'
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     logger.error('Error updating email rule:', error);
     res.status(500).json({
       success: false,
@@ -1002,6 +1123,118 @@ exports.deleteEmailRule = async (req, res) => {
   }
 };
 
+// Run email rules now against mail received since the last run
+exports.runEmailRules = async (req, res) => {
+  try {
+    const { ruleId } = req.body || {};
+    const user = await User.findById(req.user._id);
+
+    if (!user?.googleTokens) {
+      return res.status(400).json({
+        success: false,
+        message: 'Gmail account not connected'
+      });
+    }
+
+    const { emailsChecked, results } = await emailRulesService.runForUser(user, {
+      trigger: 'manual',
+      ruleId,
+      req
+    });
+
+    res.json({
+      success: true,
+      emailsChecked,
+      results
+    });
+  } catch (error) {
+    logger.error('Error running email rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run email rules'
+    });
+  }
+};
+
+// ==================== SAFETY RULES ====================
+exports.getSafetyRules = async (req, res) => {
+  try {
+    const preferences = await UserPreferences.findOne({ userId: req.user._id });
+    
+    res.json({
+      success: true,
+      safetyRules: { ...DEFAULT_SAFETY_RULES, ...(preferences?.toObject().safetyRules || {}) },
+      importantKeywords: preferences?.importantKeywords || [],
+      neverArchive: preferences?.neverArchive || [],
+      defaultKeywords: IMPORTANCE_KEYWORDS
+    });
+  } catch (error) {
+    logger.error('Error fetching safety rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch safety rules'
+    });
+  }
+};
+
+exports.updateSafetyRules = async (req, res) => {
+  try {
+    const { safetyRules, importantKeywords, neverArchive } = req.body;
+    
+    const cleanList = (list) => [...new Set(
+      list.filter(item => typeof item === 'string')
+        .map(item => item.trim().toLowerCase())
+        .filter(Boolean)
+    )];
+    
+    if ((importantKeywords && !Array.isArray(importantKeywords)) ||
+        (neverArchive && !Array.isArray(neverArchive))) {
+      return res.status(400).json({
+        success: false,
+        message: 'importantKeywords and neverArchive must be arrays'
+      });
+    }
+    
+    let preferences = await UserPreferences.findOne({ userId: req.user._id });
+    
+    if (!preferences) {
+      preferences = new UserPreferences({ userId: req.user._id });
+    }
+    
+    if (safetyRules) {
+      Object.keys(DEFAULT_SAFETY_RULES).forEach(key => {
+        if (safetyRules[key] !== undefined) {
+          preferences.safetyRules[key] = safetyRules[key];
+        }
+      });
+    }
+    if (importantKeywords) {
+      preferences.importantKeywords = cleanList(importantKeywords);
+    }
+    if (neverArchive) {
+      preferences.neverArchive = cleanList(neverArchive);
+    }
+    
+    await preferences.save();
+
+    logger.info(`User ${req.user.email} updated safety rules`);
+
+    res.json({
+      success: true,
+      message: 'Safety rules updated',
+      safetyRules: preferences.safetyRules,
+      importantKeywords: preferences.importantKeywords,
+      neverArchive: preferences.neverArchive
+    });
+  } catch (error) {
+    logger.error('Error updating safety rules:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Failed to update safety rules'
+    });
+  }
+};
+
 // ==================== DATA EXPORT ====================
 // Add this to controllers/settingsController.js
 // Replace exportUserData, getExportHistory, and downloadExport functions
@@ -1023,12 +1256,11 @@ exports.exportUserData = async (req, res) => {
 
     // Fetch all user data
     const [user, preferences, accounts, subscription, emails] = await Promise.all([
-      User.findById(userId).select('-password').lean(),
+      User.findById(userId).select('-password -refreshToken -googleTokens').lean(),
       UserPreferences.findOne({ userId }).lean(),
-      ConnectedAccount.find({ userId }).select('-accessToken -refreshToken').lean(),
+      ConnectedAccount.find({ userId }).select('-accessToken -refreshToken -appPassword').lean(),
       Subscription.findOne({ userId }).lean(),
-      // Assuming you have an Email model
-      mongoose.model('Email').find({ userId }).limit(10000).lean()
+      Email.find({ userId }).select('-__v').sort({ date: -1 }).limit(10000).lean()
     ]);
 
     // Create export metadata
@@ -1382,8 +1614,6 @@ exports.deleteAccount = async (req, res) => {
       deletionResults.preferences = true;
 
       // 5. Delete or anonymize emails (depending on your data retention policy)
-      const Email = mongoose.model('Email');
-      
       // Option A: Delete all emails
       await Email.deleteMany({ userId });
       
@@ -1577,6 +1807,7 @@ function getDefaultPreferences() {
     priorityEmailsOnly: false,
     digestFrequency: 'daily',
     soundEnabled: true,
+    quietHours: { enabled: false, start: '22:00', end: '07:00' },
     autoArchiveRead: false,
     autoArchiveDays: 30,
     smartCategorization: true,
@@ -1592,6 +1823,12 @@ function getDefaultPreferences() {
     language: 'en',
     timezone: 'Asia/Manila',
     dateFormat: 'MM/DD/YYYY',
-    timeFormat: '12h'
+    timeFormat: '12h',
+    autoFollowUps: false,
+    followUpAfterDays: 3,
+    followUpReminders: 'instant',
+    followUpDigestHour: 8,
+    autoEmailTasks: false,
+    safetyRules: { ...DEFAULT_SAFETY_RULES }
   };
 }
\ No newline at end of file
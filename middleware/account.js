@@ -0,0 +1,67 @@
+// middleware/account.js
+const mongoose = require('mongoose');
+const ConnectedAccount = require('../models/ConnectedAccount');
+const { getProvider } = require('../services/mailProviders');
+
+// accountId can come from the query string, the JSON body or a header
+const getRequestedAccountId = (req) =>
+  req.query.accountId || req.body?.accountId || req.get('X-Account-Id') || null;
+
+/**
+ * ✅ Select the mailbox a request acts on
+ * - No accountId: the user's own Google login (req.user.googleTokens)
+ * - accountId: that ConnectedAccount, which must belong to the user
+ * Sets req.account (null for the login mailbox), req.accountTokens and
+ * req.mailProvider (see services/mailProviders.js).
+ * Run after protect.
+ */
+exports.resolveAccount = async (req, res, next) => {
+  try {
+    const accountId = getRequestedAccountId(req);
+
+    if (!accountId) {
+      req.account = null;
+      req.accountTokens = req.user?.googleTokens || null;
+      req.mailProvider = getProvider('gmail');
+      return next();
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(accountId)) {
+      return res.status(400).json({ success: false, error: 'Invalid accountId' });
+    }
+
+    const account = await ConnectedAccount.findOne({ _id: accountId, userId: req.user._id });
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'Connected account not found' });
+    }
+    const provider = getProvider(account.provider);
+    if (!provider) {
+      return res.status(400).json({
+        success: false,
+        error: `${account.provider} accounts are not supported yet`
+      });
+    }
+
+    req.account = account;
+    req.accountTokens = account.getTokens();
+    req.mailProvider = provider;
+    next();
+  } catch (error) {
+    console.error('❌ Account resolve error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * ✅ For routes that still talk to the Gmail API directly
+ * Run after resolveAccount.
+ */
+exports.requireGmail = (req, res, next) => {
+  if (req.mailProvider?.name !== 'gmail') {
+    return res.status(400).json({
+      success: false,
+      error: `Not supported for ${req.account?.provider || 'this'} accounts yet`
+    });
+  }
+  next();
+};
@@ -0,0 +1,116 @@
+// migrate-encrypt-tokens.js
+// Encrypts stored OAuth tokens / app passwords with TOKEN_ENCRYPTION_KEY and
+// fills in the refresh token lookup hashes (hashes only when no key is set).
+// Safe to re-run.
+//
+// Key rotation: set the new key as TOKEN_ENCRYPTION_KEY, move the old one to
+// TOKEN_ENCRYPTION_OLD_KEYS, run this, then drop the old key.
+//
+// Usage: node migrate-encrypt-tokens.js [--dry-run]
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('./models/User');
+const ConnectedAccount = require('./models/ConnectedAccount');
+const { encrypt, decrypt, needsReencrypt, hashToken } = require('./utils/tokenCrypto');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+/**
+ * Re-encrypt `fields` of every document in the model's collection.
+ * Reads the raw collection so values come back exactly as stored.
+ * `hashes` maps a refresh token field to its lookup hash field.
+ */
+async function migrateCollection(Model, label, fields, hashes) {
+  const stats = { total: 0, updated: 0, upToDate: 0, errors: 0 };
+  const cursor = Model.collection.find({}, { projection: Object.fromEntries([...fields, ...Object.values(hashes)].map(f => [f, 1])) });
+
+  for await (const doc of cursor) {
+    stats.total++;
+    const $set = {};
+    let failed = false;
+
+    for (const field of fields) {
+      const stored = getPath(doc, field);
+      if (!needsReencrypt(stored)) continue;
+
+      const plain = decrypt(stored);
+      if (plain === null) {
+        console.error(`❌ ${label} ${doc._id}: can't decrypt ${field} (unknown key?)`);
+        failed = true;
+        continue;
+      }
+      $set[field] = encrypt(plain);
+    }
+
+    for (const [field, hashField] of Object.entries(hashes)) {
+      const stored = getPath(doc, field);
+      const hash = stored ? hashToken(stored) : undefined;
+      if (hash && getPath(doc, hashField) !== hash) $set[hashField] = hash;
+    }
+
+    if (failed) stats.errors++;
+    if (Object.keys($set).length === 0) {
+      if (!failed) stats.upToDate++;
+      continue;
+    }
+
+    if (!dryRun) {
+      // Raw update - the values are already encrypted, skip Mongoose setters
+      await Model.collection.updateOne({ _id: doc._id }, { $set });
+    }
+    console.log(`${dryRun ? '🔎 Would update' : '🔐 Updated'} ${label} ${doc._id}: ${Object.keys($set).join(', ')}`);
+    stats.updated++;
+  }
+
+  return stats;
+}
+
+async function migrateTokens() {
+  try {
+    console.log(`🚀 Starting token encryption migration${dryRun ? ' (dry run)' : ''}...\n`);
+
+    // Without a key nothing is encrypted, but the lookup hashes still get filled in
+    if (!process.env.TOKEN_ENCRYPTION_KEY) {
+      console.warn('⚠️ TOKEN_ENCRYPTION_KEY is not set - only filling in refresh token hashes');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const users = await migrateCollection(
+      User,
+      'user',
+      ['refreshToken', 'googleTokens.access_token', 'googleTokens.refresh_token'],
+      { 'googleTokens.refresh_token': 'googleTokens.refresh_token_hash' }
+    );
+    const accounts = await migrateCollection(
+      ConnectedAccount,
+      'account',
+      ['accessToken', 'refreshToken', 'appPassword'],
+      { refreshToken: 'refreshTokenHash' }
+    );
+
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 Migration Summary:');
+    console.log('='.repeat(50));
+    for (const [label, stats] of [['Users', users], ['Connected accounts', accounts]]) {
+      console.log(`${label}: ${stats.total} total, ${stats.updated} ${dryRun ? 'to update' : 'updated'}, ${stats.upToDate} up to date, ${stats.errors} errors`);
+    }
+    console.log('='.repeat(50) + '\n');
+
+    await mongoose.connection.close();
+    console.log('✅ Migration complete! Database connection closed.\n');
+
+    process.exit(users.errors + accounts.errors > 0 ? 1 : 0);
+
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run migration
+migrateTokens();
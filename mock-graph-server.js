@@ -0,0 +1,158 @@
+// Local stand-in for the Microsoft Graph mail API - just enough of it for
+// services/outlookService.js, so the Outlook adapter can be tested offline.
+//
+// Usage: node mock-graph-server.js [port]
+// Then run the API with:
+//   MS_GRAPH_BASE_URL=http://localhost:4010/v1.0
+//   MS_TOKEN_URL=http://localhost:4010/token
+// and give the Outlook ConnectedAccount accessToken "mock-access-token",
+// refreshToken "mock-refresh-token".
+const express = require('express');
+const crypto = require('crypto');
+
+const port = parseInt(process.argv[2]) || 4010;
+const baseUrl = `http://localhost:${port}/v1.0`;
+
+let accessToken = 'mock-access-token';
+let refreshToken = 'mock-refresh-token';
+
+const folders = ['inbox', 'archive', 'deleteditems', 'sentitems'];
+const categories = [{ id: crypto.randomUUID(), displayName: 'Receipts', color: 'preset1' }];
+
+// 25 inbox messages, newest first
+const messages = Array.from({ length: 25 }, (_, i) => ({
+  id: `msg-${i + 1}`,
+  conversationId: `conv-${Math.ceil((i + 1) / 2)}`,
+  from: { emailAddress: { name: `Sender ${i % 5}`, address: `sender${i % 5}@example.com` } },
+  subject: `Test message ${i + 1}`,
+  receivedDateTime: new Date(Date.now() - i * 3600 * 1000).toISOString(),
+  bodyPreview: `Preview of message ${i + 1}`,
+  categories: [],
+  isRead: i % 3 === 0,
+  parentFolderId: 'inbox'
+}));
+const sent = [];
+
+const graphError = (res, status, code, message) =>
+  res.status(status).json({ error: { code, message } });
+
+// Keep only the fields asked for with $select
+const select = (message, fields) => {
+  if (!fields) return message;
+  return Object.fromEntries(fields.split(',').map(field => [field, message[field]]));
+};
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+app.use((req, res, next) => {
+  console.log(`${req.method} ${req.originalUrl}`);
+  next();
+});
+
+// OAuth token endpoint (refresh_token grant only)
+app.post('/token', (req, res) => {
+  if (req.body.grant_type !== 'refresh_token' || req.body.refresh_token !== refreshToken) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Refresh token is invalid' });
+  }
+  accessToken = `mock-access-${crypto.randomUUID()}`;
+  refreshToken = `mock-refresh-${crypto.randomUUID()}`;
+  res.json({ token_type: 'Bearer', access_token: accessToken, refresh_token: refreshToken, expires_in: 3600 });
+});
+
+// Test helper: expire the current access token to exercise refresh
+app.post('/expire', (req, res) => {
+  accessToken = `expired-${crypto.randomUUID()}`;
+  res.json({ ok: true });
+});
+
+const graph = express.Router();
+
+graph.use((req, res, next) => {
+  if (req.get('Authorization') !== `Bearer ${accessToken}`) {
+    return graphError(res, 401, 'InvalidAuthenticationToken', 'Access token has expired or is not yet valid.');
+  }
+  next();
+});
+
+graph.get('/me/mailFolders/:folder/messages', (req, res) => {
+  const top = Math.min(1000, parseInt(req.query.$top) || 10);
+  const skip = parseInt(req.query.$skip) || 0;
+  const inFolder = messages
+    .filter(message => message.parentFolderId === req.params.folder)
+    .sort((a, b) => new Date(b.receivedDateTime) - new Date(a.receivedDateTime));
+
+  const value = inFolder.slice(skip, skip + top).map(message => select(message, req.query.$select));
+  const body = { value };
+  if (skip + top < inFolder.length) {
+    const next = new URL(`${baseUrl}/me/mailFolders/${req.params.folder}/messages`);
+    next.searchParams.set('$top', top);
+    next.searchParams.set('$skip', skip + top);
+    if (req.query.$select) next.searchParams.set('$select', req.query.$select);
+    body['@odata.nextLink'] = next.toString();
+  }
+  res.json(body);
+});
+
+const findMessage = (req, res) => {
+  const message = messages.find(m => m.id === req.params.id);
+  if (!message) graphError(res, 404, 'ErrorItemNotFound', 'The specified object was not found in the store.');
+  return message;
+};
+
+graph.get('/me/messages/:id', (req, res) => {
+  const message = findMessage(req, res);
+  if (message) res.json(select(message, req.query.$select));
+});
+
+graph.patch('/me/messages/:id', (req, res) => {
+  const message = findMessage(req, res);
+  if (!message) return;
+  if (Array.isArray(req.body.categories)) message.categories = req.body.categories;
+  if (typeof req.body.isRead === 'boolean') message.isRead = req.body.isRead;
+  if (req.body.flag) message.flag = req.body.flag;
+  res.json(message);
+});
+
+graph.post('/me/messages/:id/move', (req, res) => {
+  const message = findMessage(req, res);
+  if (!message) return;
+  if (!folders.includes(req.body.destinationId)) {
+    return graphError(res, 400, 'ErrorInvalidIdMalformed', 'Id is malformed.');
+  }
+  message.parentFolderId = req.body.destinationId;
+  res.status(201).json(message);
+});
+
+graph.get('/me/outlook/masterCategories', (req, res) => {
+  res.json({ value: categories });
+});
+
+graph.post('/me/outlook/masterCategories', (req, res) => {
+  const { displayName, color } = req.body;
+  if (categories.some(category => category.displayName.toLowerCase() === String(displayName).toLowerCase())) {
+    return graphError(res, 409, 'ErrorDuplicateCategory', 'A category with that name already exists.');
+  }
+  const category = { id: crypto.randomUUID(), displayName, color: color || 'preset0' };
+  categories.push(category);
+  res.status(201).json(category);
+});
+
+graph.post('/me/sendMail', (req, res) => {
+  if (!req.body.message?.toRecipients?.length) {
+    return graphError(res, 400, 'ErrorInvalidRecipients', 'At least one recipient is required.');
+  }
+  sent.push(req.body.message);
+  res.status(202).end();
+});
+
+// Test helper: what has been sent so far
+app.get('/sent', (req, res) => res.json({ value: sent }));
+
+app.use('/v1.0', graph);
+
+app.listen(port, () => {
+  console.log(`📬 Mock Graph server on ${baseUrl}`);
+  console.log(`   token endpoint: http://localhost:${port}/token`);
+});
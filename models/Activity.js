@@ -30,6 +30,8 @@ const activitySchema = new mongoose.Schema({
       'email_processed',
       'email_archived',
       'email_deleted',
+      'email_snoozed',
+      'email_unsnoozed',
       
       // Cleanup
       'cleanup_performed',
@@ -59,6 +61,7 @@ const activitySchema = new mongoose.Schema({
       // ✅ NEW: Filters & AI
       'filter_created',
       'filter_updated',
+      'email_rule_applied',
       'ai_suggestion_accepted',
       'ai_suggestion_rejected',
       
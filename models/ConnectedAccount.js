@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { encryptedString, hashToken } = require('../utils/tokenCrypto');
 
 const connectedAccountSchema = new mongoose.Schema({
   userId: {
@@ -14,7 +15,7 @@ const connectedAccountSchema = new mongoose.Schema({
   },
   provider: {
     type: String,
-    enum: ['gmail', 'outlook', 'yahoo'],
+    enum: ['gmail', 'outlook', 'yahoo', 'imap'],
     required: true,
     default: 'gmail'
   },
@@ -31,16 +32,33 @@ const connectedAccountSchema = new mongoose.Schema({
   },
   
   // ==================== OAUTH TOKENS ====================
-  accessToken: {
-    type: String,
-    required: true
-  },
-  refreshToken: {
-    type: String
+  // Encrypted at rest (utils/tokenCrypto) - reading the field decrypts
+  accessToken: encryptedString({
+    required: function() {
+      return !this.usesAppPassword();
+    }
+  }),
+  refreshToken: encryptedString(),
+  refreshTokenHash: {
+    type: String // sha256 of the refresh token, for lookups (see persistTokens)
   },
   tokenExpiry: {
     type: Date
   },
+
+  // ==================== IMAP / SMTP (yahoo, imap) ====================
+  appPassword: encryptedString(), // Used instead of OAuth tokens
+  imap: {
+    host: String,
+    port: Number,
+    secure: Boolean,
+    username: String // Defaults to the email address
+  },
+  smtp: {
+    host: String,
+    port: Number,
+    secure: Boolean
+  },
   
   // ==================== PERMISSIONS ====================
   permissions: [{
@@ -65,6 +83,29 @@ const connectedAccountSchema = new mongoose.Schema({
     message: String,
     timestamp: Date
   },
+  historyId: {
+    type: String // Gmail history cursor - changes after this are not yet processed
+  },
+  syncStartedAt: {
+    type: Date // Lock for the running sync (push, cron and manual share the cursor)
+  },
+  // Email mirror: listings switch to it only once the whole inbox has been backfilled
+  mirrorComplete: {
+    type: Boolean,
+    default: false
+  },
+  mirrorPageToken: String, // Where the inbox backfill carries on next sync
+  mirrorBackfillStartedAt: Date,
+  
+  // ==================== PUSH (users.watch) ====================
+  watch: {
+    active: {
+      type: Boolean,
+      default: false
+    },
+    topicName: String,
+    expiration: Date // Gmail watches expire after 7 days
+  },
   
   // ==================== STATS ====================
   emailsProcessed: {
@@ -116,12 +157,33 @@ const connectedAccountSchema = new mongoose.Schema({
 connectedAccountSchema.index({ userId: 1 });
 connectedAccountSchema.index({ email: 1 });
 connectedAccountSchema.index({ userId: 1, isPrimary: 1 });
+connectedAccountSchema.index({ 'settings.autoSync': 1, lastSync: 1 });
+connectedAccountSchema.index({ refreshTokenHash: 1 });
+
+// Keep refreshTokenHash in step with the refresh token
+connectedAccountSchema.pre('save', function(next) {
+  if (this.isModified('refreshToken')) {
+    this.refreshTokenHash = hashToken(this.refreshToken);
+  }
+  next();
+});
+
+connectedAccountSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  const update = this.getUpdate() || {};
+  const set = update.$set || update;
+  if (set.refreshToken) {
+    set.refreshTokenHash = hashToken(set.refreshToken);
+  }
+  next();
+});
 
 // Methods
 connectedAccountSchema.methods.updateLastSync = function() {
   this.lastSync = new Date();
   this.lastSuccessfulSync = new Date();
   this.syncStatus = 'idle';
+  this.status = 'connected';
+  this.syncError = undefined;
   return this.save();
 };
 
@@ -141,11 +203,45 @@ connectedAccountSchema.methods.incrementEmailsProcessed = function(count = 1) {
   return this.save();
 };
 
+// IMAP/SMTP accounts sign in with an app password instead of OAuth
+connectedAccountSchema.methods.usesAppPassword = function() {
+  return ['yahoo', 'imap'].includes(this.provider);
+};
+
+// Token shape expected by the account's mail provider (gmailService etc.)
+// IMAP accounts get their server settings and app password instead
+connectedAccountSchema.methods.getTokens = function() {
+  if (this.usesAppPassword()) {
+    return {
+      accountId: this._id,
+      user: this.imap?.username || this.email,
+      pass: this.appPassword,
+      imap: { host: this.imap?.host, port: this.imap?.port, secure: this.imap?.secure },
+      smtp: { host: this.smtp?.host, port: this.smtp?.port, secure: this.smtp?.secure }
+    };
+  }
+
+  return {
+    access_token: this.accessToken,
+    refresh_token: this.refreshToken,
+    expiry_date: this.tokenExpiry ? this.tokenExpiry.getTime() : undefined
+  };
+};
+
 // Static methods
 connectedAccountSchema.statics.getPrimaryAccount = function(userId) {
   return this.findOne({ userId, isPrimary: true });
 };
 
+// Tokens for one of the user's mailboxes (no accountId = the login mailbox)
+connectedAccountSchema.statics.resolveTokens = async function(user, accountId = null) {
+  if (!accountId) return user.googleTokens;
+
+  const account = await this.findOne({ _id: accountId, userId: user._id });
+  if (!account) throw new Error('Connected account not found');
+  return account.getTokens();
+};
+
 connectedAccountSchema.statics.getUserAccounts = function(userId) {
   return this.find({ userId }).sort({ isPrimary: -1, connectedAt: 1 });
 };
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+// Local mirror of Gmail message metadata (no bodies), kept current by
+// accountSyncService so listings, search and analytics don't hit Gmail
+const emailSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConnectedAccount'
+  },
+  messageId: {
+    type: String,
+    required: true
+  },
+  threadId: String,
+
+  // ==================== HEADERS ====================
+  from: String,
+  fromEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  fromName: String,
+  to: String,
+  subject: String,
+  snippet: String,
+  date: Date,
+
+  // ==================== GMAIL STATE ====================
+  labels: [String],
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  isStarred: {
+    type: Boolean,
+    default: false
+  },
+  isImportant: {
+    type: Boolean,
+    default: false
+  },
+  sizeEstimate: {
+    type: Number, // Bytes
+    default: 0
+  },
+
+  // ==================== UNSUBSCRIBE ====================
+  listUnsubscribe: String, // Raw List-Unsubscribe header
+  listUnsubscribePost: String, // RFC 8058 one-click header
+
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+emailSchema.index({ userId: 1, messageId: 1 }, { unique: true });
+emailSchema.index({ userId: 1, labels: 1, date: -1 });
+emailSchema.index({ userId: 1, fromEmail: 1, date: -1 });
+emailSchema.index({ userId: 1, threadId: 1 });
+emailSchema.index({ subject: 'text', from: 'text', snippet: 'text' });
+
+// Flags derived from labels
+const labelFlags = (labels = []) => ({
+  isRead: !labels.includes('UNREAD'),
+  isStarred: labels.includes('STARRED'),
+  isImportant: labels.includes('IMPORTANT')
+});
+
+const parseFrom = (from = '') => {
+  const match = from.match(/^\s*"?([^"<]*?)"?\s*<(.+?)>/);
+  return match
+    ? { fromName: match[1].trim(), fromEmail: match[2].toLowerCase() }
+    : { fromName: '', fromEmail: from.toLowerCase().trim() };
+};
+
+// Statics
+
+// Upsert messages parsed by gmailService.parseMessage
+emailSchema.statics.upsertFromGmail = function(userId, accountId, emails) {
+  if (emails.length === 0) return Promise.resolve(null);
+
+  const now = new Date();
+  return this.bulkWrite(emails.map(email => {
+    const sentAt = email.internalDate || new Date(email.date);
+    return {
+      updateOne: {
+        filter: { userId, messageId: email.emailId },
+        update: {
+          $set: {
+            accountId,
+            threadId: email.threadId,
+            from: email.from,
+            ...parseFrom(email.from),
+            to: email.to,
+            subject: email.subject,
+            snippet: email.snippet,
+            date: isNaN(sentAt) ? null : sentAt,
+            labels: email.labels,
+            ...labelFlags(email.labels),
+            sizeEstimate: email.sizeEstimate || 0,
+            listUnsubscribe: email.listUnsubscribe || null,
+            listUnsubscribePost: email.listUnsubscribePost || null,
+            syncedAt: now
+          }
+        },
+        upsert: true
+      }
+    };
+  }), { ordered: false });
+};
+
+// Apply a history.list delta (label changes and deletions) to mirrored messages
+emailSchema.statics.applyHistory = async function(userId, { labelChanges = [], deletedIds = [] }) {
+  if (deletedIds.length > 0) {
+    await this.deleteMany({ userId, messageId: { $in: deletedIds } });
+  }
+
+  for (const { id, added, removed } of labelChanges) {
+    const email = await this.findOne({ userId, messageId: id });
+    if (!email) continue; // Not mirrored yet - picked up on the next full resync
+
+    const labels = email.labels
+      .filter(label => !removed.includes(label))
+      .concat(added.filter(label => !email.labels.includes(label)));
+
+    email.set({ labels, ...labelFlags(labels), syncedAt: new Date() });
+    await email.save();
+  }
+};
+
+module.exports = mongoose.model('Email', emailSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long a bulk archive/delete can be undone (minutes)
+const UNDO_WINDOW_MINUTES = parseInt(process.env.UNDO_WINDOW_MINUTES) || 30;
 
 const emailActionSchema = new mongoose.Schema({
   userId: {
@@ -66,7 +70,30 @@ const emailActionSchema = new mongoose.Schema({
   userFeedback: {
     agreedWithAI: Boolean,
     reason: String
-  }
+  },
+  // Undo journal - one entry per message, grouped by batch
+  batchId: String,
+  source: {
+    type: String,
+    enum: ['manual', 'cleanup', 'schedule', 'rule', 'sender']
+  },
+  previousLabels: [String],
+  // Gmail sizeEstimate (bytes) when the action ran
+  sizeEstimate: {
+    type: Number,
+    default: 0
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConnectedAccount',
+    default: null // null = the user's login mailbox
+  },
+  undoExpiresAt: Date,
+  undone: {
+    type: Boolean,
+    default: false
+  },
+  undoneAt: Date
 }, {
   timestamps: true
 });
@@ -75,6 +102,7 @@ const emailActionSchema = new mongoose.Schema({
 emailActionSchema.index({ userId: 1, executed: 1 });
 emailActionSchema.index({ userId: 1, createdAt: -1 });
 emailActionSchema.index({ userId: 1, 'metadata.sender': 1 });
+emailActionSchema.index({ userId: 1, batchId: 1 });
 
 // Method to record user feedback for AI learning
 emailActionSchema.methods.recordFeedback = function(agreed, reason = null) {
@@ -88,4 +116,48 @@ emailActionSchema.methods.recordFeedback = function(agreed, reason = null) {
   }
 };
 
+// When a batch executed at `from` stops being undoable
+emailActionSchema.statics.getUndoExpiry = function(from = new Date()) {
+  return new Date(from.getTime() + UNDO_WINDOW_MINUTES * 60 * 1000);
+};
+
+// Journal a bulk Gmail operation so it can be undone later.
+// `snapshot` maps each emailId to the labels it had before the action,
+// `sizes` (optional) to its size in bytes.
+// Pass an existing `batchId` to add more messages to the same batch, and
+// the `accountId` of the mailbox it happened in (undo acts on that mailbox).
+// Returns { batchId, undoExpiresAt, bytes }
+emailActionSchema.statics.recordBatch = async function(userId, action, snapshot, { source = 'manual', batchId = crypto.randomUUID(), accountId = null, sizes = {} } = {}) {
+  const now = new Date();
+  const undoExpiresAt = this.getUndoExpiry(now);
+
+  await this.insertMany(Object.entries(snapshot).map(([emailId, previousLabels]) => ({
+    userId,
+    emailId,
+    action,
+    executed: true,
+    executedAt: now,
+    userApproved: true,
+    batchId,
+    source,
+    previousLabels,
+    sizeEstimate: sizes[emailId] || 0,
+    accountId,
+    undoExpiresAt
+  })));
+
+  const bytes = Object.keys(snapshot).reduce((sum, emailId) => sum + (sizes[emailId] || 0), 0);
+  return { batchId, undoExpiresAt, bytes };
+};
+
+// Lifetime storage freed by deletes that weren't undone
+// Returns { bytes, emails }
+emailActionSchema.statics.getStorageFreed = async function(userId) {
+  const [totals] = await this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), action: 'delete', executed: true, undone: { $ne: true } } },
+    { $group: { _id: null, bytes: { $sum: '$sizeEstimate' }, emails: { $sum: 1 } } }
+  ]);
+  return { bytes: totals?.bytes || 0, emails: totals?.emails || 0 };
+};
+
 module.exports = mongoose.model('EmailAction', emailActionSchema);
\ No newline at end of file
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// userId is the user's Google ID when there is one, else their _id as a string
+// (see getUserId in routes/followups.js)
+const followUpSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  emailId: {
+    type: String,
+    required: true
+  },
+  threadId: String,
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConnectedAccount',
+    default: null // null = the user's login mailbox
+  },
+  emailSubject: String,
+  emailFrom: String, // Who we're waiting on (the recipient, for sent mail)
+  followUpDate: {
+    type: Date,
+    required: true
+  },
+  notes: String,
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'cancelled'],
+    default: 'pending'
+  },
+  // manual = created by the user, auto = unanswered sent mail (followUpService)
+  source: {
+    type: String,
+    enum: ['manual', 'auto'],
+    default: 'manual'
+  },
+  notified: {
+    type: Boolean,
+    default: false
+  },
+  replyReceivedAt: Date, // Set when the other side writes back
+  replyEmailId: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+followUpSchema.index({ userId: 1, threadId: 1 });
+
+// The other side wrote back. Auto follow-ups are closed; manual ones stay
+// open for the user to tick off.
+followUpSchema.methods.markReplied = function(replyEmailId, at = new Date()) {
+  this.replyReceivedAt = at;
+  this.replyEmailId = replyEmailId;
+  if (this.source === 'auto') this.status = 'completed';
+  return this.save();
+};
+
+// Owner key for a user (matches getUserId in routes/followups.js)
+followUpSchema.statics.ownerIdOf = function(user) {
+  return user.googleId || user._id.toString();
+};
+
+module.exports = mongoose.model('FollowUp', followUpSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Background job (see services/jobQueue.js)
+const jobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true // Handler name, e.g. 'filters.apply'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // ==================== STATE ====================
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  priority: {
+    type: Number,
+    default: 0 // Higher runs first
+  },
+  runAt: {
+    type: Date,
+    default: Date.now // Pushed back on retry (backoff)
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+
+  // ==================== LOCK ====================
+  lockedBy: String, // Worker id
+  lockedAt: Date, // Refreshed on every progress update
+  runSlot: Number, // Which of the user's per-user job slots it holds while running
+
+  // ==================== PROGRESS & RESULT ====================
+  progress: {
+    current: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    },
+    message: String
+  },
+  result: mongoose.Schema.Types.Mixed,
+  error: String, // Last failure
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobSchema.index({ status: 1, runAt: 1, priority: -1 });
+jobSchema.index({ userId: 1, status: 1 });
+jobSchema.index({ userId: 1, createdAt: -1 });
+
+// A user's running jobs each hold a different slot - this is what enforces
+// the per-user limit when several workers claim at once
+jobSchema.index(
+  { userId: 1, runSlot: 1 },
+  { unique: true, partialFilterExpression: { status: 'running' } }
+);
+
+// Auto-delete finished jobs after 7 days
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 604800 });
+
+// Status shape returned to the client
+jobSchema.methods.toStatus = function() {
+  const { current, total, message } = this.progress || {};
+  return {
+    id: this._id,
+    type: this.type,
+    status: this.status,
+    progress: {
+      current,
+      total,
+      message,
+      percent: total ? Math.min(100, Math.round((current / total) * 100)) : 0
+    },
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    result: this.result,
+    error: this.error,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt
+  };
+};
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -47,6 +47,32 @@ const scheduleSchema = new mongoose.Schema({
     enum: ['archive', 'delete'],
     default: 'archive'
   },
+  // Dry run: analyze and log what would be touched, but change nothing
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  // Score and act on whole conversations instead of single messages
+  groupByThread: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Pagination: scan at most perRunBudget emails per run, resuming from pageCursor
+  perRunBudget: {
+    type: Number,
+    default: 500,
+    min: 100,
+    max: 5000
+  },
+  pageCursor: {
+    type: String,
+    default: null
+  },
+  passScanned: {
+    type: Number,
+    default: 0 // Emails scanned so far in the current pass through the inbox
+  },
   
   // Status
   isActive: {
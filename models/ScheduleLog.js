@@ -20,6 +20,11 @@ const scheduleLogSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Storage freed by this run (sum of Gmail sizeEstimate, deletes only)
+  bytesFreed: {
+    type: Number,
+    default: 0
+  },
   actionTaken: {
     type: String,
     enum: ['archive', 'delete']
@@ -30,7 +35,34 @@ const scheduleLogSchema = new mongoose.Schema({
     default: 'success'
   },
   errorMessage: String,
-  executionTimeMs: Number
+  executionTimeMs: Number,
+  
+  // Inbox pagination progress for this run
+  progress: {
+    emailsScanned: Number,
+    pagesScanned: Number,
+    passScanned: Number,
+    inboxEstimate: Number,
+    hasMore: Boolean
+  },
+  
+  // Dry run: emails that would have been touched
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  previewEmails: [{
+    emailId: String,
+    threadId: String,
+    messageCount: Number,
+    from: String,
+    subject: String,
+    date: String,
+    action: String,
+    confidence: Number,
+    category: String,
+    reason: String
+  }]
 }, {
   timestamps: true
 });
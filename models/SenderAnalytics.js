@@ -90,6 +90,22 @@ const senderAnalyticsSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Unsubscribe (List-Unsubscribe) state
+  unsubscribe: {
+    status: {
+      type: String,
+      enum: ['none', 'unsubscribed', 'manual', 'failed', 'unavailable'],
+      default: 'none'
+    },
+    method: {
+      type: String,
+      enum: ['one_click', 'mailto', 'link', null]
+    },
+    url: String, // Link the user has to open themselves (status 'manual')
+    error: String,
+    attemptedAt: Date,
+    unsubscribedAt: Date
+  },
   // AI Learning
   userFeedback: [{
     action: String, // 'kept', 'deleted', 'archived'
@@ -165,4 +181,40 @@ senderAnalyticsSchema.methods.autoCategorizeSender = function() {
   }
 };
 
+// Count a newly received email for its sender (creates the record if needed)
+senderAnalyticsSchema.statics.recordIncoming = function(userId, from) {
+  const match = (from || '').match(/<(.+?)>/);
+  const senderEmail = (match ? match[1] : from || '').toLowerCase().trim();
+  if (!senderEmail) return null;
+
+  return this.updateOne(
+    { userId, senderEmail },
+    {
+      $inc: { totalEmails: 1 },
+      $setOnInsert: { senderDomain: senderEmail.split('@')[1] || senderEmail }
+    },
+    { upsert: true }
+  );
+};
+
+// Record the outcome of an unsubscribe attempt for a sender
+senderAnalyticsSchema.statics.recordUnsubscribe = function(userId, senderEmail, { status, method = null, url = null, error = null }) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { userId, senderEmail },
+    {
+      $set: {
+        'unsubscribe.status': status,
+        'unsubscribe.method': method,
+        'unsubscribe.url': url,
+        'unsubscribe.error': error,
+        'unsubscribe.attemptedAt': now,
+        ...(status === 'unsubscribed' ? { 'unsubscribe.unsubscribedAt': now } : {})
+      },
+      $setOnInsert: { senderDomain: senderEmail.split('@')[1] || senderEmail }
+    },
+    { upsert: true, new: true }
+  );
+};
+
 module.exports = mongoose.model('SenderAnalytics', senderAnalyticsSchema);
\ No newline at end of file
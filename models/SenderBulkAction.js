@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// One "act on everything from this sender/domain" run - doubles as the
+// progress handle the client polls
+const senderBulkActionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConnectedAccount',
+    default: null // null = the user's login mailbox
+  },
+
+  // ==================== TARGET ====================
+  sender: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  domain: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  action: {
+    type: String,
+    enum: ['archive', 'delete', 'label', 'mark_read'],
+    required: true
+  },
+  labelName: String, // For action 'label'
+  query: String, // Gmail search used to find the messages
+
+  // ==================== PROGRESS ====================
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  totalEstimate: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  pagesProcessed: {
+    type: Number,
+    default: 0
+  },
+  batchId: String, // Undo journal batch (archive/delete)
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  error: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+senderBulkActionSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SenderBulkAction', senderBulkActionSchema);
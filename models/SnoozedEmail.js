@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A message hidden until wakeAt (see services/snoozeService.js).
+// While snoozed it is out of the inbox and carries the "Snoozed" label.
+const snoozedEmailSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConnectedAccount',
+    default: null // null = the user's login mailbox
+  },
+  emailId: {
+    type: String,
+    required: true
+  },
+  threadId: String,
+  subject: String,
+  from: String,
+  labelId: String, // Gmail id of the "Snoozed" label
+  wakeAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['snoozed', 'woken', 'cancelled'],
+    default: 'snoozed'
+  },
+  wokenAt: Date,
+  nextAttemptAt: {
+    type: Date,
+    default: null // set after a failed wake-up; skipped until then
+  },
+  error: String // Why it couldn't be woken (status cancelled)
+}, {
+  timestamps: true
+});
+
+snoozedEmailSchema.index({ status: 1, wakeAt: 1 });
+snoozedEmailSchema.index({ userId: 1, status: 1, wakeAt: 1 });
+snoozedEmailSchema.index({ userId: 1, emailId: 1 });
+
+module.exports = mongoose.model('SnoozedEmail', snoozedEmailSchema);
@@ -21,9 +21,51 @@ const taskSchema = new mongoose.Schema({
   aiGenerated: { type: Boolean, default: false },
   confidence: { type: Number, default: 80 },
   isRecurring: { type: Boolean, default: false },
-  recurrencePattern: { type: String, enum: ['daily', 'weekly', 'monthly', 'none'], default: 'none' }
+  recurrencePattern: { type: String, enum: ['daily', 'weekly', 'monthly', 'none'], default: 'none' },
+
+  // Recurrence options (see services/recurrenceService)
+  recurrence: {
+    interval: { type: Number, default: 1, min: 1 },       // every N days/weeks/months
+    weekdaysOnly: { type: Boolean, default: false },      // skip Saturdays and Sundays
+    daysOfWeek: [{ type: Number, min: 0, max: 6 }],       // weekly: 0 = Sunday ... 6 = Saturday
+    nthWeekday: {                                         // monthly: { n: 2, weekday: 1 } = 2nd Monday, n -1 = last
+      n: Number,
+      weekday: Number
+    },
+    startDate: Date,                                      // anchor for the interval
+    endDate: Date                                         // no occurrences after this day
+  },
+
+  // Every occurrence of a series is its own task; seriesId is the first one's _id
+  seriesId: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', default: null },
+  occurrenceDate: Date,                                   // the day this occurrence stands for
+  isException: { type: Boolean, default: false },         // edited or cancelled on its own
+
+  // Set when the task was made from an email (services/emailTaskService)
+  sourceEmail: {
+    emailId: String,                                      // Gmail message id
+    threadId: String,
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'ConnectedAccount', default: null },
+    from: String,
+    subject: String,
+    receivedAt: Date,
+    auto: { type: Boolean, default: false }               // created by the automatic scan
+  },
+  actionItems: [String]
 }, { timestamps: true });
 
+// One task per occurrence
+taskSchema.index(
+  { seriesId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { seriesId: { $type: 'objectId' } } }
+);
+
+// One task per email
+taskSchema.index(
+  { userId: 1, 'sourceEmail.emailId': 1 },
+  { unique: true, partialFilterExpression: { 'sourceEmail.emailId': { $type: 'string' } } }
+);
+
 taskSchema.methods.markComplete = function(actualDuration) {
   this.status = 'completed';
   this.completedAt = new Date();
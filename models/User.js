@@ -1,12 +1,13 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { encryptedString, hashToken } = require('../utils/tokenCrypto');
 
 const userSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true, lowercase: true },
   password: { type: String, select: false },
   name: String,
   googleId: String,
-  refreshToken: String,
+  refreshToken: encryptedString(),
   
   // ✅ NEW: Profile Fields
   bio: { type: String, maxlength: 500 },
@@ -62,9 +63,11 @@ const userSchema = new mongoose.Schema({
   paymongoCheckoutSessionId: String,
   
   // Google OAuth tokens (for email access)
+  // Encrypted at rest (utils/tokenCrypto) - reading a token decrypts it
   googleTokens: {
-    access_token: String,
-    refresh_token: String,
+    access_token: encryptedString(),
+    refresh_token: encryptedString(),
+    refresh_token_hash: String, // sha256 of refresh_token, for lookups
     scope: String,
     token_type: String,
     expiry_date: Number
@@ -95,6 +98,25 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Keep the refresh token lookup hash in step with the token
+userSchema.pre('save', function(next) {
+  if (this.isModified('googleTokens.refresh_token')) {
+    this.set('googleTokens.refresh_token_hash', hashToken(this.googleTokens?.refresh_token));
+  }
+  next();
+});
+
+userSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  const update = this.getUpdate() || {};
+  const set = update.$set || update;
+  if (set['googleTokens.refresh_token']) {
+    set['googleTokens.refresh_token_hash'] = hashToken(set['googleTokens.refresh_token']);
+  } else if (set.googleTokens?.refresh_token) {
+    set.googleTokens.refresh_token_hash = hashToken(set.googleTokens.refresh_token);
+  }
+  next();
+});
+
 // NEW - Added static method + updated hook
 userSchema.statics.generateUniqueReferralCode = async function() {
   // ... generates unique code with checking
@@ -198,4 +220,7 @@ userSchema.methods.addReferralCredits = function(amountInCents) {
   return this.save();
 };
 
+// Refresh-token lookups (gmailClientFactory.persistTokens)
+userSchema.index({ 'googleTokens.refresh_token_hash': 1 }, { sparse: true });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
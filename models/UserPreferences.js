@@ -50,6 +50,23 @@ const userPreferencesSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // No reminder emails between start and end ("HH:mm", in the timezone below)
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      default: '22:00',
+      match: /^([01]\d|2[0-3]):[0-5]\d$/
+    },
+    end: {
+      type: String,
+      default: '07:00',
+      match: /^([01]\d|2[0-3]):[0-5]\d$/
+    }
+  },
   
   // ==================== EMAIL PROCESSING ====================
   autoArchiveRead: {
@@ -129,26 +146,77 @@ const userPreferencesSchema = new mongoose.Schema({
   },
   
   // ==================== EMAIL RULES ====================
+  // Evaluated by emailRulesService (all conditions must match)
   emailRules: [{
     name: String,
     conditions: [{
-      field: String, // 'from', 'subject', 'body'
-      operator: String, // 'contains', 'equals', 'startsWith'
+      field: {
+        type: String,
+        enum: ['from', 'subject', 'body']
+      },
+      operator: {
+        type: String,
+        enum: ['contains', 'equals', 'startsWith']
+      },
       value: String
     }],
     actions: [{
-      type: String, // 'label', 'archive', 'delete', 'forward'
-      value: String
+      type: {
+        type: String,
+        enum: ['label', 'archive', 'delete', 'forward']
+      },
+      value: String // Label name or forward address
     }],
     enabled: {
       type: Boolean,
       default: true
     },
+    hitCount: {
+      type: Number,
+      default: 0
+    },
+    lastTriggeredAt: Date,
     createdAt: {
       type: Date,
       default: Date.now
     }
   }],
+  emailRulesLastRunAt: Date, // Only mail received after this is evaluated
+  
+  // ==================== FOLLOW-UPS ====================
+  // Create follow-ups for sent mail with no reply after followUpAfterDays (followUpService)
+  autoFollowUps: {
+    type: Boolean,
+    default: false
+  },
+  followUpAfterDays: {
+    type: Number,
+    default: 3,
+    min: 1,
+    max: 30
+  },
+  followUpsLastScanAt: Date, // Sent mail that went overdue before this was already checked
+  // How due follow-ups are emailed: as they come due, once a day, or not at all
+  followUpReminders: {
+    type: String,
+    enum: ['instant', 'daily', 'off'],
+    default: 'instant'
+  },
+  followUpDigestHour: {
+    type: Number,
+    default: 8, // Local hour the daily digest goes out
+    min: 0,
+    max: 23
+  },
+  followUpDigestSentAt: Date,
+  
+  // ==================== EMAIL TASKS ====================
+  // Turn action items in important new mail into planner tasks (emailTaskService)
+  autoEmailTasks: {
+    type: Boolean,
+    default: false
+  },
+  emailTasksLastScanAt: Date, // Only mail received after this is checked
   
   // ==================== BLOCKED SENDERS ====================
   blockedSenders: [{
@@ -160,6 +228,29 @@ const userPreferencesSchema = new mongoose.Schema({
     }
   }],
   
+  // ==================== SAFETY RULES ====================
+  // Emails failing these checks are never archived/deleted by cleanups
+  safetyRules: {
+    neverDeleteIfReplied: {
+      type: Boolean,
+      default: true
+    },
+    neverDeleteHumanSenders: {
+      type: Boolean,
+      default: true
+    },
+    neverDeleteImportantKeywords: {
+      type: Boolean,
+      default: true
+    },
+    recentEmailThreshold: {
+      type: Number,
+      default: 7, // Days - younger emails are never deleted
+      min: 0,
+      max: 365
+    }
+  },
+  
   // ==================== IMPORTANT KEYWORDS ====================
   importantKeywords: [{
     type: String
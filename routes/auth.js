@@ -2,40 +2,19 @@ const express = require('express');
 const router = express.Router();
 const passport = require('passport');
 const { google } = require('googleapis');
+const { createOAuthClient, GmailAuthError, isReauthError, sendReauthError } = require('../services/gmailClientFactory');
 
 // ✅ Helper to get Gmail client with auto token refresh
+// (refreshed tokens are saved by the client factory)
 async function getGmailClientWithRefresh(user) {
-  const oauth2Client = new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    process.env.GOOGLE_REDIRECT_URI
-  );
-
-  oauth2Client.setCredentials({
-    access_token: user.googleTokens?.access_token,
-refresh_token: user.googleTokens?.refresh_token
-  });
-
-  // ✅ Set up automatic token refresh
-  oauth2Client.on('tokens', async (tokens) => {
-    console.log('🔄 Token refreshed!');
-    if (tokens.refresh_token) {
-      user.refreshToken = tokens.refresh_token;
-    }
-    user.accessToken = tokens.access_token;
-    
-    // Only save if user has a save method (database model)
-    if (user.save && typeof user.save === 'function') {
-      await user.save();
-    }
-  });
+  const oauth2Client = createOAuthClient(user.googleTokens);
 
   // ✅ Force refresh if needed
   try {
     await oauth2Client.getAccessToken();
   } catch (error) {
     console.error('❌ Token refresh failed:', error.message);
-    throw new Error('Authentication expired. Please log in again.');
+    throw new GmailAuthError('Authentication expired. Please log in again.');
   }
 
   return google.gmail({ version: 'v1', auth: oauth2Client });
@@ -293,6 +272,7 @@ router.get('/emails', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error fetching emails:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({
       success: false,
       message: 'Failed to fetch emails',
@@ -327,6 +307,7 @@ router.get('/emails/:emailId', async (req, res) => {
 
   } catch (error) {
     console.error('Error fetching email:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({
       success: false,
       message: 'Failed to fetch email',
@@ -396,6 +377,7 @@ router.post('/delete-emails', async (req, res) => {
 
   } catch (error) {
     console.error('Error trashing emails:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ success: false, message: 'Failed to trash emails', error: error.message });
   }
 });
@@ -465,6 +447,7 @@ router.post('/archive-emails', async (req, res) => {
 
   } catch (error) {
     console.error('Error archiving emails:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ success: false, message: 'Failed to archive emails', error: error.message });
   }
 });
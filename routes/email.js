@@ -2,9 +2,21 @@ const express = require('express');
 const router = express.Router();
 const emailController = require('../controllers/emailController');
 const emailActions = require('../controllers/emailActions');
+const gmailService = require('../services/gmailService');
+const EmailAction = require('../models/EmailAction');
+const Email = require('../models/Email');
+const ConnectedAccount = require('../models/ConnectedAccount');
+const SnoozedEmail = require('../models/SnoozedEmail');
+const scoringEngine = require('../services/scoringEngine');
+const unsubscribeService = require('../services/unsubscribeService');
+const jobQueue = require('../services/jobQueue');
+const snoozeService = require('../services/snoozeService');
+const { getProvider } = require('../services/mailProviders');
 const { protect } = require('../middleware/auth');
+const { resolveAccount, requireGmail } = require('../middleware/account');
 const { checkEmailQuota } = require('../middleware/subscription');
-const { google } = require('googleapis');
+const { createGmailClient, isReauthError, sendReauthError } = require('../services/gmailClientFactory');
+const { isEmailAddress } = require('../utils/validation');
 
 console.log('📮 Loading email routes...');
 console.log('emailController.analyzeEmailsSimple:', typeof emailController.analyzeEmailsSimple);
@@ -22,26 +34,15 @@ router.get('/gmail/counts', (req, res, next) => {
     });
   }
   next();
-}, async (req, res) => {
+}, resolveAccount, requireGmail, async (req, res) => {
   try {
     console.log('📊 GET /gmail/counts called');
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ success: false, error: 'Not authenticated' });
     }
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-  access_token: req.user.googleTokens.access_token,
-  refresh_token: req.user.googleTokens.refresh_token,
-  expiry_date: req.user.googleTokens.expiry_date
-});
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = createGmailClient(req.accountTokens);
 
     const [inbox, sent, drafts, starred, spam, trash] = await Promise.all([
       gmail.users.labels.get({ userId: 'me', id: 'INBOX' }),
@@ -74,34 +75,24 @@ router.get('/gmail/counts', (req, res, next) => {
 
   } catch (error) {
     console.error('❌ Error getting email counts:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // ✅ GET EMAILS FROM SPECIFIC FOLDER
-router.get('/gmail/folder/:folderId', protect, async (req, res) => {
+router.get('/gmail/folder/:folderId', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     console.log(`📧 GET /gmail/folder/${req.params.folderId} called`);
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ success: false, error: 'Not authenticated' });
     }
 
     const { folderId } = req.params;
     const maxResults = parseInt(req.query.maxResults) || 50;
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-  access_token: req.user.googleTokens.access_token,
-  refresh_token: req.user.googleTokens.refresh_token,
-  expiry_date: req.user.googleTokens.expiry_date
-});
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = createGmailClient(req.accountTokens);
 
     const labelMap = {
       'inbox': ['INBOX'],
@@ -176,16 +167,17 @@ router.get('/gmail/folder/:folderId', protect, async (req, res) => {
 
   } catch (error) {
     console.error(`❌ Error getting ${req.params.folderId} emails:`, error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // ✅ MOVE EMAIL TO FOLDER
-router.post('/gmail/move', protect, async (req, res) => {
+router.post('/gmail/move', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     console.log('📦 POST /gmail/move called');
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ success: false, error: 'Not authenticated' });
     }
 
@@ -195,18 +187,7 @@ router.post('/gmail/move', protect, async (req, res) => {
       return res.status(400).json({ success: false, error: 'Invalid request' });
     }
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-  access_token: req.user.googleTokens.access_token,
-  refresh_token: req.user.googleTokens.refresh_token,
-  expiry_date: req.user.googleTokens.expiry_date
-});
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = createGmailClient(req.accountTokens);
 
     const labelOperations = {
       'archive': { removeLabelIds: ['INBOX'], addLabelIds: [] },
@@ -241,6 +222,7 @@ router.post('/gmail/move', protect, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error moving emails:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -250,13 +232,13 @@ router.post('/gmail/move', protect, async (req, res) => {
 // ==========================================
 
 // ✅ GET ALL INBOX EMAILS - Used by App.js loadRealEmails()
-router.get('/emails', protect, async (req, res) => {
+router.get('/emails', protect, resolveAccount, async (req, res) => {
   try {
     console.log('📧 GET /api/email/emails called');
     
   
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       console.log('❌ No googleTokens found');
       return res.status(401).json({ 
         success: false, 
@@ -264,18 +246,44 @@ router.get('/emails', protect, async (req, res) => {
       });
     }
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-      access_token: req.user.googleTokens.access_token,
-      refresh_token: req.user.googleTokens.refresh_token,
-      expiry_date: req.user.googleTokens.expiry_date
-    });
+    // ✅ Serve from the local mirror once the selected (or primary) account has synced
+    const mirrorAccount = req.query.live !== 'true' && await getMirrorAccount(req.user._id, req.account);
+    if (mirrorAccount) {
+      const mirrored = await Email.find({ userId: req.user._id, accountId: mirrorAccount._id, labels: 'INBOX' })
+        .sort({ date: -1 })
+        .limit(100)
+        .lean();
 
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+      return res.json({
+        success: true,
+        emails: mirrored.map(toListItem),
+        total: mirrored.length,
+        source: 'mirror'
+      });
+    }
+
+    // ✅ Other providers go through their adapter
+    if (req.mailProvider.name !== 'gmail') {
+      const { emails } = await req.mailProvider.getInboxEmailsPage(req.accountTokens, { maxResults: 100 });
+
+      return res.json({
+        success: true,
+        emails: emails.map(email => ({
+          id: email.emailId,
+          threadId: email.threadId,
+          from: email.from,
+          subject: email.subject,
+          date: email.date,
+          snippet: email.snippet || '',
+          category: getCategoryFromLabels(email.labels),
+          labelIds: email.labels
+        })),
+        total: emails.length,
+        source: req.mailProvider.name
+      });
+    }
+
+    const gmail = createGmailClient(req.accountTokens);
 
     console.log('📧 Fetching all emails from Gmail INBOX...');
 
@@ -343,11 +351,13 @@ router.get('/emails', protect, async (req, res) => {
     res.json({
       success: true,
       emails: allEmails,
-      total: allEmails.length
+      total: allEmails.length,
+      source: 'gmail'
     });
 
   } catch (error) {
     console.error('❌ Error fetching emails:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -355,6 +365,244 @@ router.get('/emails', protect, async (req, res) => {
   }
 });
 
+// ✅ UNIFIED INBOX - newest inbox mail across every connected Gmail account
+// Query: limit (per account and overall, default 50)
+router.get('/inbox/unified', protect, async (req, res) => {
+  try {
+    const limit = Math.min(100, parseInt(req.query.limit) || 50);
+
+    const accounts = await ConnectedAccount.find({
+      userId: req.user._id,
+      provider: { $in: ['gmail', 'outlook', 'yahoo', 'imap'] },
+      status: { $ne: 'disconnected' }
+    }).sort({ isPrimary: -1, connectedAt: 1 });
+
+    // No connected accounts yet - the login mailbox is the only source
+    const sources = accounts.length > 0
+      ? accounts.map(account => ({ account, tokens: account.getTokens() }))
+      : [{ account: null, tokens: req.user.googleTokens }];
+
+    const results = await Promise.all(sources.map(async ({ account, tokens }) => {
+      const summary = { id: account?._id || null, email: account?.email || req.user.email };
+
+      try {
+        let emails;
+        if (await getMirrorAccount(req.user._id, account)) {
+          const mirrored = await Email.find({ userId: req.user._id, accountId: account._id, labels: 'INBOX' })
+            .sort({ date: -1 })
+            .limit(limit)
+            .lean();
+          emails = mirrored.map(toListItem);
+          summary.source = 'mirror';
+        } else if (account && account.provider !== 'gmail') {
+          const page = await getProvider(account.provider).getInboxEmailsPage(tokens, { maxResults: limit });
+          emails = page.emails.map(message => ({
+            id: message.emailId,
+            threadId: message.threadId,
+            from: message.from,
+            subject: message.subject,
+            date: message.date,
+            snippet: message.snippet,
+            category: getCategoryFromLabels(message.labels),
+            labelIds: message.labels,
+            accountId: summary.id
+          }));
+          summary.source = account.provider;
+        } else {
+          const ids = await gmailService.listMessageIds(tokens, { labelIds: ['INBOX'], maxResults: limit });
+          const messages = await gmailService.getEmailsByIds(tokens, ids, { format: 'metadata' });
+          emails = messages.map(message => ({
+            id: message.emailId,
+            threadId: message.threadId,
+            from: message.from,
+            subject: message.subject,
+            date: message.internalDate || message.date,
+            snippet: message.snippet || '',
+            category: getCategoryFromLabels(message.labels),
+            labelIds: message.labels,
+            sizeEstimate: message.sizeEstimate,
+            accountId: summary.id
+          }));
+          summary.source = 'gmail';
+        }
+
+        summary.count = emails.length;
+        return { summary, emails: emails.map(email => ({ ...email, accountEmail: summary.email })) };
+      } catch (error) {
+        // One broken account shouldn't hide the others
+        console.error(`❌ Unified inbox failed for ${summary.email}:`, error.message);
+        summary.error = error.message;
+        summary.needsReauth = isReauthError(error);
+        return { summary, emails: [] };
+      }
+    }));
+
+    const emails = results
+      .flatMap(result => result.emails)
+      .sort((a, b) => new Date(b.date) - new Date(a.date))
+      .slice(0, limit);
+
+    res.json({
+      success: true,
+      emails,
+      total: emails.length,
+      accounts: results.map(result => result.summary)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching unified inbox:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==========================================
+// ✅ LOCAL MIRROR - search & stats without calling Gmail
+// ==========================================
+
+// ✅ SEARCH MIRRORED EMAILS
+// Query: q (text), from, label, unread, after, before, page, limit
+router.get('/search', protect, resolveAccount, async (req, res) => {
+  try {
+    const { q, from, label, unread, after, before } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, parseInt(req.query.limit) || 50);
+
+    const query = { userId: req.user._id };
+    if (req.account) query.accountId = req.account._id;
+    if (q) query.$text = { $search: q };
+    if (from) query.fromEmail = { $regex: escapeRegex(from.toLowerCase()) };
+    if (label) query.labels = label;
+    if (unread === 'true') query.isRead = false;
+    if (after || before) {
+      query.date = {};
+      if (after) query.date.$gte = new Date(after);
+      if (before) query.date.$lt = new Date(before);
+    }
+
+    const [emails, total] = await Promise.all([
+      Email.find(query)
+        .sort({ date: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Email.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      emails: emails.map(toListItem),
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('❌ Error searching emails:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ MAILBOX STATS FROM THE MIRROR (label counts, top senders, size)
+router.get('/stats', protect, resolveAccount, async (req, res) => {
+  try {
+    const match = { userId: req.user._id };
+    if (req.account) match.accountId = req.account._id;
+
+    const [labelCounts, topSenders, totals] = await Promise.all([
+      Email.aggregate([
+        { $match: match },
+        { $unwind: '$labels' },
+        { $group: { _id: '$labels', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]),
+      Email.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$fromEmail',
+            name: { $first: '$fromName' },
+            count: { $sum: 1 },
+            unread: { $sum: { $cond: ['$isRead', 0, 1] } },
+            totalSize: { $sum: '$sizeEstimate' },
+            hasUnsubscribe: { $max: { $cond: [{ $ifNull: ['$listUnsubscribe', false] }, true, false] } }
+          }
+        },
+        { $sort: { count: -1 } },
+        { $limit: 20 }
+      ]),
+      Email.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            unread: { $sum: { $cond: ['$isRead', 0, 1] } },
+            totalSize: { $sum: '$sizeEstimate' },
+            oldest: { $min: '$date' },
+            lastSynced: { $max: '$syncedAt' }
+          }
+        }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      stats: {
+        total: totals[0]?.total || 0,
+        unread: totals[0]?.unread || 0,
+        totalSize: totals[0]?.totalSize || 0,
+        oldest: totals[0]?.oldest || null,
+        lastSynced: totals[0]?.lastSynced || null,
+        labels: Object.fromEntries(labelCounts.map(l => [l._id, l.count])),
+        topSenders: topSenders.map(s => ({
+          email: s._id,
+          name: s.name,
+          count: s.count,
+          unread: s.unread,
+          totalSize: s.totalSize,
+          hasUnsubscribe: s.hasUnsubscribe
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error getting email stats:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ Helper: the account to serve from the mirror (selected, else primary),
+// or null until its whole inbox has been mirrored - or when syncs have stopped
+// keeping it current (auto-sync off or failing), so listings never freeze
+const MIRROR_SYNC_GRACE_MS = 2 * 60 * 1000; // Cron granularity plus time for the sync itself
+
+async function getMirrorAccount(userId, account = null) {
+  const mirrorAccount = account || await ConnectedAccount.findOne({ userId, isPrimary: true })
+    .select('historyId lastSuccessfulSync mirrorComplete settings.syncInterval');
+  if (!mirrorAccount?.historyId || !mirrorAccount.mirrorComplete || !mirrorAccount.lastSuccessfulSync) return null;
+
+  const syncInterval = mirrorAccount.settings?.syncInterval || 5 * 60 * 1000;
+  const age = Date.now() - mirrorAccount.lastSuccessfulSync.getTime();
+  return age <= syncInterval + MIRROR_SYNC_GRACE_MS ? mirrorAccount : null;
+}
+
+// ✅ Helper: mirrored Email -> the list shape the frontend expects
+function toListItem(email) {
+  return {
+    id: email.messageId,
+    threadId: email.threadId,
+    from: email.from,
+    subject: email.subject,
+    date: email.date,
+    snippet: email.snippet || '',
+    category: getCategoryFromLabels(email.labels),
+    labelIds: email.labels || [],
+    sizeEstimate: email.sizeEstimate,
+    accountId: email.accountId
+  };
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 // ✅ Helper: Get category from Gmail labels
 function getCategoryFromLabels(labelIds) {
   if (!labelIds) return 'Primary';
@@ -371,22 +619,28 @@ function getCategoryFromLabels(labelIds) {
 // ==========================================
 // ✅ ARCHIVE EMAILS - Used by Smart Cleanup
 // ==========================================
-router.post('/archive', protect, async (req, res) => {
+router.post('/archive', protect, resolveAccount, async (req, res) => {
   try {
     console.log('📦 POST /api/email/archive called');
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ success: false, error: 'Not authenticated' });
     }
 
-    const { emailIds } = req.body;
+    const { emailIds, threadIds } = req.body;
+    // threadIds (Gmail only) acts on whole conversations instead
+    const byThread = Array.isArray(threadIds) && threadIds.length > 0;
+    const ids = byThread ? threadIds : emailIds;
 
-    if (!emailIds || !Array.isArray(emailIds)) {
+    if (!ids || !Array.isArray(ids)) {
       return res.status(400).json({ success: false, error: 'Invalid email IDs' });
     }
+    if (byThread && req.mailProvider.name !== 'gmail') {
+      return res.status(400).json({ success: false, error: 'threadIds is only supported for Gmail accounts' });
+    }
 
     // ✅ Track cleanup usage for free/trial users (5+ emails = 1 cleanup)
-    if (emailIds.length >= 5) {
+    if (ids.length >= 5) {
       const User = require('../models/User');
       const user = await User.findById(req.user._id || req.user.id);
       
@@ -402,38 +656,31 @@ router.post('/archive', protect, async (req, res) => {
       }
     }
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-      access_token: req.user.googleTokens.access_token,
-      refresh_token: req.user.googleTokens.refresh_token,
-      expiry_date: req.user.googleTokens.expiry_date
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
-
-    // Archive emails (remove INBOX label)
-    await gmail.users.messages.batchModify({
-      userId: 'me',
-      requestBody: {
-        ids: emailIds,
-        removeLabelIds: ['INBOX']
-      }
-    });
+    // Archive emails (remove INBOX label) and journal them for undo
+    const journal = {
+      userId: req.user._id,
+      source: 'manual',
+      accountId: req.account?._id || null
+    };
+    const result = byThread
+      ? await gmailService.archiveThreads(req.accountTokens, threadIds, journal)
+      : await req.mailProvider.archiveEmails(req.accountTokens, emailIds, journal);
 
-    console.log(`✅ Archived ${emailIds.length} emails`);
+    console.log(`✅ Archived ${result.count} emails (batch ${result.batchId})`);
 
     res.json({
       success: true,
-      message: `Archived ${emailIds.length} email(s)`,
-      count: emailIds.length
+      message: byThread
+        ? `Archived ${threadIds.length} conversation(s)`
+        : `Archived ${emailIds.length} email(s)`,
+      count: result.count,
+      batchId: result.batchId,
+      undoExpiresAt: result.undoExpiresAt
     });
 
   } catch (error) {
     console.error('❌ Error archiving emails:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -441,22 +688,28 @@ router.post('/archive', protect, async (req, res) => {
 // ==========================================
 // ✅ DELETE EMAILS - Used by Smart Cleanup
 // ==========================================
-router.post('/delete', protect, async (req, res) => {
+router.post('/delete', protect, resolveAccount, async (req, res) => {
   try {
     console.log('🗑️ POST /api/email/delete called');
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ success: false, error: 'Not authenticated' });
     }
 
-    const { emailIds } = req.body;
+    const { emailIds, threadIds } = req.body;
+    // threadIds (Gmail only) acts on whole conversations instead
+    const byThread = Array.isArray(threadIds) && threadIds.length > 0;
+    const ids = byThread ? threadIds : emailIds;
 
-    if (!emailIds || !Array.isArray(emailIds)) {
+    if (!ids || !Array.isArray(ids)) {
       return res.status(400).json({ success: false, error: 'Invalid email IDs' });
     }
+    if (byThread && req.mailProvider.name !== 'gmail') {
+      return res.status(400).json({ success: false, error: 'threadIds is only supported for Gmail accounts' });
+    }
 
     // ✅ Track cleanup usage for free/trial users (5+ emails = 1 cleanup)
-    if (emailIds.length >= 5) {
+    if (ids.length >= 5) {
       const User = require('../models/User');
       const user = await User.findById(req.user._id || req.user.id);
       
@@ -472,38 +725,172 @@ router.post('/delete', protect, async (req, res) => {
       }
     }
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
+    // Move to trash and journal them for undo
+    const journal = {
+      userId: req.user._id,
+      source: 'manual',
+      accountId: req.account?._id || null
+    };
+    const result = byThread
+      ? await gmailService.deleteThreads(req.accountTokens, threadIds, journal)
+      : await req.mailProvider.deleteEmails(req.accountTokens, emailIds, journal);
+
+    console.log(`✅ Deleted ${result.count} emails (batch ${result.batchId})`);
+
+    res.json({
+      success: true,
+      message: byThread
+        ? `Deleted ${threadIds.length} conversation(s)`
+        : `Deleted ${emailIds.length} email(s)`,
+      count: result.count,
+      batchId: result.batchId,
+      undoExpiresAt: result.undoExpiresAt
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting emails:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==========================================
+// ✅ STAR / UNSTAR EMAILS - any provider
+// ==========================================
+router.post('/flag', protect, resolveAccount, async (req, res) => {
+  try {
+    const { emailIds, flagged = true } = req.body;
+
+    if (!emailIds || !Array.isArray(emailIds) || emailIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'Invalid email IDs' });
+    }
+
+    await req.mailProvider.setFlagged(req.accountTokens, emailIds, !!flagged);
+
+    console.log(`⭐ ${flagged ? 'Flagged' : 'Unflagged'} ${emailIds.length} emails`);
+
+    res.json({ success: true, count: emailIds.length, flagged: !!flagged });
+  } catch (error) {
+    console.error('❌ Error flagging emails:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==========================================
+// ✅ UNDO BULK ARCHIVE/DELETE
+// ==========================================
+router.post('/undo/:batchId', protect, async (req, res) => {
+  try {
+    console.log(`↩️ POST /api/email/undo/${req.params.batchId}`);
+
+    if (!req.user) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+
+    const entries = await EmailAction.find({
+      userId: req.user._id,
+      batchId: req.params.batchId,
+      executed: true,
+      undone: false
+    });
+
+    if (entries.length === 0) {
+      return res.status(404).json({ success: false, error: 'Nothing to undo for this batch' });
+    }
+
+    if (entries[0].undoExpiresAt && entries[0].undoExpiresAt < new Date()) {
+      return res.status(410).json({ success: false, error: 'Undo window has expired' });
+    }
+
+    // Undo in the mailbox the batch was recorded against
+    const account = entries[0].accountId
+      ? await ConnectedAccount.findOne({ _id: entries[0].accountId, userId: req.user._id })
+      : null;
+    if (entries[0].accountId && !account) {
+      return res.status(404).json({ success: false, error: 'The account for this batch is no longer connected' });
+    }
+
+    const provider = getProvider(account?.provider);
+    const tokens = account ? account.getTokens() : req.user.googleTokens;
+    const result = await provider.restoreEmails(tokens, entries);
+
+    await EmailAction.updateMany(
+      { userId: req.user._id, batchId: req.params.batchId, emailId: { $in: result.restored } },
+      { undone: true, undoneAt: new Date() }
     );
-    oauth2Client.setCredentials({
-      access_token: req.user.googleTokens.access_token,
-      refresh_token: req.user.googleTokens.refresh_token,
-      expiry_date: req.user.googleTokens.expiry_date
+
+    console.log(`✅ Restored ${result.restored.length} emails from batch ${req.params.batchId}`);
+
+    res.json({
+      success: result.failed.length === 0,
+      message: `Restored ${result.restored.length} email(s)`,
+      count: result.restored.length,
+      failed: result.failed
     });
 
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+  } catch (error) {
+    console.error('❌ Error undoing batch:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Move to trash
-    await gmail.users.messages.batchModify({
-      userId: 'me',
-      requestBody: {
-        ids: emailIds,
-        addLabelIds: ['TRASH']
-      }
+// ==========================================
+// ✅ UNSUBSCRIBE - one click for a whole suggestion group
+// ==========================================
+// Body: { emailIds?: [], senders?: [], archive?: boolean, force?: boolean }
+router.post('/unsubscribe', protect, resolveAccount, requireGmail, async (req, res) => {
+  try {
+    console.log('🚫 POST /api/email/unsubscribe called');
+
+    if (!req.user || !req.accountTokens) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+
+    const { emailIds = [], senders = [], archive = false, force = false } = req.body;
+
+    if (!Array.isArray(emailIds) || !Array.isArray(senders) || (emailIds.length === 0 && senders.length === 0)) {
+      return res.status(400).json({ success: false, error: 'Provide emailIds or senders' });
+    }
+    if (!senders.every(sender => isEmailAddress(typeof sender === 'string' ? sender.toLowerCase().trim() : sender))) {
+      return res.status(400).json({ success: false, error: 'senders must be email addresses' });
+    }
+
+    const results = await unsubscribeService.unsubscribe(req.user, {
+      emailIds,
+      senders,
+      force,
+      tokens: req.accountTokens
     });
 
-    console.log(`✅ Deleted ${emailIds.length} emails`);
+    // Optionally archive the group's emails too (undoable like any bulk archive)
+    let archived = null;
+    if (archive && emailIds.length > 0) {
+      archived = await gmailService.archiveEmails(req.accountTokens, emailIds, {
+        userId: req.user._id,
+        source: 'manual',
+        accountId: req.account?._id || null
+      });
+    }
+
+    const unsubscribed = results.filter(r => r.status === 'unsubscribed').length;
+    console.log(`✅ Unsubscribed from ${unsubscribed}/${results.length} senders`);
 
     res.json({
       success: true,
-      message: `Deleted ${emailIds.length} email(s)`,
-      count: emailIds.length
+      message: `Unsubscribed from ${unsubscribed} of ${results.length} sender(s)`,
+      results,
+      archived: archived && {
+        count: archived.count,
+        batchId: archived.batchId,
+        undoExpiresAt: archived.undoExpiresAt
+      }
     });
 
   } catch (error) {
-    console.error('❌ Error deleting emails:', error);
+    console.error('❌ Error unsubscribing:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -511,11 +898,11 @@ router.post('/delete', protect, async (req, res) => {
 // ==========================================
 // ✅ GET DRAFTS - Used by DraftsView.jsx
 // ==========================================
-router.get('/drafts', protect, async (req, res) => {
+router.get('/drafts', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     console.log('📝 GET /api/email/drafts called');
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ 
         success: false, 
         error: 'Not authenticated' 
@@ -524,19 +911,7 @@ router.get('/drafts', protect, async (req, res) => {
 
     }
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-      access_token: req.user.googleTokens.access_token,
-      refresh_token: req.user.googleTokens.refresh_token,
-      expiry_date: req.user.googleTokens.expiry_date
-    });
-
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = createGmailClient(req.accountTokens);
 
     console.log('📝 Fetching drafts from Gmail...');
 
@@ -600,6 +975,7 @@ router.get('/drafts', protect, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error fetching drafts:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -610,11 +986,11 @@ router.get('/drafts', protect, async (req, res) => {
 // ==========================================
 // ✅ DELETE DRAFT
 // ==========================================
-router.delete('/drafts/:draftId', protect, async (req, res) => {
+router.delete('/drafts/:draftId', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     console.log(`🗑️ DELETE /api/email/drafts/${req.params.draftId}`);
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ 
         success: false, 
         error: 'Not authenticated' 
@@ -623,18 +999,7 @@ router.delete('/drafts/:draftId', protect, async (req, res) => {
 
     const { draftId } = req.params;
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-      access_token: req.user.googleTokens.access_token,
-      refresh_token: req.user.googleTokens.refresh_token,
-      expiry_date: req.user.googleTokens.expiry_date
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = createGmailClient(req.accountTokens);
 
     console.log('🗑️ Deleting draft from Gmail...');
 
@@ -653,6 +1018,7 @@ router.delete('/drafts/:draftId', protect, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error deleting draft:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -662,27 +1028,16 @@ router.delete('/drafts/:draftId', protect, async (req, res) => {
 
 
 // ✅ AI SUGGESTIONS - Analyze and recommend top emails
-router.post('/suggestions/analyze', protect, async (req, res) => {
+router.post('/suggestions/analyze', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     console.log('💡 POST /api/email/suggestions/analyze called');
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ success: false, error: 'Not authenticated' });
     }
 
     // Get inbox emails
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-  access_token: req.user.googleTokens.access_token,
-  refresh_token: req.user.googleTokens.refresh_token,
-  expiry_date: req.user.googleTokens.expiry_date
-});
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = createGmailClient(req.accountTokens);
 
     console.log('📧 Fetching recent inbox emails for analysis...');
 
@@ -746,10 +1101,13 @@ router.post('/suggestions/analyze', protect, async (req, res) => {
 
     console.log(`🧠 Analyzing ${validEmails.length} emails...`);
 
+    // Cleanup verdicts from the shared scoring engine
+    const verdicts = await scoringEngine.scoreEmails(validEmails, { userId: req.user._id });
+
     // Score and prioritize emails
-    const scoredEmails = validEmails.map(email => {
-      const score = calculatePriorityScore(email);
-      const recommendation = getRecommendation(email, score);
+    const scoredEmails = validEmails.map((email, index) => {
+      const score = calculatePriorityScore(email, verdicts[index]);
+      const recommendation = getRecommendation(email, score, verdicts[index]);
       
       return {
         ...email,
@@ -776,12 +1134,13 @@ router.post('/suggestions/analyze', protect, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error generating suggestions:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // ✅ Helper: Calculate priority score
-function calculatePriorityScore(email) {
+function calculatePriorityScore(email, verdict) {
   let score = 0;
   let urgency = 'low';
   
@@ -825,17 +1184,13 @@ function calculatePriorityScore(email) {
     score += 15;
   }
   
-  // Promotional/spam (lower score)
-  const spamKeywords = ['unsubscribe', 'marketing', 'promotion', 'discount', 'offer', 'deal'];
-  if (spamKeywords.some(k => body.includes(k))) {
+  // Cleanup candidates (promotional/newsletter) rank lower
+  if (verdict.action === 'delete') {
+    score -= 35;
+  } else if (verdict.action === 'archive') {
     score -= 20;
   }
   
-  // Newsletter detection
-  if (from.includes('newsletter') || from.includes('noreply') || from.includes('no-reply')) {
-    score -= 15;
-  }
-  
   // Determine priority level
   let priority = 'low';
   if (score >= 50) priority = 'high';
@@ -845,7 +1200,7 @@ function calculatePriorityScore(email) {
 }
 
 // ✅ Helper: Get action recommendation
-function getRecommendation(email, score) {
+function getRecommendation(email, score, verdict) {
   const { priority, urgency } = score;
   
   if (priority === 'high') {
@@ -875,17 +1230,16 @@ function getRecommendation(email, score) {
   }
   
   // Low priority
-  const from = (email.from || '').toLowerCase();
-  if (from.includes('newsletter') || from.includes('noreply')) {
+  if (verdict.action !== 'keep') {
     return {
       action: 'Read later or Archive',
-      reason: 'Newsletter content, not urgent'
+      reason: verdict.reason
     };
   }
   
   return {
-    action: 'Archive',
-    reason: 'Low priority, can be archived'
+    action: 'Read later',
+    reason: 'Low priority, no reply needed'
   };
 }
 // ==========================================
@@ -918,124 +1272,20 @@ router.post('/analyze', async (req, res) => {
 
     console.log(`🔍 Analyzing ${emails.length} emails...`);
 
-    // Analyze each email
-    const recommendations = emails.map(email => {
-      let score = 0;
-      let reasons = [];
-      let category = 'Primary';
-      
-      const from = (email.from || '').toLowerCase();
-      const subject = (email.subject || '').toLowerCase();
-      const snippet = (email.snippet || '').toLowerCase();
-      
-      // 1. Gmail Categories
-      if (email.labelIds?.includes('CATEGORY_PROMOTIONS')) {
-        score += 70;
-        category = 'Promotional';
-        reasons.push('Gmail categorized as promotional');
-      }
-      
-      if (email.labelIds?.includes('CATEGORY_SOCIAL')) {
-        score += 60;
-        category = 'Social Media';
-        reasons.push('Social media notification');
-      }
-      
-      if (email.labelIds?.includes('CATEGORY_UPDATES')) {
-        score += 50;
-        category = 'Newsletter';
-        reasons.push('Newsletter/update email');
-      }
-      
-      // 2. Promo keywords
-      const promoWords = ['sale', 'discount', 'offer', 'deal', 'promo', 'free shipping'];
-      const promoCount = promoWords.filter(w => subject.includes(w) || snippet.includes(w)).length;
-      
-      if (promoCount >= 2) {
-        score += 50;
-        category = category === 'Primary' ? 'Promotional' : category;
-        reasons.push(`${promoCount} promotional keywords found`);
-      }
-      
-      // 3. Unsubscribe link
-      if (snippet.includes('unsubscribe')) {
-        score += 35;
-        reasons.push('Marketing email detected');
-      }
-      
-      // 4. Social media domains
-      const socialDomains = ['facebook.com', 'twitter.com', 'linkedin.com', 'instagram.com'];
-      if (socialDomains.some(d => from.includes(d))) {
-        score += 55;
-        category = 'Social Media';
-        reasons.push('Social media platform');
-      }
-      
-      // 5. Newsletter services
-      const newsletterServices = ['mailchimp', 'sendgrid', 'substack'];
-      if (newsletterServices.some(s => from.includes(s))) {
-        score += 45;
-        category = 'Newsletter';
-        reasons.push('Newsletter service detected');
-      }
-      
-      // 6. Email age
-      try {
-        const emailDate = new Date(email.date);
-        const daysOld = Math.floor((Date.now() - emailDate) / (1000 * 60 * 60 * 24));
-        
-        if (daysOld > 30) {
-          score += 20;
-          reasons.push(`Unopened for ${daysOld}+ days`);
-        }
-      } catch (e) {
-        // Invalid date
-      }
-      
-      // 7. Important protection
-      const important = ['invoice', 'receipt', 'payment', 'urgent'];
-      if (important.some(w => subject.includes(w))) {
-        score -= 40;
-        reasons.push('Contains important keywords');
-        category = 'Receipts';
-      }
-      
-      // 8. Starred emails
-      if (email.labelIds?.includes('STARRED')) {
-        score = 0;
-        category = 'Primary';
-        reasons = ['Email is starred'];
-      }
-      
-      // 9. Decide action
-      let action = 'keep';
-      let confidence = 50;
-      
-      if (score >= 120) {
-        action = 'delete';
-        confidence = 95;
-      } else if (score >= 80) {
-        action = 'archive';
-        confidence = 85;
-      } else if (score >= 50) {
-        action = 'archive';
-        confidence = 70;
-      } else {
-        confidence = Math.max(20, 100 - score);
-      }
-      
-      return {
-        emailId: email.id,
-        from: email.from,
-        subject: email.subject,
-        action: action,
-        reason: reasons.join(' • ') || 'No cleanup needed',
-        category: category,
-        confidence: confidence,
-        score: score,
-        date: email.date
-      };
-    });
+    // Analyze each email with the shared scoring engine
+    const verdicts = await scoringEngine.scoreEmails(emails, { userId: req.user?._id });
+
+    const recommendations = verdicts.map(v => ({
+      emailId: v.emailId,
+      from: v.from,
+      subject: v.subject,
+      action: v.action,
+      reason: v.reason,
+      category: v.category,
+      confidence: v.confidence,
+      score: v.score,
+      date: v.date
+    }));
 
     const summary = {
       total: recommendations.length,
@@ -1054,6 +1304,7 @@ router.post('/analyze', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Analyze endpoint error:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ 
       success: false, 
       error: error.message 
@@ -1065,11 +1316,39 @@ router.post('/analyze', async (req, res) => {
 // ✅ NEW: GROUPED AI SUGGESTIONS FOR AI INSIGHTS
 // ==========================================
 
-router.post('/analyze-grouped', async (req, res) => {
+// Thread mode: act on whole conversations, leaving out any I've sent a message in
+function threadFields(group) {
+  const safe = group.emails.filter(r => !r.thread.replied);
+  const kept = group.emails.length - safe.length;
+
+  return {
+    title: `${group.emails.length} conversations from ${group.domain}`,
+    threads_count: safe.length,
+    emails_count: safe.reduce((sum, r) => sum + r.thread.messageCount, 0),
+    thread_ids: safe.map(r => r.thread.threadId),
+    email_ids: safe.flatMap(r => r.thread.emailIds),
+    ...(kept > 0 && {
+      safety_check: { is_safe: false, failed_check: 'replied_to' },
+      safety_note: `${kept} conversation(s) you replied to will be kept`
+    })
+  };
+}
+
+// Thread mode reads the conversations from the mailbox, so it needs a signed-in Gmail account
+const requireMailboxForThreads = (req, res, next) => {
+  if (!req.body?.byThread) return next();
+  protect(req, res, () => resolveAccount(req, res, () => requireGmail(req, res, next)));
+};
+
+// Body: { emails, byThread?: boolean }
+// byThread scores whole conversations (any message sent by me keeps the thread)
+// and returns thread_ids to pass to /archive or /delete
+router.post('/analyze-grouped', requireMailboxForThreads, async (req, res) => {
   try {
     console.log('🧠 POST /api/email/analyze-grouped called');
     
-    const { emails } = req.body;
+    const { byThread = false } = req.body;
+    let { emails } = req.body;
 
     if (!emails || !Array.isArray(emails) || emails.length === 0) {
       return res.json({
@@ -1079,105 +1358,32 @@ router.post('/analyze-grouped', async (req, res) => {
       });
     }
 
-    console.log(`🔍 Analyzing ${emails.length} emails...`);
-
-    // ✅ STEP 1: Analyze each email (reuse existing logic)
-    const recommendations = emails.map(email => {
-      let score = 0;
-      let reasons = [];
-      let category = 'Primary';
-      
-      const from = (email.from || '').toLowerCase();
-      const subject = (email.subject || '').toLowerCase();
-      const snippet = (email.snippet || '').toLowerCase();
-      
-      // Gmail Categories
-      if (email.labelIds?.includes('CATEGORY_PROMOTIONS')) {
-        score += 70;
-        category = 'Promotional';
-        reasons.push('PROMOTIONAL_CONTENT');
-      }
-      
-      if (email.labelIds?.includes('CATEGORY_SOCIAL')) {
-        score += 60;
-        category = 'Social Media';
-        reasons.push('SOCIAL_NOTIFICATION');
-      }
-      
-      if (email.labelIds?.includes('CATEGORY_UPDATES')) {
-        score += 50;
-        category = 'Newsletter';
-        reasons.push('NEWSLETTER_CONTENT');
-      }
-      
-      // Promo keywords
-      const promoWords = ['sale', 'discount', 'offer', 'deal', 'promo', 'free shipping'];
-      const promoCount = promoWords.filter(w => subject.includes(w) || snippet.includes(w)).length;
-      
-      if (promoCount >= 2) {
-        score += 50;
-        category = category === 'Primary' ? 'Promotional' : category;
-        reasons.push('PROMOTIONAL_KEYWORDS');
-      }
-      
-      if (snippet.includes('unsubscribe')) {
-        score += 35;
-        reasons.push('MARKETING_EMAIL');
-      }
-      
-      // Email age
-      try {
-        const emailDate = new Date(email.date);
-        const daysOld = Math.floor((Date.now() - emailDate) / (1000 * 60 * 60 * 24));
-        
-        if (daysOld > 30) {
-          score += 20;
-          reasons.push('UNOPENED_30_DAYS');
-        }
-      } catch (e) {}
-      
-      // Important protection
-      const important = ['invoice', 'receipt', 'payment', 'urgent'];
-      if (important.some(w => subject.includes(w))) {
-        score -= 40;
-        reasons.push('IMPORTANT_KEYWORDS');
-        category = 'Receipts';
-      }
-      
-      // Starred protection
-      if (email.labelIds?.includes('STARRED')) {
-        score = 0;
-        category = 'Primary';
-        reasons = ['STARRED_EMAIL'];
-      }
-      
-      // Decide action & confidence
-      let action = 'KEEP';
-      let confidence = 'LOW';
-      
-      if (score >= 120) {
-        action = 'DELETE_ALL';
-        confidence = 'VERY_HIGH';
-      } else if (score >= 80) {
-        action = 'ARCHIVE_ALL';
-        confidence = 'HIGH';
-      } else if (score >= 50) {
-        action = 'ARCHIVE_ALL';
-        confidence = 'MEDIUM';
-      }
-      
-      return {
-        emailId: email.id,
-        from: email.from,
-        subject: email.subject,
-        date: email.date,
-        action,
-        reasons,
-        category,
-        confidence,
-        score
-      };
-    });
+    // ✅ Thread mode: swap the messages for one summary per conversation
+    if (byThread) {
+      const threadIds = [...new Set(emails.map(e => e.threadId).filter(Boolean))];
+      emails = await gmailService.getThreadSummaries(req.accountTokens, threadIds, {
+        myAddress: req.account?.email || req.user.email
+      });
+    }
+    const threads = new Map(emails.filter(e => e.emailIds).map(e => [e.emailId, e]));
+
+    console.log(`🔍 Analyzing ${emails.length} ${byThread ? 'threads' : 'emails'}...`);
+
+    // ✅ STEP 1: Analyze each email with the shared scoring engine
+    const verdicts = await scoringEngine.scoreEmails(emails, { userId: req.user?._id });
+
+    const recommendations = verdicts.map(v => ({
+      emailId: v.emailId,
+      thread: threads.get(v.emailId) || null,
+      from: v.from,
+      subject: v.subject,
+      date: v.date,
+      action: scoringEngine.toGroupAction(v.action),
+      reasons: v.reasons.map(r => r.code),
+      category: v.category,
+      confidence: scoringEngine.toConfidenceLevel(v.confidence),
+      score: v.score
+    }));
 
     // ✅ STEP 2: GROUP BY SENDER DOMAIN
     const groups = {};
@@ -1242,7 +1448,8 @@ router.post('/analyze-grouped', async (req, res) => {
             subject: e.subject,
             date: e.date,
             isUnopened: true
-          }))
+          })),
+          ...(byThread && threadFields(group))
         };
       })
       .sort((a, b) => {
@@ -1251,7 +1458,8 @@ router.post('/analyze-grouped', async (req, res) => {
       });
 
     const statistics = {
-      totalEmails: emails.length,
+      ...(byThread && { totalThreads: emails.length }),
+      totalEmails: byThread ? emails.reduce((sum, e) => sum + e.messageCount, 0) : emails.length,
       groupsFound: Object.keys(groups).length,
       suggestionsGenerated: suggestions.length,
       highConfidence: suggestions.filter(s => s.confidence === 'VERY_HIGH' || s.confidence === 'HIGH').length
@@ -1267,6 +1475,7 @@ router.post('/analyze-grouped', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Analyze-grouped error:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -1278,24 +1487,13 @@ router.post('/analyze-grouped', async (req, res) => {
 // ==========================================
 // ✅ FORWARD EMAIL
 // ==========================================
-router.post('/forward', protect, async (req, res) => {
+router.post('/forward', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     const { emailId, forwardTo } = req.body;
     if (!emailId || !forwardTo) 
       return res.status(400).json({ success: false, error: 'Missing emailId or forwardTo' });
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-      access_token: req.user.googleTokens.access_token,
-      refresh_token: req.user.googleTokens.refresh_token,
-      expiry_date: req.user.googleTokens.expiry_date
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = createGmailClient(req.accountTokens);
 
     // Fetch original email
     const emailDetail = await gmail.users.messages.get({ 
@@ -1328,6 +1526,7 @@ router.post('/forward', protect, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error forwarding email:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -1335,11 +1534,11 @@ router.post('/forward', protect, async (req, res) => {
 // ==========================================
 // ✅ REPLY TO EMAIL
 // ==========================================
-router.post('/reply', protect, async (req, res) => {
+router.post('/reply', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     console.log('✉️ POST /api/email/reply called');
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ success: false, error: 'Not authenticated' });
     }
 
@@ -1352,18 +1551,7 @@ router.post('/reply', protect, async (req, res) => {
       });
     }
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-      access_token: req.user.googleTokens.access_token,
-      refresh_token: req.user.googleTokens.refresh_token,
-      expiry_date: req.user.googleTokens.expiry_date
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = createGmailClient(req.accountTokens);
 
     console.log('📧 Fetching original email...');
 
@@ -1435,6 +1623,7 @@ router.post('/reply', protect, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error sending reply:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ 
       success: false, 
       error: error.message 
@@ -1444,11 +1633,11 @@ router.post('/reply', protect, async (req, res) => {
 // ==========================================
 // ✅ SEND NEW EMAIL - AI Email Composer
 // ==========================================
-router.post('/send', protect, async (req, res) => {
+router.post('/send', protect, resolveAccount, async (req, res) => {
   try {
     console.log('📤 POST /api/email/send called');
 
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ success: false, error: 'Not authenticated' });
     }
 
@@ -1458,75 +1647,54 @@ router.post('/send', protect, async (req, res) => {
       return res.status(400).json({ success: false, error: 'Missing to, subject, or body' });
     }
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-      access_token: req.user.googleTokens.access_token,
-      refresh_token: req.user.googleTokens.refresh_token,
-      expiry_date: req.user.googleTokens.expiry_date
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
-
-    const profile = await gmail.users.getProfile({ userId: 'me' });
-    const userEmail = profile.data.emailAddress;
-
-    const rawMessage = [
-      `From: ${userEmail}`,
-      `To: ${to}`,
-      `Subject: ${subject}`,
-      `Content-Type: text/plain; charset="UTF-8"`,
-      ``,
-      body
-    ].join('\n');
-
-    const encodedMessage = Buffer.from(rawMessage)
-      .toString('base64')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_')
-      .replace(/=+$/, '');
+    const result = await req.mailProvider.sendEmail(req.accountTokens, { to, subject, body });
 
-    await gmail.users.messages.send({
-      userId: 'me',
-      requestBody: { raw: encodedMessage }
-    });
+    if (!result.success) {
+      if (result.needsReauth) return sendReauthError(res, { needsReauth: true, message: result.error });
+      return res.status(500).json({ success: false, error: result.error });
+    }
 
     console.log(`✅ Email sent to ${to}`);
     res.json({ success: true, message: `Email sent to ${to}` });
 
   } catch (error) {
     console.error('❌ Error sending email:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
+
+// ==========================================
+// ✅ SNOOZED EMAILS - all mailboxes, or one with accountId
+// ==========================================
+router.get('/snoozed', protect, resolveAccount, async (req, res) => {
+  try {
+    const snoozed = await snoozeService.list(
+      req.user._id,
+      req.account ? { accountId: req.account._id } : {}
+    );
+
+    res.json({ success: true, count: snoozed.length, snoozed });
+  } catch (error) {
+    console.error('❌ Error listing snoozed emails:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ==========================================
 // ✅ GET SINGLE EMAIL FULL CONTENT - FOR INBOXVIEW
 // ==========================================
-router.get('/:emailId', protect, async (req, res) => {
+router.get('/:emailId', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     console.log(`📧 GET /api/email/message/${req.params.emailId}`);
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ success: false, error: 'Not authenticated' });
     }
 
     const { emailId } = req.params;
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-      access_token: req.user.googleTokens.access_token,
-      refresh_token: req.user.googleTokens.refresh_token,
-      expiry_date: req.user.googleTokens.expiry_date
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = createGmailClient(req.accountTokens);
 
     console.log('📧 Fetching full email from Gmail...');
 
@@ -1621,6 +1789,7 @@ router.get('/:emailId', protect, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error fetching email:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ 
       success: false, 
       error: error.message 
@@ -1631,28 +1800,17 @@ router.get('/:emailId', protect, async (req, res) => {
 // ==========================================
 // ✅ GET SINGLE EMAIL - FOR INBOXVIEW
 // ==========================================
-router.get('/message/:emailId', protect, async (req, res) => {
+router.get('/message/:emailId', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     console.log(`📧 GET /api/email/message/${req.params.emailId}`);
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ success: false, error: 'Not authenticated' });
     }
 
     const { emailId } = req.params;
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-      access_token: req.user.googleTokens.access_token,
-      refresh_token: req.user.googleTokens.refresh_token,
-      expiry_date: req.user.googleTokens.expiry_date
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = createGmailClient(req.accountTokens);
 
     console.log('📧 Fetching full email from Gmail...');
 
@@ -1747,6 +1905,7 @@ router.get('/message/:emailId', protect, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error fetching email:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ 
       success: false, 
       error: error.message 
@@ -1756,28 +1915,17 @@ router.get('/message/:emailId', protect, async (req, res) => {
 // ==========================================
 // ✅ MARK EMAIL AS NOT SPAM
 // ==========================================
-router.post('/:emailId/not-spam', protect, async (req, res) => {
+router.post('/:emailId/not-spam', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     console.log(`✅ POST /api/email/${req.params.emailId}/not-spam`);
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ success: false, error: 'Not authenticated' });
     }
 
     const { emailId } = req.params;
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-      access_token: req.user.googleTokens.access_token,
-      refresh_token: req.user.googleTokens.refresh_token,
-      expiry_date: req.user.googleTokens.expiry_date
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = createGmailClient(req.accountTokens);
 
     // Remove SPAM label and add to INBOX
     await gmail.users.messages.modify({
@@ -1798,6 +1946,7 @@ router.post('/:emailId/not-spam', protect, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error marking as not spam:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ 
       success: false, 
       error: error.message 
@@ -1805,31 +1954,97 @@ router.post('/:emailId/not-spam', protect, async (req, res) => {
   }
 });
 
+// ==========================================
+// ✅ SNOOZE EMAIL - archive it until a chosen time
+// Body: { until } (date) or { minutes }
+// ==========================================
+router.post('/:emailId/snooze', protect, resolveAccount, requireGmail, async (req, res) => {
+  try {
+    console.log(`😴 POST /api/email/${req.params.emailId}/snooze`);
+
+    if (!req.user || !req.accountTokens) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+
+    const { until, minutes } = req.body;
+    const wakeAt = until
+      ? new Date(until)
+      : new Date(Date.now() + (parseInt(minutes) || 0) * 60 * 1000);
+
+    if (isNaN(wakeAt) || wakeAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Snooze needs a future "until" date or a positive number of "minutes"'
+      });
+    }
+
+    const snoozed = await snoozeService.snooze(req.user, req.accountTokens, req.params.emailId, wakeAt, {
+      accountId: req.account?._id || null,
+      req
+    });
+
+    if (!snoozed) {
+      return res.status(404).json({ success: false, error: 'Email not found' });
+    }
+
+    res.json({
+      success: true,
+      message: `Snoozed until ${wakeAt.toISOString()}`,
+      snoozed
+    });
+  } catch (error) {
+    console.error('❌ Error snoozing email:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==========================================
+// ✅ UNSNOOZE EMAIL - back to the inbox now
+// ==========================================
+router.delete('/:emailId/snooze', protect, resolveAccount, requireGmail, async (req, res) => {
+  try {
+    console.log(`⏰ DELETE /api/email/${req.params.emailId}/snooze`);
+
+    if (!req.user || !req.accountTokens) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+
+    const snoozed = await SnoozedEmail.findOne({
+      userId: req.user._id,
+      accountId: req.account?._id || null,
+      emailId: req.params.emailId,
+      status: 'snoozed'
+    });
+
+    if (!snoozed) {
+      return res.status(404).json({ success: false, error: 'Email is not snoozed' });
+    }
+
+    await snoozeService.wake(snoozed, req.accountTokens, { trigger: 'manual', req });
+
+    res.json({ success: true, message: 'Email moved back to inbox', snoozed });
+  } catch (error) {
+    console.error('❌ Error unsnoozing email:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ==========================================
 // ✅ DELETE EMAIL PERMANENTLY (MOVE TO TRASH)
 // ==========================================
-router.delete('/:emailId', protect, async (req, res) => {
+router.delete('/:emailId', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     console.log(`🗑️ DELETE /api/email/${req.params.emailId}`);
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ success: false, error: 'Not authenticated' });
     }
 
     const { emailId } = req.params;
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-      access_token: req.user.googleTokens.access_token,
-      refresh_token: req.user.googleTokens.refresh_token,
-      expiry_date: req.user.googleTokens.expiry_date
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = createGmailClient(req.accountTokens);
 
     // ✅ CHANGE: Use trash() instead of delete()
     await gmail.users.messages.trash({  // ← Changed from .delete()
@@ -1846,6 +2061,7 @@ router.delete('/:emailId', protect, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error trashing email:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ 
       success: false, 
       error: error.message 
@@ -1855,28 +2071,17 @@ router.delete('/:emailId', protect, async (req, res) => {
 // ==========================================
 // ✅ RESTORE EMAIL FROM TRASH
 // ==========================================
-router.post('/:emailId/restore', protect, async (req, res) => {
+router.post('/:emailId/restore', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     console.log(`♻️ POST /api/email/${req.params.emailId}/restore`);
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ success: false, error: 'Not authenticated' });
     }
 
     const { emailId } = req.params;
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-      access_token: req.user.googleTokens.access_token,
-      refresh_token: req.user.googleTokens.refresh_token,
-      expiry_date: req.user.googleTokens.expiry_date
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = createGmailClient(req.accountTokens);
 
     await gmail.users.messages.untrash({
       userId: 'me',
@@ -1892,6 +2097,7 @@ router.post('/:emailId/restore', protect, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error restoring email:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ 
       success: false, 
       error: error.message 
@@ -1902,57 +2108,31 @@ router.post('/:emailId/restore', protect, async (req, res) => {
 // ==========================================
 // ✅ EMPTY TRASH
 // ==========================================
-router.post('/trash/empty', protect, async (req, res) => {
+router.post('/trash/empty', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     console.log('🗑️ POST /api/email/trash/empty');
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ success: false, error: 'Not authenticated' });
     }
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-      access_token: req.user.googleTokens.access_token,
-      refresh_token: req.user.googleTokens.refresh_token,
-      expiry_date: req.user.googleTokens.expiry_date
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
-
-    const trashList = await gmail.users.messages.list({
-      userId: 'me',
-      labelIds: ['TRASH'],
-      maxResults: 500
+    // Permanent delete runs on the job queue - poll /api/jobs/:id for progress
+    const job = await jobQueue.enqueue(req.user._id, 'trash.empty', {
+      accountId: req.account?._id || null
     });
 
-    if (!trashList.data.messages || trashList.data.messages.length === 0) {
-      return res.json({
-        success: true,
-        message: 'Trash is already empty',
-        count: 0
-      });
-    }
+    console.log(`🗑️ Queued empty trash (job ${job._id})`);
 
-    const emailIds = trashList.data.messages.map(m => m.id);
-    
-    console.log(`🗑️ Marking ${emailIds.length} emails for deletion...`);
-
-    for (const id of emailIds) {
-      await gmail.users.messages.trash({ userId: 'me', id });
-    }
-
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `Marked ${emailIds.length} emails for permanent deletion`,
-      count: emailIds.length
+      message: 'Emptying trash',
+      jobId: job._id,
+      job: job.toStatus()
     });
 
   } catch (error) {
     console.error('❌ Error emptying trash:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
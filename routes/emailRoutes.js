@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { google } = require('googleapis');
+const scoringEngine = require('../services/scoringEngine');
 
 console.log('📮 Loading email routes...');
 
@@ -155,22 +156,20 @@ router.post('/analyze', protect, async (req, res) => {
 
     console.log(`🔍 Analyzing ${emails.length} emails using rule-based system...`);
 
-    // Analyze each email
-    const recommendations = emails.map(email => {
-      const analysis = analyzeEmail(email);
-      
-      return {
-        emailId: email.id,
-        from: email.from,
-        subject: email.subject,
-        action: analysis.action,
-        reason: analysis.reason,
-        category: analysis.category,
-        confidence: analysis.confidence,
-        score: analysis.score,
-        date: email.date
-      };
-    });
+    // Analyze each email with the shared scoring engine
+    const verdicts = await scoringEngine.scoreEmails(emails, { userId: req.user._id });
+
+    const recommendations = verdicts.map(v => ({
+      emailId: v.emailId,
+      from: v.from,
+      subject: v.subject,
+      action: v.action,
+      reason: v.reason,
+      category: v.category,
+      confidence: v.confidence,
+      score: v.score,
+      date: v.date
+    }));
 
 
     // Calculate summary
@@ -203,225 +202,6 @@ router.post('/analyze', protect, async (req, res) => {
   }
 });
 
-// ==========================================
-// ✅ RULE-BASED EMAIL ANALYSIS FUNCTION
-// ==========================================
-
-function analyzeEmail(email) {
-  let score = 0;
-  let reasons = [];
-  let category = 'Primary';
-  
-  const from = (email.from || '').toLowerCase();
-  const subject = (email.subject || '').toLowerCase();
-  const snippet = (email.snippet || '').toLowerCase();
-  
-  // 1. GMAIL'S BUILT-IN CATEGORIZATION (Most reliable!)
-  if (email.labelIds?.includes('CATEGORY_PROMOTIONS')) {
-    score += 70;
-    category = 'Promotional';
-    reasons.push('Gmail categorized as promotional');
-  }
-  
-  if (email.labelIds?.includes('CATEGORY_SOCIAL')) {
-    score += 60;
-    category = 'Social Media';
-    reasons.push('Social media notification');
-  }
-  
-  if (email.labelIds?.includes('CATEGORY_UPDATES')) {
-    score += 50;
-    category = 'Newsletter';
-    reasons.push('Newsletter/update email');
-  }
-  
-  if (email.labelIds?.includes('CATEGORY_FORUMS')) {
-    score += 45;
-    category = 'Forums';
-    reasons.push('Forum notification');
-  }
-  
-  // 2. PROMOTIONAL KEYWORDS
-  const promoKeywords = [
-    'sale', 'discount', '% off', 'deal', 'offer', 'promo',
-    'free shipping', 'limited time', 'shop now', 'buy now',
-    'exclusive offer', 'save now', 'clearance', 'flash sale',
-    'black friday', 'cyber monday', 'coupon', 'voucher'
-  ];
-  
-  const promoMatches = promoKeywords.filter(kw => 
-    subject.includes(kw) || snippet.includes(kw)
-  );
-  
-  if (promoMatches.length >= 2) {
-    score += 50;
-    category = category === 'Primary' ? 'Promotional' : category;
-    reasons.push(`${promoMatches.length} promotional keywords found`);
-  } else if (promoMatches.length === 1) {
-    score += 25;
-  }
-  
-  // 3. UNSUBSCRIBE LINK (Newsletter indicator)
-  if (snippet.includes('unsubscribe') || snippet.includes('opt out') || 
-      snippet.includes('manage preferences')) {
-    score += 35;
-    reasons.push('Contains unsubscribe link (likely marketing)');
-  }
-  
-  // 4. SOCIAL MEDIA PLATFORMS
-  const socialDomains = [
-    'facebook.com', 'facebookmail.com', 'twitter.com', 'x.com',
-    'linkedin.com', 'instagram.com', 'tiktok.com', 'pinterest.com',
-    'reddit.com', 'snapchat.com', 'youtube.com', 'quora.com'
-  ];
-  
-  const socialPhrases = [
-    'liked your', 'commented on', 'shared your', 'mentioned you',
-    'tagged you', 'sent you a message', 'friend request', 'connection request',
-    'new follower', 'started following'
-  ];
-  
-  if (socialDomains.some(d => from.includes(d))) {
-    score += 55;
-    category = 'Social Media';
-    reasons.push('Social media platform');
-  }
-  
-  if (socialPhrases.some(p => subject.includes(p) || snippet.includes(p))) {
-    score += 40;
-    category = category === 'Primary' ? 'Social Media' : category;
-    reasons.push('Social media activity notification');
-  }
-  
-  // 5. NEWSLETTER/MARKETING SERVICES
-  const newsletterDomains = [
-    'substack.com', 'mailchimp', 'sendgrid', 'constantcontact',
-    'campaignmonitor', 'aweber', 'getresponse', 'convertkit',
-    'activecampaign', 'drip', 'klaviyo', 'sendinblue'
-  ];
-  
-  const newsletterKeywords = [
-    'newsletter', 'weekly digest', 'daily digest', 'roundup',
-    'this week in', 'subscribe'
-  ];
-  
-  if (newsletterDomains.some(d => from.includes(d))) {
-    score += 45;
-    category = category === 'Primary' ? 'Newsletter' : category;
-    reasons.push('Sent via newsletter service');
-  }
-  
-  if (newsletterKeywords.some(kw => subject.includes(kw))) {
-    score += 30;
-    reasons.push('Newsletter detected');
-  }
-  
-  // 6. AUTOMATED NOTIFICATIONS
-  const automatedPhrases = [
-    'noreply@', 'no-reply@', 'donotreply@', 'automated',
-    'notification', 'alert', 'reminder', 'confirmation'
-  ];
-  
-  if (automatedPhrases.some(p => from.includes(p) || subject.includes(p))) {
-    score += 20;
-    reasons.push('Automated message');
-  }
-  
-  // 7. AGE OF EMAIL
-  try {
-    const emailDate = new Date(email.date);
-    const now = new Date();
-    const daysOld = Math.floor((now - emailDate) / (1000 * 60 * 60 * 24));
-    
-    if (daysOld > 90) {
-      score += 30;
-      reasons.push(`Email is ${daysOld} days old`);
-    } else if (daysOld > 60) {
-      score += 20;
-      reasons.push(`Email is ${daysOld} days old`);
-    } else if (daysOld > 30) {
-      score += 15;
-      reasons.push(`Unopened for ${daysOld}+ days`);
-    } else if (daysOld > 15) {
-      score += 10;
-    }
-  } catch (error) {
-    // Invalid date, skip age check
-  }
-  
-  // 8. IMPORTANT EMAIL PROTECTION
-  const importantKeywords = [
-    'invoice', 'receipt', 'payment', 'bill', 'statement',
-    'urgent', 'important', 'action required', 'verify',
-    'security', 'password', 'account', 'confirm'
-  ];
-  
-  const personalDomains = ['@gmail.com', '@yahoo.com', '@hotmail.com', '@outlook.com'];
-  
-  if (importantKeywords.some(kw => subject.includes(kw))) {
-    score -= 40; // Reduce cleanup score
-    reasons.push('Contains important keywords');
-    category = 'Receipts';
-  }
-  
-  if (personalDomains.some(d => from.includes(d)) && score < 50) {
-    score -= 20; // Personal emails are more important
-    reasons.push('Personal email address');
-  }
-  
-  // 9. STARRED/IMPORTANT LABELS
-  if (email.labelIds?.includes('STARRED')) {
-    score = 0; // Never cleanup starred emails
-    category = 'Primary';
-    reasons = ['Email is starred'];
-  }
-  
-  if (email.labelIds?.includes('IMPORTANT')) {
-    score -= 50;
-    reasons.push('Marked as important');
-  }
-  
-  // 10. DECIDE ACTION BASED ON SCORE
-  let action = 'keep';
-  let confidence = 0;
-  
-  if (score >= 120) {
-    action = 'delete';
-    confidence = Math.min(95, score - 20);
-  } else if (score >= 80) {
-    action = 'archive';
-    confidence = Math.min(90, score - 10);
-  } else if (score >= 50) {
-    action = 'archive';
-    confidence = Math.min(75, score);
-  } else {
-    action = 'keep';
-    confidence = Math.max(20, 100 - score);
-  }
-  
-  // 11. FINAL SAFETY CHECKS
-  // Never delete emails less than 7 days old
-  try {
-    const emailDate = new Date(email.date);
-    const daysOld = Math.floor((Date.now() - emailDate) / (1000 * 60 * 60 * 24));
-    
-    if (daysOld < 7 && action === 'delete') {
-      action = 'archive';
-      reasons.push('Too recent to delete');
-    }
-  } catch (error) {
-    // Skip check if date is invalid
-  }
-  
-  return {
-    action,
-    category,
-    reason: reasons.length > 0 ? reasons.join(' • ') : 'No cleanup needed',
-    confidence: Math.min(100, Math.max(0, confidence)),
-    score
-  };
-}
-
 // ==========================================
 // ✅ ARCHIVE EMAILS
 // ==========================================
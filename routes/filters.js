@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { google } = require('googleapis');
+const { createGmailClient, isReauthError, sendReauthError } = require('../services/gmailClientFactory');
+const filterService = require('../services/filterService');
+const jobQueue = require('../services/jobQueue');
+const { resolveAccount, requireGmail } = require('../middleware/account');
 
 console.log('🔧 Loading filters routes...');
 
@@ -22,11 +25,11 @@ const protect = (req, res, next) => {
 // ✅ CREATE GMAIL FILTER
 // ==========================================
 
-router.post('/create', protect, async (req, res) => {
+router.post('/create', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     console.log('🔧 POST /api/filters/create called');
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ 
         success: false, 
         error: 'Not authenticated' 
@@ -43,23 +46,9 @@ router.post('/create', protect, async (req, res) => {
     }
 
     console.log('🔧 Creating Gmail filter:', filter.name);
-    console.log('🔐 User googleTokens:', req.user.googleTokens ? 'Present' : 'Missing');
+    console.log('🔐 User googleTokens:', req.accountTokens ? 'Present' : 'Missing');
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    
-    oauth2Client.setCredentials({
-  access_token: req.user.googleTokens.access_token,
-  refresh_token: req.user.googleTokens.refresh_token,
-  scope: req.user.googleTokens.scope,
-  token_type: req.user.googleTokens.token_type,
-  expiry_date: req.user.googleTokens.expiry_date
-});
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = createGmailClient(req.accountTokens);
 
     // Build Gmail filter criteria
     const criteria = buildGmailCriteria(filter.conditions);
@@ -90,6 +79,7 @@ router.post('/create', protect, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error creating Gmail filter:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     
     // ✅ Better error handling for permission issues
     if (error.message && error.message.includes('insufficient')) {
@@ -119,11 +109,11 @@ router.post('/create', protect, async (req, res) => {
 // ✅ LIST ALL GMAIL FILTERS
 // ==========================================
 
-router.get('/list', protect, async (req, res) => {
+router.get('/list', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     console.log('📋 GET /api/filters/list called');
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ 
         success: false, 
         error: 'Not authenticated' 
@@ -149,7 +139,7 @@ router.get('/check', (req, res) => {
   }
 });
 // ✅ Check if user has Google tokens
-if (!req.user.googleTokens || !req.user.googleTokens.access_token) {
+if (!req.accountTokens || !req.accountTokens.access_token) {
   return res.status(403).json({
     success: false,
     error: 'Gmail not connected. Please reconnect your account.',
@@ -157,23 +147,9 @@ if (!req.user.googleTokens || !req.user.googleTokens.access_token) {
   });
 }
 
-console.log('🔐 Using tokens with scope:', req.user.googleTokens.scope);
-
-const oauth2Client = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URI
-);
-
-oauth2Client.setCredentials({
-  access_token: req.user.googleTokens.access_token,
-  refresh_token: req.user.googleTokens.refresh_token,
-  scope: req.user.googleTokens.scope,
-  token_type: req.user.googleTokens.token_type,
-  expiry_date: req.user.googleTokens.expiry_date
-});
+console.log('🔐 Using tokens with scope:', req.accountTokens.scope);
 
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = createGmailClient(req.accountTokens);
 
     const response = await gmail.users.settings.filters.list({
       userId: 'me'
@@ -191,6 +167,7 @@ oauth2Client.setCredentials({
 
   } catch (error) {
     console.error('❌ Error listing Gmail filters:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     
     if (error.code === 401 || error.code === 403) {
       return res.status(403).json({ 
@@ -211,11 +188,11 @@ oauth2Client.setCredentials({
 // ✅ DELETE GMAIL FILTER
 // ==========================================
 
-router.delete('/:filterId', protect, async (req, res) => {
+router.delete('/:filterId', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     console.log('🗑️ DELETE /api/filters/:filterId called');
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ 
         success: false, 
         error: 'Not authenticated' 
@@ -233,20 +210,7 @@ router.delete('/:filterId', protect, async (req, res) => {
 
     console.log('🗑️ Deleting Gmail filter:', filterId);
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-  access_token: req.user.googleTokens.access_token,
-  refresh_token: req.user.googleTokens.refresh_token,
-  scope: req.user.googleTokens.scope,
-  token_type: req.user.googleTokens.token_type,
-  expiry_date: req.user.googleTokens.expiry_date
-});
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = createGmailClient(req.accountTokens);
 
     await gmail.users.settings.filters.delete({
       userId: 'me',
@@ -262,6 +226,7 @@ router.delete('/:filterId', protect, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error deleting Gmail filter:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({ 
       success: false, 
       error: error.message 
@@ -273,11 +238,11 @@ router.delete('/:filterId', protect, async (req, res) => {
 // ✅ APPLY FILTER TO EXISTING EMAILS
 // ==========================================
 
-router.post('/apply', protect, async (req, res) => {
+router.post('/apply', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     console.log('⚡ POST /api/filters/apply called');
     
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({ 
         success: false, 
         error: 'Not authenticated' 
@@ -293,56 +258,19 @@ router.post('/apply', protect, async (req, res) => {
       });
     }
 
-    console.log('⚡ Applying filter to existing emails:', filter.name);
-
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-  access_token: req.user.googleTokens.access_token,
-  refresh_token: req.user.googleTokens.refresh_token,
-  scope: req.user.googleTokens.scope,
-  token_type: req.user.googleTokens.token_type,
-  expiry_date: req.user.googleTokens.expiry_date
-});
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
-
-    const query = buildSearchQuery(filter.conditions);
-    
-    console.log('🔍 Search query:', query);
-
-    const response = await gmail.users.messages.list({
-      userId: 'me',
-      q: query,
-      maxResults: 100
+    // Runs on the job queue - poll /api/jobs/:id for progress
+    const job = await jobQueue.enqueue(req.user._id, 'filters.apply', {
+      filter,
+      accountId: req.account?._id || null
     });
 
-    const messages = response.data.messages || [];
-    
-    if (messages.length === 0) {
-      console.log('ℹ️ No matching emails found');
-      return res.json({
-        success: true,
-        message: 'No matching emails found',
-        count: 0
-      });
-    }
-
-    console.log(`📧 Found ${messages.length} matching emails`);
-
-    const emailIds = messages.map(m => m.id);
-    const actionResults = await applyActionsToEmails(gmail, emailIds, filter.actions);
-
-    console.log(`✅ Applied filter to ${messages.length} emails`);
+    console.log(`⚡ Queued filter "${filter.name}" for existing emails (job ${job._id})`);
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `Filter applied to ${messages.length} email(s)`,
-      count: messages.length,
-      actions: actionResults
+      message: 'Applying filter to existing emails',
+      jobId: job._id,
+      job: job.toStatus()
     });
 
   } catch (error) {
@@ -357,11 +285,11 @@ router.post('/apply', protect, async (req, res) => {
 // ✅ TEST FILTER — Check how many emails match
 // ==========================================
 
-router.post('/test', protect, async (req, res) => {
+router.post('/test', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     console.log('🧪 POST /api/filters/test called');
 
-    if (!req.user || !req.user.googleTokens) {
+    if (!req.user || !req.accountTokens) {
       return res.status(401).json({
         success: false,
         error: 'Not authenticated'
@@ -379,23 +307,9 @@ router.post('/test', protect, async (req, res) => {
 
     console.log('🧪 Testing filter:', filter.name);
 
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials({
-      access_token: req.user.googleTokens.access_token,
-      refresh_token: req.user.googleTokens.refresh_token,
-      scope: req.user.googleTokens.scope,
-      token_type: req.user.googleTokens.token_type,
-      expiry_date: req.user.googleTokens.expiry_date
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = createGmailClient(req.accountTokens);
 
-    // Reuse existing buildSearchQuery helper
-    const query = buildSearchQuery(filter.conditions);
+    const query = filterService.buildSearchQuery(filter.conditions);
     console.log('🔍 Test search query:', query);
 
     if (!query.trim()) {
@@ -453,6 +367,7 @@ router.post('/test', protect, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error testing filter:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
 
     if (error.code === 401 || error.code === 403) {
       return res.status(403).json({
@@ -574,114 +489,4 @@ async function getOrCreateLabel(gmail, labelName) {
   }
 }
 
-function buildSearchQuery(conditions) {
-  const queryParts = [];
-  
-  conditions.forEach(condition => {
-    const { field, operator, value } = condition;
-    
-    if (field === 'sender') {
-      if (operator === 'contains') {
-        queryParts.push(`from:*${value}*`);
-      } else if (operator === 'equals') {
-        queryParts.push(`from:${value}`);
-      } else if (operator === 'ends with') {
-        queryParts.push(`from:*${value}`);
-      }
-    }
-    
-    if (field === 'subject') {
-      if (operator === 'contains') {
-        queryParts.push(`subject:${value}`);
-      } else if (operator === 'equals') {
-        queryParts.push(`subject:"${value}"`);
-      } else if (operator === 'starts with') {
-        queryParts.push(`subject:${value}*`);
-      }
-    }
-    
-    if (field === 'body') {
-      if (operator === 'contains') {
-        queryParts.push(value);
-      }
-    }
-    
-    if (field === 'category') {
-      const categoryMap = {
-        'primary': 'category:primary',
-        'social': 'category:social',
-        'promotions': 'category:promotions',
-        'updates': 'category:updates',
-        'forums': 'category:forums'
-      };
-      
-      const categoryQuery = categoryMap[value.toLowerCase()];
-      if (categoryQuery) {
-        if (operator === 'is') {
-          queryParts.push(categoryQuery);
-        } else if (operator === 'is not') {
-          queryParts.push(`-${categoryQuery}`);
-        }
-      }
-    }
-  });
-  
-  return queryParts.join(' ');
-}
-
-async function applyActionsToEmails(gmail, emailIds, actions) {
-  const results = {
-    labeled: 0,
-    archived: 0,
-    starred: 0
-  };
-  
-  for (const action of actions) {
-    const { type, value } = action;
-    
-    if (type === 'label') {
-      const labelId = await getOrCreateLabel(gmail, value);
-      
-      await gmail.users.messages.batchModify({
-        userId: 'me',
-        requestBody: {
-          ids: emailIds,
-          addLabelIds: [labelId]
-        }
-      });
-      
-      results.labeled = emailIds.length;
-      console.log(`✅ Added label "${value}" to ${emailIds.length} emails`);
-    }
-    
-    if (type === 'archive') {
-      await gmail.users.messages.batchModify({
-        userId: 'me',
-        requestBody: {
-          ids: emailIds,
-          removeLabelIds: ['INBOX']
-        }
-      });
-      
-      results.archived = emailIds.length;
-      console.log(`✅ Archived ${emailIds.length} emails`);
-    }
-    
-    if (type === 'star') {
-      await gmail.users.messages.batchModify({
-        userId: 'me',
-        requestBody: {
-          ids: emailIds,
-          addLabelIds: ['STARRED']
-        }
-      });
-      
-      results.starred = emailIds.length;
-      console.log(`✅ Starred ${emailIds.length} emails`);
-    }
-  }
-  
-  return results;
-}
-
 module.exports = router;
\ No newline at end of file
@@ -1,49 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
-const mongoose = require('mongoose');
-
-// =====================
-// Follow-up Schema - FIXED to use String for userId
-// =====================
-const FollowUpSchema = new mongoose.Schema({
-  userId: {
-    type: String, // ✅ Changed from ObjectId to String (stores Google ID)
-    required: true,
-    index: true
-  },
-  emailId: {
-    type: String,
-    required: true
-  },
-  emailSubject: String,
-  emailFrom: String,
-  followUpDate: {
-    type: Date,
-    required: true
-  },
-  notes: String,
-  priority: {
-    type: String,
-    enum: ['low', 'medium', 'high'],
-    default: 'medium'
-  },
-  status: {
-    type: String,
-    enum: ['pending', 'completed', 'cancelled'],
-    default: 'pending'
-  },
-  notified: {
-    type: Boolean,
-    default: false
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-});
-
-const FollowUp = mongoose.model('FollowUp', FollowUpSchema);
+const { resolveAccount } = require('../middleware/account');
+const FollowUp = require('../models/FollowUp');
+const followUpService = require('../services/followUpService');
+const { isReauthError, sendReauthError } = require('../services/gmailClientFactory');
 
 // ✅ FIXED: Helper function to get userId consistently
 const getUserId = (user) => {
@@ -66,7 +27,7 @@ const getUserId = (user) => {
 // =====================
 // CREATE follow-up - FIXED
 // =====================
-router.post('/create', protect, async (req, res) => {
+router.post('/create', protect, resolveAccount, async (req, res) => {
   try {
     console.log('📝 CREATE FOLLOW-UP called');
     console.log('🔍 User:', {
@@ -100,6 +61,7 @@ router.post('/create', protect, async (req, res) => {
     const followUp = await FollowUp.create({
       userId: userId,
       emailId,
+      accountId: req.account?._id || null,
       emailSubject: emailSubject || 'No subject',
       emailFrom: emailFrom || 'Unknown sender',
       followUpDate: followUpDateTime,
@@ -127,10 +89,35 @@ router.post('/create', protect, async (req, res) => {
   }
 });
 
+// =====================
+// DETECT unanswered sent mail now (login mailbox)
+// =====================
+router.post('/detect', protect, async (req, res) => {
+  try {
+    if (!req.user?.googleTokens) {
+      return res.status(400).json({ success: false, error: 'Gmail not connected' });
+    }
+
+    const result = await followUpService.detectForUser(req.user);
+
+    console.log(`🔎 Follow-up detection: ${result.created} created, ${result.closed} closed`);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Detect follow-ups error:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to detect follow-ups',
+      details: error.message
+    });
+  }
+});
+
 // =====================
 // GET all follow-ups for user - FIXED
 // =====================
-router.get('/', protect, async (req, res) => {
+router.get('/', protect, resolveAccount, async (req, res) => {
   try {
     const { status, priority } = req.query;
     
@@ -139,6 +126,11 @@ router.get('/', protect, async (req, res) => {
     console.log('🔍 Fetching follow-ups for userId:', userId);
     
     const query = { userId: userId };
+
+    // Filter by mailbox if an accountId was given
+    if (req.account) {
+      query.accountId = req.account._id;
+    }
     
     // Filter by status if provided
     if (status) {
@@ -352,6 +344,64 @@ router.patch('/:id/complete', protect, async (req, res) => {
   }
 });
 
+// =====================
+// SNOOZE - remind again later
+// Body: { until } (date) or { minutes }
+// =====================
+router.patch('/:id/snooze', protect, async (req, res) => {
+  try {
+    const { until, minutes } = req.body;
+    const userId = getUserId(req.user);
+
+    const snoozeUntil = until
+      ? new Date(until)
+      : new Date(Date.now() + (parseInt(minutes) || 0) * 60 * 1000);
+
+    if (isNaN(snoozeUntil) || snoozeUntil <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Snooze needs a future "until" date or a positive number of "minutes"'
+      });
+    }
+
+    const followUp = await FollowUp.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        userId: userId,
+        status: 'pending'
+      },
+      {
+        followUpDate: snoozeUntil,
+        notified: false
+      },
+      { new: true }
+    );
+
+    if (!followUp) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending follow-up not found'
+      });
+    }
+
+    console.log(`😴 Follow-up ${req.params.id} snoozed until ${snoozeUntil.toISOString()}`);
+
+    res.json({
+      success: true,
+      followUp,
+      message: 'Follow-up snoozed'
+    });
+
+  } catch (error) {
+    console.error('❌ Snooze follow-up error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to snooze follow-up',
+      details: error.message
+    });
+  }
+});
+
 // =====================
 // DELETE follow-up - FIXED
 // =====================
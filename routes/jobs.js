@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobQueue');
+const { protect } = require('../middleware/auth');
+
+const JOB_STATUSES = Job.schema.path('status').enumValues;
+
+// Look up one of the current user's jobs (404 for bad or foreign ids)
+const findUserJob = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Job.findOne({ _id: req.params.id, userId: req.user._id });
+};
+
+// ✅ Recent jobs
+// Query: ?status=queued|running|completed|failed|cancelled&type=filters.apply
+router.get('/', protect, async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const query = { userId: req.user._id };
+
+    if (status !== undefined) {
+      if (!JOB_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+      }
+      query.status = status;
+    }
+    if (type !== undefined) {
+      if (typeof type !== 'string') {
+        return res.status(400).json({ success: false, error: 'type must be a string' });
+      }
+      query.type = type;
+    }
+
+    const jobs = await Job.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(100, parseInt(req.query.limit) || 20));
+
+    res.json({ success: true, jobs: jobs.map(job => job.toStatus()) });
+  } catch (error) {
+    console.error('❌ Error listing jobs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ Status and progress for one job
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const job = await findUserJob(req);
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    res.json({ success: true, job: job.toStatus() });
+  } catch (error) {
+    console.error('❌ Error fetching job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ Cancel a queued or running job
+router.post('/:id/cancel', protect, async (req, res) => {
+  try {
+    const job = await findUserJob(req);
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    if (!['queued', 'running'].includes(job.status)) {
+      return res.status(400).json({ success: false, error: `Job is already ${job.status}` });
+    }
+
+    const updated = await jobQueue.cancel(job);
+
+    console.log(`🛑 Job ${job._id} (${job.type}) cancel requested`);
+
+    res.json({ success: true, job: updated.toStatus() });
+  } catch (error) {
+    console.error('❌ Error cancelling job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,43 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
-const { google } = require('googleapis');
+const { resolveAccount, requireGmail } = require('../middleware/account');
+const { createGmailClient, isReauthError, sendReauthError } = require('../services/gmailClientFactory');
 const User = require('../models/User');
 const logger = require('../utils/logger');
 
-// ✅ FIXED: Helper function to get Gmail client
-const getGmailClient = (user) => {
-  if (!user || !user.googleTokens) {
+// ✅ FIXED: Helper function to get Gmail client for the selected account
+const getGmailClient = (tokens) => {
+  if (!tokens) {
     throw new Error('User not authenticated or missing Google tokens');
   }
 
-  const oauth2Client = new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    process.env.GOOGLE_REDIRECT_URI
-  );
-
-  oauth2Client.setCredentials({
-    access_token: user.googleTokens.access_token,
-    refresh_token: user.googleTokens.refresh_token,
-    scope: user.googleTokens.scope,
-    token_type: user.googleTokens.token_type,
-    expiry_date: user.googleTokens.expiry_date
-  });
-
-  return google.gmail({ version: 'v1', auth: oauth2Client });
+  return createGmailClient(tokens);
 };
 
 // ✅ GET all labels/folders
-router.get('/', protect, async (req, res) => {
+router.get('/', protect, resolveAccount, async (req, res) => {
   try {
-    const gmail = getGmailClient(req.user);
-    
-    const response = await gmail.users.labels.list({
-      userId: 'me',
-    });
+    if (!req.accountTokens) {
+      throw new Error('User not authenticated or missing Google tokens');
+    }
 
-    const labels = response.data.labels || [];
+    const labels = await req.mailProvider.listLabels(req.accountTokens);
     
     // Filter out system labels if you want
     const userLabels = labels.filter(label => 
@@ -55,6 +40,7 @@ router.get('/', protect, async (req, res) => {
 
   } catch (error) {
     logger.error('Get labels error:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({
       success: false,
       error: 'Failed to fetch labels',
@@ -64,7 +50,7 @@ router.get('/', protect, async (req, res) => {
 });
 
 // ✅ CREATE new label/folder
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, resolveAccount, async (req, res) => {
   try {
     const { name, labelListVisibility, messageListVisibility } = req.body;
 
@@ -75,27 +61,34 @@ router.post('/', protect, async (req, res) => {
       });
     }
 
-    const gmail = getGmailClient(req.user);
-
-    const response = await gmail.users.labels.create({
-      userId: 'me',
-      requestBody: {
-        name: name,
-        labelListVisibility: labelListVisibility || 'labelShow',
-        messageListVisibility: messageListVisibility || 'show',
-      },
-    });
+    let label;
+    if (req.mailProvider.name === 'gmail') {
+      const gmail = getGmailClient(req.accountTokens);
+
+      const response = await gmail.users.labels.create({
+        userId: 'me',
+        requestBody: {
+          name: name,
+          labelListVisibility: labelListVisibility || 'labelShow',
+          messageListVisibility: messageListVisibility || 'show',
+        },
+      });
+      label = response.data;
+    } else {
+      label = await req.mailProvider.createLabel(req.accountTokens, name);
+    }
 
     logger.info(`✅ Label created: ${name} for user: ${req.user.email}`);
 
     res.json({
       success: true,
-      label: response.data,
+      label,
       message: `Label "${name}" created successfully`
     });
 
   } catch (error) {
     logger.error('Create label error:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     
     if (error.code === 409 || error.message.includes('already exists')) {
       return res.status(409).json({
@@ -114,12 +107,12 @@ router.post('/', protect, async (req, res) => {
 });
 
 // ✅ UPDATE label (rename or change visibility)
-router.put('/:labelId', protect, async (req, res) => {
+router.put('/:labelId', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     const { labelId } = req.params;
     const { name, labelListVisibility, messageListVisibility } = req.body;
 
-    const gmail = getGmailClient(req.user);
+    const gmail = getGmailClient(req.accountTokens);
 
     const updateData = {};
     if (name) updateData.name = name;
@@ -142,6 +135,7 @@ router.put('/:labelId', protect, async (req, res) => {
 
   } catch (error) {
     logger.error('Update label error:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({
       success: false,
       error: 'Failed to update label',
@@ -151,11 +145,11 @@ router.put('/:labelId', protect, async (req, res) => {
 });
 
 // ✅ DELETE label/folder
-router.delete('/:labelId', protect, async (req, res) => {
+router.delete('/:labelId', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     const { labelId } = req.params;
 
-    const gmail = getGmailClient(req.user);
+    const gmail = getGmailClient(req.accountTokens);
 
     await gmail.users.labels.delete({
       userId: 'me',
@@ -171,6 +165,7 @@ router.delete('/:labelId', protect, async (req, res) => {
 
   } catch (error) {
     logger.error('Delete label error:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({
       success: false,
       error: 'Failed to delete label',
@@ -180,7 +175,7 @@ router.delete('/:labelId', protect, async (req, res) => {
 });
 
 // ✅ APPLY label to emails
-router.post('/apply', protect, async (req, res) => {
+router.post('/apply', protect, resolveAccount, async (req, res) => {
   try {
     const { emailIds, labelIds } = req.body;
 
@@ -198,15 +193,11 @@ router.post('/apply', protect, async (req, res) => {
       });
     }
 
-    const gmail = getGmailClient(req.user);
+    if (!req.accountTokens) {
+      throw new Error('User not authenticated or missing Google tokens');
+    }
 
-    await gmail.users.messages.batchModify({
-      userId: 'me',
-      requestBody: {
-        ids: emailIds,
-        addLabelIds: labelIds,
-      },
-    });
+    await req.mailProvider.addLabels(req.accountTokens, emailIds, labelIds);
 
     logger.info(`✅ Labels applied to ${emailIds.length} emails for user: ${req.user.email}`);
 
@@ -219,6 +210,7 @@ router.post('/apply', protect, async (req, res) => {
 
   } catch (error) {
     logger.error('Apply labels error:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({
       success: false,
       error: 'Failed to apply labels',
@@ -228,7 +220,7 @@ router.post('/apply', protect, async (req, res) => {
 });
 
 // ✅ REMOVE label from emails
-router.post('/remove', protect, async (req, res) => {
+router.post('/remove', protect, resolveAccount, requireGmail, async (req, res) => {
   try {
     const { emailIds, labelIds } = req.body;
 
@@ -246,7 +238,7 @@ router.post('/remove', protect, async (req, res) => {
       });
     }
 
-    const gmail = getGmailClient(req.user);
+    const gmail = getGmailClient(req.accountTokens);
 
     await gmail.users.messages.batchModify({
       userId: 'me',
@@ -267,6 +259,7 @@ router.post('/remove', protect, async (req, res) => {
 
   } catch (error) {
     logger.error('Remove labels error:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
     res.status(500).json({
       success: false,
       error: 'Failed to remove labels',
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const planningController = require('../controllers/planningController');
 const auth = require('../middleware/auth');
+const { resolveAccount, requireGmail } = require('../middleware/account');
 // const { requirePremium } = require('../middleware/subscription'); // ✅ REMOVED
 
 // All routes require authentication only (no premium check)
@@ -18,6 +19,10 @@ router.get('/tasks', planningController.getTasks);
 router.put('/tasks/:taskId', planningController.updateTask);
 router.delete('/tasks/:taskId', planningController.deleteTask);
 
+// Tasks from email
+router.post('/tasks/from-email/scan', planningController.scanEmailsForTasks);
+router.post('/tasks/from-email/:emailId', resolveAccount, requireGmail, planningController.createTaskFromEmail);
+
 // Task Actions
 router.post('/tasks/:taskId/reschedule', planningController.rescheduleTask);
 router.post('/tasks/:taskId/complete', planningController.completeTask);
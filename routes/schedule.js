@@ -52,6 +52,11 @@ router.get('/get', isAuthenticated, async (req, res) => {
         confidence_level: schedule.confidenceLevel,
         categories: schedule.categories,
         action: schedule.action,
+        dry_run: schedule.dryRun,
+        group_by_thread: schedule.groupByThread,
+        per_run_budget: schedule.perRunBudget,
+        backlog_in_progress: !!schedule.pageCursor,
+        pass_scanned: schedule.passScanned,
         next_run: schedule.nextRun,
         total_runs: schedule.totalRuns,
         total_emails_processed: schedule.totalEmailsProcessed
@@ -75,13 +80,23 @@ router.post('/save', isAuthenticated, async (req, res) => {
       dayOfMonth,
       confidenceLevel,
       categories,
-      action
+      action,
+      dryRun,
+      groupByThread,
+      perRunBudget
     } = req.body;
 
     if (!type || !time) {
       return res.status(400).json({ error: 'Schedule type and time are required' });
     }
 
+    const budgetLimits = Schedule.schema.path('perRunBudget').options;
+    const hasBudget = perRunBudget !== undefined && perRunBudget !== null && perRunBudget !== '';
+    if (hasBudget && !(Number.isInteger(Number(perRunBudget)) &&
+        Number(perRunBudget) >= budgetLimits.min && Number(perRunBudget) <= budgetLimits.max)) {
+      return res.status(400).json({ error: `perRunBudget must be a whole number from ${budgetLimits.min} to ${budgetLimits.max}` });
+    }
+
     // Deactivate existing schedules
     await Schedule.updateMany(
       { userId, isActive: true },
@@ -100,6 +115,9 @@ router.post('/save', isAuthenticated, async (req, res) => {
         confidenceLevel: confidenceLevel || 'high',
         categories: categories || [],
         action: action || 'archive',
+        dryRun: !!dryRun,
+        groupByThread: !!groupByThread,
+        perRunBudget: hasBudget ? Number(perRunBudget) : undefined,
         timezone: 'Asia/Manila',
         nextRun,
         isActive: true
@@ -108,7 +126,9 @@ router.post('/save', isAuthenticated, async (req, res) => {
       res.json({ 
         success: true, 
         schedule,
-        message: `Schedule created! Next cleanup: ${nextRun.toLocaleString()}`
+        message: schedule.dryRun
+          ? `Dry-run schedule created! Next preview: ${nextRun.toLocaleString()}`
+          : `Schedule created! Next cleanup: ${nextRun.toLocaleString()}`
       });
     } else {
       res.json({ 
@@ -122,6 +142,48 @@ router.post('/save', isAuthenticated, async (req, res) => {
   }
 });
 
+// Preview a cleanup: returns the exact emails a schedule would touch, changes nothing
+router.post('/preview', isAuthenticated, async (req, res) => {
+  try {
+    const schedulerService = require('../services/schedulerService');
+    const { confidenceLevel, action, groupByThread } = req.body;
+
+    const activeSchedule = await Schedule.findOne({ 
+      userId: req.user.id, 
+      isActive: true 
+    }).sort({ createdAt: -1 });
+
+    const schedule = {
+      confidenceLevel: confidenceLevel || activeSchedule?.confidenceLevel || 'high',
+      action: action || activeSchedule?.action || 'archive',
+      groupByThread: groupByThread ?? activeSchedule?.groupByThread ?? false,
+      perRunBudget: activeSchedule?.perRunBudget
+    };
+
+    // Resume where the next run will (read-only - the cursor isn't saved).
+    // Message and thread cursors aren't interchangeable, so only reuse a matching one.
+    if (activeSchedule && !!activeSchedule.groupByThread === !!schedule.groupByThread) {
+      schedule.pageCursor = activeSchedule.pageCursor;
+      schedule.passScanned = activeSchedule.passScanned;
+    }
+
+    const preview = await schedulerService.previewCleanup(schedule, req.user);
+
+    res.json({
+      success: true,
+      scanned: preview.scanned,
+      has_more: preview.progress.hasMore,
+      action: preview.action,
+      confidence_level: preview.confidenceLevel,
+      total: preview.emails.length,
+      emails: preview.emails
+    });
+  } catch (error) {
+    console.error('Error previewing schedule:', error);
+    res.status(500).json({ error: 'Failed to preview schedule' });
+  }
+});
+
 // Get execution history
 router.get('/history', isAuthenticated, async (req, res) => {
   try {
@@ -133,9 +195,13 @@ router.get('/history', isAuthenticated, async (req, res) => {
       history: history.map(log => ({
         id: log._id,
         emails_processed: log.emailsProcessed,
+        bytes_freed: log.bytesFreed || 0,
         action_taken: log.actionTaken,
         status: log.status,
-        executed_at: log.executedAt
+        executed_at: log.executedAt,
+        dry_run: log.dryRun,
+        would_process: log.previewEmails,
+        progress: log.progress
       }))
     });
   } catch (error) {
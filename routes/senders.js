@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const SenderAnalytics = require('../models/SenderAnalytics');
+const SenderBulkAction = require('../models/SenderBulkAction');
+const senderBulkService = require('../services/senderBulkService');
+const { protect } = require('../middleware/auth');
+const { resolveAccount, requireGmail } = require('../middleware/account');
+const { isEmailAddress, isHostname } = require('../utils/validation');
+
+const BULK_ACTIONS = ['archive', 'delete', 'label', 'mark_read'];
+
+// Shape a run for the client (progress handle)
+const toProgress = (run) => ({
+  id: run._id,
+  accountId: run.accountId,
+  sender: run.sender,
+  domain: run.domain,
+  action: run.action,
+  labelName: run.labelName,
+  status: run.status,
+  processed: run.processed,
+  totalEstimate: run.totalEstimate,
+  percent: run.totalEstimate ? Math.min(100, Math.round((run.processed / run.totalEstimate) * 100)) : 0,
+  batchId: run.batchId,
+  jobId: run.jobId,
+  error: run.error,
+  startedAt: run.startedAt,
+  completedAt: run.completedAt
+});
+
+// ✅ List senders (from SenderAnalytics), biggest first
+router.get('/', protect, async (req, res) => {
+  try {
+    const limit = Math.min(200, parseInt(req.query.limit) || 50);
+    const query = { userId: req.user._id };
+    if (req.query.domain) query.senderDomain = req.query.domain.toLowerCase();
+
+    const senders = await SenderAnalytics.find(query)
+      .sort({ totalEmails: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ success: true, senders });
+  } catch (error) {
+    console.error('❌ Error listing senders:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ Act on every message from a sender or domain
+// Body: { sender | domain, action: archive|delete|label|mark_read, labelName? }
+router.post('/bulk-action', protect, resolveAccount, requireGmail, async (req, res) => {
+  try {
+    if (!req.user || !req.accountTokens) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+
+    const { action, labelName } = req.body;
+    const sender = typeof req.body.sender === 'string' ? req.body.sender.toLowerCase().trim() : '';
+    const domain = typeof req.body.domain === 'string' ? req.body.domain.toLowerCase().trim().replace(/^@/, '') : '';
+
+    if (!sender && !domain) {
+      return res.status(400).json({ success: false, error: 'Provide a sender or domain' });
+    }
+    // These become a Gmail search - only plain values, never search operators
+    if (sender ? !isEmailAddress(sender) : !isHostname(domain)) {
+      return res.status(400).json({ success: false, error: sender ? 'sender must be an email address' : 'domain must be a hostname' });
+    }
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ success: false, error: `Action must be one of: ${BULK_ACTIONS.join(', ')}` });
+    }
+    if (action === 'label' && !labelName) {
+      return res.status(400).json({ success: false, error: 'labelName is required for label' });
+    }
+
+    const run = await senderBulkService.start(req.user, {
+      sender,
+      domain,
+      action,
+      labelName,
+      accountId: req.account?._id || null
+    });
+
+    console.log(`🧹 Sender bulk ${action} started for ${sender || domain} (run ${run._id})`);
+
+    res.status(202).json({ success: true, run: toProgress(run) });
+  } catch (error) {
+    console.error('❌ Error starting sender bulk action:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ Recent runs
+router.get('/bulk-action', protect, async (req, res) => {
+  try {
+    const runs = await SenderBulkAction.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({ success: true, runs: runs.map(toProgress) });
+  } catch (error) {
+    console.error('❌ Error listing sender bulk actions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ Progress for one run
+router.get('/bulk-action/:runId', protect, async (req, res) => {
+  try {
+    const run = await SenderBulkAction.findOne({ _id: req.params.runId, userId: req.user._id });
+
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+
+    res.json({ success: true, run: toProgress(run) });
+  } catch (error) {
+    console.error('❌ Error fetching sender bulk action:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -17,6 +17,9 @@ router.post('/preferences/reset', isAuthenticated, settingsController.resetPrefe
 // Get all connected accounts
 router.get('/connected-accounts', isAuthenticated, settingsController.getConnectedAccounts);
 
+// Connect a Yahoo / IMAP mailbox with an app password
+router.post('/connected-accounts/imap', isAuthenticated, settingsController.connectImapAccount);
+
 // Disconnect an account
 router.delete('/connected-accounts/:accountId', isAuthenticated, settingsController.disconnectAccount);
 
@@ -26,6 +29,10 @@ router.put('/connected-accounts/:accountId', isAuthenticated, settingsController
 // Sync account data
 router.post('/connected-accounts/:accountId/sync', isAuthenticated, settingsController.syncAccount);
 
+// Enable / disable Gmail push notifications (users.watch)
+router.post('/connected-accounts/:accountId/watch', isAuthenticated, settingsController.watchAccount);
+router.delete('/connected-accounts/:accountId/watch', isAuthenticated, settingsController.unwatchAccount);
+
 // ==================== SUBSCRIPTION ROUTES ====================
 // Get current subscription
 router.get('/subscription/current', isAuthenticated, settingsController.getCurrentSubscription);
@@ -62,12 +69,22 @@ router.get('/email-rules', isAuthenticated, settingsController.getEmailRules);
 // Create email rule
 router.post('/email-rules', isAuthenticated, settingsController.createEmailRule);
 
+// Run email rules now (on new mail since the last run)
+router.post('/email-rules/run', isAuthenticated, settingsController.runEmailRules);
+
 // Update email rule
 router.put('/email-rules/:ruleId', isAuthenticated, settingsController.updateEmailRule);
 
 // Delete email rule
 router.delete('/email-rules/:ruleId', isAuthenticated, settingsController.deleteEmailRule);
 
+// ==================== SAFETY RULES ====================
+// Get cleanup safety rules (protected keywords, never-archive senders)
+router.get('/safety-rules', isAuthenticated, settingsController.getSafetyRules);
+
+// Update cleanup safety rules
+router.put('/safety-rules', isAuthenticated, settingsController.updateSafetyRules);
+
 // ==================== DATA EXPORT ====================
 // Export user data
 router.post('/export-data', isAuthenticated, settingsController.exportUserData);
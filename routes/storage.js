@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const User = require('../models/User');
+const storageService = require('../services/storageService');
+const jobQueue = require('../services/jobQueue');
+const { protect } = require('../middleware/auth');
+const { resolveAccount, requireGmail } = require('../middleware/account');
+const { isReauthError, sendReauthError } = require('../services/gmailClientFactory');
+
+const MAX_RECLAIM = 2000;
+const MB = 1024 * 1024;
+
+// ✅ Find what uses the most storage
+// Query: minSizeMb (default 1), olderThanDays, attachmentsOnly=true, limit (max 2000)
+router.get('/scan', protect, resolveAccount, requireGmail, async (req, res) => {
+  try {
+    if (!req.user || !req.accountTokens) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+
+    const minSizeMb = parseFloat(req.query.minSizeMb);
+    const olderThanDays = parseInt(req.query.olderThanDays);
+
+    const report = await storageService.scan(req.accountTokens, {
+      minSizeBytes: minSizeMb > 0 ? minSizeMb * MB : MB,
+      olderThanDays: olderThanDays > 0 ? olderThanDays : null,
+      attachmentsOnly: req.query.attachmentsOnly === 'true',
+      limit: parseInt(req.query.limit) || 500
+    });
+
+    console.log(`💾 Storage scan: ${report.scanned} emails, ${(report.totalBytes / MB).toFixed(1)} MB`);
+
+    res.json({ success: true, reclaimableBytes: report.totalBytes, ...report });
+  } catch (error) {
+    console.error('❌ Error scanning storage:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ Delete large emails, optionally exporting their attachments first
+// Body: { emailIds, exportAttachments?: boolean, permanent?: boolean }
+// permanent skips Trash (frees quota now, cannot be undone)
+router.post('/reclaim', protect, resolveAccount, requireGmail, async (req, res) => {
+  try {
+    if (!req.user || !req.accountTokens) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+
+    const { emailIds, exportAttachments = false, permanent = false } = req.body;
+
+    if (!Array.isArray(emailIds) || emailIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'emailIds array is required' });
+    }
+    if (emailIds.length > MAX_RECLAIM) {
+      return res.status(400).json({ success: false, error: `At most ${MAX_RECLAIM} emails per request` });
+    }
+
+    // ✅ Track cleanup usage for free/trial users (5+ emails = 1 cleanup)
+    if (emailIds.length >= 5) {
+      const user = await User.findById(req.user._id);
+      try {
+        await user.useCleanup();
+      } catch (error) {
+        return res.status(403).json({ success: false, message: error.message, needsUpgrade: true });
+      }
+    }
+
+    const exportId = exportAttachments ? crypto.randomUUID() : null;
+    const job = await jobQueue.enqueue(req.user._id, 'storage.reclaim', {
+      emailIds,
+      exportId,
+      permanent: !!permanent,
+      accountId: req.account?._id || null
+    });
+
+    console.log(`💾 Queued storage reclaim for ${emailIds.length} emails (job ${job._id})`);
+
+    res.status(202).json({
+      success: true,
+      message: `Reclaiming storage from ${emailIds.length} email(s)`,
+      jobId: job._id,
+      exportId,
+      job: job.toStatus()
+    });
+  } catch (error) {
+    console.error('❌ Error starting storage reclaim:', error);
+    if (isReauthError(error)) return sendReauthError(res, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ Files in an attachment export
+router.get('/exports/:exportId', protect, async (req, res) => {
+  try {
+    const files = await storageService.listExport(req.user._id, req.params.exportId);
+
+    if (!files) {
+      return res.status(404).json({ success: false, error: 'Export not found' });
+    }
+
+    res.json({
+      success: true,
+      exportId: req.params.exportId,
+      files: files.map(file => ({
+        ...file,
+        downloadUrl: `/api/storage/exports/${req.params.exportId}/${encodeURIComponent(file.file)}`
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error listing export:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ Download one exported attachment
+router.get('/exports/:exportId/:file', protect, async (req, res) => {
+  try {
+    const filePath = storageService.resolveExportFile(req.user._id, req.params.exportId, req.params.file);
+    const files = filePath && await storageService.listExport(req.user._id, req.params.exportId);
+
+    if (!files || !files.some(file => file.file === req.params.file)) {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
+
+    res.download(filePath, req.params.file);
+  } catch (error) {
+    console.error('❌ Error downloading export file:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const stripe = require('../config/stripe');
 const paymentService = require('../services/paymentService');
+const gmailPushService = require('../services/gmailPushService');
 const logger = require('../utils/logger');
 
 router.post('/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
@@ -26,4 +28,47 @@ router.post('/paypal', async (req, res) => {
   }
 });
 
+// Push token check - fails closed when GMAIL_PUSH_TOKEN isn't configured
+const isValidPushToken = (token) => {
+  const expected = process.env.GMAIL_PUSH_TOKEN;
+  if (!expected || typeof token !== 'string') return false;
+
+  const a = Buffer.from(token);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Gmail push notifications (Pub/Sub push subscription)
+// Body: { message: { data: base64({ emailAddress, historyId }), messageId }, subscription }
+router.post('/gmail', async (req, res) => {
+  if (!isValidPushToken(req.query.token)) {
+    if (!process.env.GMAIL_PUSH_TOKEN) {
+      logger.warn('Gmail push rejected: GMAIL_PUSH_TOKEN is not configured');
+    }
+    return res.status(403).send('Invalid push token');
+  }
+
+  let notification;
+  try {
+    notification = JSON.parse(Buffer.from(req.body.message.data, 'base64').toString('utf-8'));
+  } catch (error) {
+    logger.error('Gmail push payload error:', error.message);
+    return res.status(400).send('Invalid push payload');
+  }
+
+  if (!notification.emailAddress || !notification.historyId) {
+    return res.status(400).send('Invalid push payload');
+  }
+
+  try {
+    const result = await gmailPushService.handleNotification(notification);
+    logger.info(`Gmail push for ${notification.emailAddress}: ${result.processed} new emails`);
+  } catch (error) {
+    // Still acknowledge - Pub/Sub would otherwise redeliver the same push forever
+    logger.error('Gmail push handling error:', error);
+  }
+
+  res.status(204).end();
+});
+
 module.exports = router;
\ No newline at end of file
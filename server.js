@@ -38,6 +38,9 @@ require('./models/BetaSignup');
 require('./models/ConnectedAccount');
 require('./models/EmailAction');
 require('./models/SenderAnalytics');
+require('./models/Email');
+require('./models/SenderBulkAction');
+require('./models/Job');
 require('./models/Activity'); // ✅ NEW: Activity logging model
 
 // Verify models loaded
@@ -58,6 +61,8 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Exported email attachments are private - served by /api/storage/exports only
+app.use('/uploads/attachments', (req, res) => res.status(404).end());
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // =====================
@@ -126,6 +131,9 @@ app.use('/api/schedule', require('./routes/schedule'));
 app.use('/api/planning', require('./routes/planning'));
 app.use('/api/activity', require('./routes/activity')); // ✅ NEW: Activity logging routes
 app.use('/api/ai-email', require('./routes/aiEmail'));
+app.use('/api/senders', require('./routes/senders'));
+app.use('/api/jobs', require('./routes/jobs'));
+app.use('/api/storage', require('./routes/storage'));
 
 console.log('✅ All routes mounted successfully');
 
@@ -184,6 +192,18 @@ cron.schedule('0 0 * * *', async () => {
   }
 });
 
+// ============================================
+// ⏰ CRON JOB: Delete attachment exports after 7 days
+// ============================================
+cron.schedule('30 0 * * *', async () => {
+  try {
+    const storageService = require('./services/storageService');
+    await storageService.cleanupOldExports();
+  } catch (error) {
+    console.error('❌ [CRON] Failed to clean up attachment exports:', error);
+  }
+});
+
 // =====================
 // Server Start
 // =====================
@@ -202,4 +222,68 @@ app.listen(PORT, () => {
     console.error('❌ Failed to start scheduler:', error.message);
     console.log('⚠️ Server will continue without auto-cleanup scheduler');
   }
+
+  // ✅ Start email rules engine
+  try {
+    const emailRulesService = require('./services/emailRulesService');
+    emailRulesService.start();
+  } catch (error) {
+    console.error('❌ Failed to start email rules engine:', error.message);
+  }
+
+  // ✅ Start follow-up detection
+  try {
+    const followUpService = require('./services/followUpService');
+    followUpService.start();
+  } catch (error) {
+    console.error('❌ Failed to start follow-up detection:', error.message);
+  }
+
+  // ✅ Start follow-up reminder emails
+  try {
+    const followUpReminderService = require('./services/followUpReminderService');
+    followUpReminderService.start();
+  } catch (error) {
+    console.error('❌ Failed to start follow-up reminders:', error.message);
+  }
+
+  // ✅ Start snooze wake-ups
+  try {
+    const snoozeService = require('./services/snoozeService');
+    snoozeService.start();
+  } catch (error) {
+    console.error('❌ Failed to start snooze wake-ups:', error.message);
+  }
+
+  // ✅ Start email-to-task scan
+  try {
+    const emailTaskService = require('./services/emailTaskService');
+    emailTaskService.start();
+  } catch (error) {
+    console.error('❌ Failed to start email-to-task scan:', error.message);
+  }
+
+  // ✅ Start connected account auto-sync
+  try {
+    const accountSyncService = require('./services/accountSyncService');
+    accountSyncService.start();
+  } catch (error) {
+    console.error('❌ Failed to start account auto-sync:', error.message);
+  }
+
+  // ✅ Start Gmail push watch renewal
+  try {
+    const gmailPushService = require('./services/gmailPushService');
+    gmailPushService.start();
+  } catch (error) {
+    console.error('❌ Failed to start Gmail push service:', error.message);
+  }
+
+  // ✅ Start background job workers
+  try {
+    const jobQueue = require('./services/jobQueue');
+    jobQueue.start();
+  } catch (error) {
+    console.error('❌ Failed to start job queue:', error.message);
+  }
 });
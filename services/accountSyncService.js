@@ -0,0 +1,308 @@
+const cron = require('node-cron');
+const ConnectedAccount = require('../models/ConnectedAccount');
+const SenderAnalytics = require('../models/SenderAnalytics');
+const Email = require('../models/Email');
+const FollowUp = require('../models/FollowUp');
+const gmailService = require('./gmailService');
+const emailRulesService = require('./emailRulesService');
+const logger = require('../utils/logger');
+
+const STALE_LOCK_MS = 10 * 60 * 1000; // A sync "running" longer than this is assumed dead
+const FULL_RESYNC_LOOKBACK_DAYS = 30;
+const FULL_RESYNC_MAX_EMAILS = 500;
+const BACKFILL_PAGE_SIZE = 500;
+const BACKFILL_PAGES_PER_SYNC = 4; // The rest of the inbox follows on later syncs
+
+/**
+ * Connected account sync - incremental via Gmail history.list from the
+ * account's stored historyId, falling back to a full resync when the
+ * cursor is missing or has expired. Keeps the Email metadata mirror current. Push notifications, the auto-sync
+ * cron and manual syncs all go through here so they share one cursor.
+ */
+class AccountSyncService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  start() {
+    cron.schedule('* * * * *', async () => {
+      if (this.isRunning) return;
+
+      this.isRunning = true;
+      await this.syncDueAccounts();
+      this.isRunning = false;
+    });
+
+    console.log('✅ Account auto-sync started (honours settings.syncInterval)');
+  }
+
+  /**
+   * Sync every auto-sync account whose syncInterval has elapsed
+   */
+  async syncDueAccounts() {
+    try {
+      const accounts = await ConnectedAccount.find({
+        provider: 'gmail',
+        'settings.autoSync': true,
+        status: { $ne: 'disconnected' }
+      }).populate('userId');
+
+      const now = Date.now();
+      const due = accounts.filter(account =>
+        !account.lastSync || now - account.lastSync.getTime() >= account.settings.syncInterval
+      );
+
+      for (const account of due) {
+        await this.syncAccount(account, { trigger: 'cron' });
+      }
+    } catch (error) {
+      console.error('❌ Account auto-sync error:', error);
+    }
+  }
+
+  /**
+   * Sync one account. trigger: 'manual' | 'cron' | 'push'
+   * Returns { mode: 'incremental' | 'full' | 'skipped' | 'failed', emailsSynced }
+   */
+  async syncAccount(account, { trigger = 'manual' } = {}) {
+    let locked = false;
+
+    try {
+      locked = await this.acquireLock(account);
+      if (!locked) {
+        logger.info(`Sync already running for ${account.email}, skipping (${trigger})`);
+        return { mode: 'skipped', emailsSynced: 0 };
+      }
+
+      if (!account.populated('userId')) {
+        await account.populate('userId');
+      }
+
+      let result = null;
+
+      if (account.historyId) {
+        result = await this.incrementalSync(account, trigger);
+      }
+      if (!result) {
+        result = await this.fullResync(account);
+      }
+      if (!account.mirrorComplete) {
+        result.emailsSynced += await this.backfillMirror(account);
+      }
+
+      account.emailsSynced = (account.emailsSynced || 0) + result.emailsSynced;
+      account.syncStartedAt = undefined;
+      await account.updateLastSync();
+
+      logger.info(`${result.mode} sync (${trigger}) for ${account.email}: ${result.emailsSynced} emails`);
+      return result;
+    } catch (error) {
+      logger.error(`Sync failed for account ${account.email}:`, error);
+      if (locked) {
+        account.syncStartedAt = undefined;
+        await account.setSyncError(error.message);
+      }
+      return { mode: 'failed', emailsSynced: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Claim the account's sync lock (atomically, so push and cron can't both
+   * walk the same history range)
+   */
+  async acquireLock(account) {
+    const now = new Date();
+    const claimed = await ConnectedAccount.findOneAndUpdate(
+      {
+        _id: account._id,
+        $or: [
+          { syncStartedAt: null },
+          { syncStartedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+        ]
+      },
+      { syncStartedAt: now, syncStatus: 'syncing' },
+      { new: true }
+    );
+
+    if (!claimed) return false;
+
+    account.syncStartedAt = now;
+    account.syncStatus = 'syncing';
+    account.historyId = claimed.historyId;
+    return true;
+  }
+
+  /**
+   * Process history since the stored cursor. Returns null when the cursor
+   * has expired (Gmail answers 404) so the caller can fall back to a full resync.
+   */
+  async incrementalSync(account, trigger = 'manual') {
+    let delta;
+    try {
+      delta = await gmailService.getHistory(account.getTokens(), account.historyId);
+    } catch (error) {
+      if (error.code !== 404) throw error;
+      logger.warn(`History cursor expired for ${account.email}, falling back to full resync`);
+      return null;
+    }
+
+    const emails = await gmailService.getEmailsByIds(account.getTokens(), delta.addedIds);
+    await Email.upsertFromGmail(account.userId._id, account._id, emails);
+    await Email.applyHistory(account.userId._id, delta);
+
+    const inboxIds = new Set(delta.messageIds);
+    await this.processNewEmails(account, emails.filter(email => inboxIds.has(email.emailId)), trigger);
+
+    account.historyId = String(delta.historyId);
+    return { mode: 'incremental', emailsSynced: emails.length };
+  }
+
+  /**
+   * Re-baseline the cursor from the mailbox profile and re-mirror recent mail.
+   * Messages found here aren't fed to rules/analytics - we can't tell which
+   * were already processed.
+   */
+  async fullResync(account) {
+    const tokens = account.getTokens();
+    const profile = await gmailService.getProfile(tokens);
+
+    const since = account.lastSuccessfulSync ||
+      new Date(Date.now() - FULL_RESYNC_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const ids = await gmailService.listMessageIds(tokens, {
+      q: `after:${Math.floor(since.getTime() / 1000)}`,
+      labelIds: null,
+      maxResults: FULL_RESYNC_MAX_EMAILS
+    });
+
+    const emails = await gmailService.getEmailsByIds(tokens, ids, { format: 'metadata' });
+    await Email.upsertFromGmail(account.userId._id, account._id, emails);
+
+    account.historyId = String(profile.historyId);
+
+    // Changes in the gap between cursors are lost - rebuild the inbox mirror
+    account.mirrorComplete = false;
+    account.mirrorPageToken = undefined;
+    account.mirrorBackfillStartedAt = undefined;
+
+    return { mode: 'full', emailsSynced: emails.length };
+  }
+
+  /**
+   * Mirror the whole inbox, a few pages per sync, so listings can switch to
+   * the mirror without dropping older mail. Progress is kept on the account
+   * (saved with the sync); when the last page is done, mirrored messages not
+   * seen since the backfill started have left the inbox.
+   * Returns the number of messages mirrored.
+   */
+  async backfillMirror(account) {
+    const tokens = account.getTokens();
+    let mirrored = 0;
+
+    try {
+      if (!account.mirrorPageToken) {
+        account.mirrorBackfillStartedAt = new Date();
+      }
+
+      for (let page = 0; page < BACKFILL_PAGES_PER_SYNC; page++) {
+        const { ids, nextPageToken } = await gmailService.listMessagePage(tokens, {
+          q: 'in:inbox',
+          pageToken: account.mirrorPageToken,
+          maxResults: BACKFILL_PAGE_SIZE
+        });
+
+        const emails = await gmailService.getEmailsByIds(tokens, ids, { format: 'metadata' });
+        await Email.upsertFromGmail(account.userId._id, account._id, emails);
+        mirrored += emails.length;
+
+        account.mirrorPageToken = nextPageToken || undefined;
+        if (!nextPageToken) {
+          await Email.updateMany(
+            {
+              userId: account.userId._id,
+              accountId: account._id,
+              labels: 'INBOX',
+              syncedAt: { $lt: account.mirrorBackfillStartedAt }
+            },
+            { $pull: { labels: 'INBOX' } }
+          );
+          account.mirrorComplete = true;
+          logger.info(`Inbox mirror complete for ${account.email}`);
+          break;
+        }
+      }
+    } catch (error) {
+      // Keep what was mirrored; the next sync carries on from mirrorPageToken
+      logger.warn(`Inbox backfill for ${account.email} stopped: ${error.message}`);
+    }
+
+    return mirrored;
+  }
+
+  /**
+   * Feed newly delivered emails to everything that reacts to new mail.
+   * Each consumer is isolated so one failure doesn't block the rest.
+   */
+  async processNewEmails(account, emails, trigger = 'sync') {
+    if (emails.length === 0) return;
+
+    const user = account.userId;
+
+    // Email rules act on the user's primary mailbox
+    if (account.isPrimary || account.email === user.email) {
+      try {
+        await emailRulesService.applyToEmails(user, emails, {
+          trigger,
+          tokens: account.getTokens()
+        });
+      } catch (error) {
+        logger.error(`Sync rules failed for ${account.email}:`, error.message);
+      }
+    }
+
+    try {
+      await this.markFollowUpReplies(user, emails, account);
+    } catch (error) {
+      logger.error(`Sync follow-up update failed for ${account.email}:`, error.message);
+    }
+
+    try {
+      await Promise.all(emails.map(email => SenderAnalytics.recordIncoming(user._id, email.from)));
+    } catch (error) {
+      logger.error(`Sync sender analytics failed for ${account.email}:`, error.message);
+    }
+  }
+
+  /**
+   * A new message from someone we're waiting on (or anyone else in the
+   * follow-up's thread) marks their follow-up as replied
+   */
+  async markFollowUpReplies(user, emails, account) {
+    // Follow-ups without an accountId were made on the login mailbox
+    const accountIds = [account._id];
+    if (account.isPrimary || account.email === user.email) accountIds.push(null);
+
+    // Follow-ups are keyed by googleId when there is one (see routes/followups.js)
+    const followUps = await FollowUp.find({
+      userId: { $in: [user.googleId, user._id.toString()].filter(Boolean) },
+      accountId: { $in: accountIds },
+      status: 'pending',
+      replyReceivedAt: null
+    });
+
+    const address = (from) => ((from || '').match(/<(.+?)>/)?.[1] || from || '').toLowerCase().trim();
+
+    for (const followUp of followUps) {
+      const reply = emails.find(email =>
+        email.emailId !== followUp.emailId &&
+        address(email.from) !== account.email.toLowerCase() &&
+        (address(email.from) === address(followUp.emailFrom) ||
+          (!!followUp.threadId && email.threadId === followUp.threadId))
+      );
+      if (!reply) continue;
+
+      await followUp.markReplied(reply.emailId);
+    }
+  }
+}
+
+module.exports = new AccountSyncService();
@@ -1,42 +1,19 @@
 const logger = require('../utils/logger');
 const SenderAnalytics = require('../models/SenderAnalytics');
 const EmailAction = require('../models/EmailAction');
+const scoringEngine = require('./scoringEngine');
+const { loadPreferences } = require('./scoringRules/safety');
 
 class SmartAIService {
   constructor() {
     // AI Configuration
+    // Per-email scoring and safety rules live in the shared scoring engine
     this.config = {
       minGroupSize: 3, // Minimum emails to form a group
-      minConfidenceForDelete: 0.95, // VERY HIGH confidence required for delete
       
       // Age thresholds (days)
-      oldEmailThreshold: 30,
-      veryOldEmailThreshold: 90,
-      
-      // Safety rules
-      safetyRules: {
-        neverDeleteIfReplied: true,
-        neverDeleteHumanSenders: true,
-        neverDeleteImportantKeywords: true,
-        recentEmailThreshold: 7 // Don't delete emails less than 7 days old
-      }
+      oldEmailThreshold: 30
     };
-    
-    // Importance keywords (NEVER suggest delete if present)
-    this.importanceKeywords = [
-      'invoice', 'payment', 'receipt', 'bill', 'charge', 'transaction',
-      'urgent', 'important', 'action required', 'deadline', 'due',
-      'legal', 'contract', 'agreement', 'terms', 'policy',
-      'confirm', 'verification', 'security', 'password', 'account',
-      'meeting', 'schedule', 'appointment', 'interview'
-    ];
-    
-    // Promotional/Low importance patterns
-    this.lowImportancePatterns = [
-      'unsubscribe', 'opt out', 'marketing', 'promotion', 'sale',
-      'discount', 'offer', 'deal', 'free', 'limited time',
-      'newsletter', 'digest', 'update', 'weekly', 'monthly'
-    ];
   }
 
   /**
@@ -46,10 +23,11 @@ class SmartAIService {
     try {
       logger.info(`🧠 Starting smart analysis for ${emails.length} emails`);
       
-      // Step 1: Analyze each email individually
+      // Step 1: Analyze each email individually (safety preferences loaded once)
+      const preferences = await loadPreferences(userId);
       const analyzedEmails = [];
       for (const email of emails) {
-        const analyzed = await this.analyzeEmail(email, userId);
+        const analyzed = await this.analyzeEmail(email, userId, { preferences });
         if (analyzed) {
           analyzedEmails.push(analyzed);
         }
@@ -81,9 +59,9 @@ class SmartAIService {
   /**
    * Analyze single email with safety checks
    */
-  async analyzeEmail(emailMetadata, userId) {
+  async analyzeEmail(emailMetadata, userId, { preferences } = {}) {
     try {
-      const { id, sender, from, subject, snippet, date, labels = [], replied = false } = emailMetadata;
+      const { id, sender, from, subject, snippet, date, replied = false } = emailMetadata;
       
       // Use 'from' if 'sender' is not available
       const emailSender = sender || from || 'Unknown';
@@ -94,15 +72,9 @@ class SmartAIService {
       // Get sender analytics
       const senderAnalytics = await this.getSenderAnalytics(userId, emailSender, senderDomain);
       
-      // Calculate age
-      const ageInDays = this.calculateAge(date);
-      
-      // Detect email characteristics
-      const isUnopened = labels.includes('UNREAD');
-      const hasUnsubscribeLink = snippet?.toLowerCase().includes('unsubscribe');
-      const isHumanSender = this.detectHumanSender(emailSender, senderAnalytics);
-      const hasImportantKeywords = this.detectImportantKeywords(subject, snippet);
-      const hasLowImportancePatterns = this.detectLowImportance(subject, snippet);
+      // Shared verdict + safety checks
+      const verdict = await scoringEngine.scoreEmail(emailMetadata, { userId, senderAnalytics, preferences });
+      const { ageInDays, isUnopened, hasUnsubscribeLink, isHumanSender, hasImportantKeywords, hasLowImportancePatterns } = verdict.signals;
       
       // Importance score
       const importanceScore = this.calculateImportance({
@@ -114,15 +86,6 @@ class SmartAIService {
         isUnopened
       });
       
-      // Safety checks
-      const safetyCheck = this.performSafetyChecks({
-        replied,
-        isHumanSender,
-        hasImportantKeywords,
-        ageInDays,
-        senderAnalytics
-      });
-      
       return {
         id,
         sender: emailSender,
@@ -138,8 +101,14 @@ class SmartAIService {
         hasImportantKeywords,
         hasLowImportancePatterns,
         importanceScore,
-        safetyCheck,
-        category: senderAnalytics.category || this.categorizeEmail(emailSender, subject),
+        safetyCheck: verdict.safety,
+        verdict: {
+          action: verdict.action,
+          confidence: verdict.confidence,
+          score: verdict.score,
+          reason: verdict.reason
+        },
+        category: senderAnalytics.category || verdict.category,
         senderAnalytics
       };
     } catch (error) {
@@ -186,7 +155,6 @@ class SmartAIService {
       
       // Calculate group metrics
       const allUnopened = emails.every(e => e.isUnopened);
-      const allOld = emails.every(e => e.ageInDays >= this.config.oldEmailThreshold);
       const averageAge = emails.reduce((sum, e) => sum + e.ageInDays, 0) / emails.length;
       const hasUnsubscribe = emails.some(e => e.hasUnsubscribeLink);
       const allSafe = emails.every(e => e.safetyCheck.is_safe);
@@ -211,36 +179,27 @@ class SmartAIService {
         reasons.push('promotional_content');
       }
       
-      // Determine action based on safety and metrics
+      // Determine action from the per-email verdicts
+      const allCleanable = emails.every(e => e.verdict.action !== 'keep');
+      const allDelete = emails.every(e => e.verdict.action === 'delete');
+      const minConfidence = Math.min(...emails.map(e => e.verdict.confidence));
+      
       if (!allSafe) {
         // Some emails are not safe to act on
         suggestedActions = [];
         confidence = 'LOW';
         reasons.push('contains_important_emails');
-      } else {
-        // Safe to suggest actions
-        if (allUnopened && allOld && allLowImportance) {
-          // VERY HIGH confidence for archive
-          suggestedActions = ['ARCHIVE_ALL'];
-          confidence = 'VERY_HIGH';
-          
-          // Only suggest delete if EXTREMELY confident
-          if (averageAge >= this.config.veryOldEmailThreshold && category === 'Promotion') {
-            suggestedActions.push('DELETE_ALL');
-            confidence = 'VERY_HIGH';
-          }
-        } else if (allUnopened && allOld) {
-          // HIGH confidence for archive
-          suggestedActions = ['ARCHIVE_ALL'];
-          confidence = 'HIGH';
-        } else if (hasUnsubscribe && allLowImportance) {
-          // MEDIUM confidence for mute/unsubscribe
-          suggestedActions = ['ARCHIVE_ALL', 'MUTE_SENDER'];
-          confidence = 'MEDIUM';
-        } else {
-          // LOW confidence - just archive
-          suggestedActions = ['ARCHIVE_ALL'];
-          confidence = 'LOW';
+      } else if (allCleanable) {
+        suggestedActions = ['ARCHIVE_ALL'];
+        confidence = scoringEngine.toConfidenceLevel(minConfidence);
+        
+        // Only suggest delete if every email's verdict is delete
+        if (allDelete) {
+          suggestedActions.push('DELETE_ALL');
+        }
+        
+        if (hasUnsubscribe && allLowImportance) {
+          suggestedActions.push('MUTE_SENDER');
         }
       }
       
@@ -315,110 +274,6 @@ class SmartAIService {
     return Math.min(1, score);
   }
 
-  /**
-   * Safety checks - NEVER suggest action if fails
-   */
-  performSafetyChecks(factors) {
-    // Check 1: Replied to
-    if (this.config.safetyRules.neverDeleteIfReplied && factors.replied) {
-      return {
-        is_safe: false,
-        failed_check: 'replied_to',
-        reason: 'User has replied to this email - HIGH importance'
-      };
-    }
-    
-    // Check 2: Human sender
-    if (this.config.safetyRules.neverDeleteHumanSenders && factors.isHumanSender) {
-      return {
-        is_safe: false,
-        failed_check: 'human_sender',
-        reason: 'Email from real person - HIGH importance'
-      };
-    }
-    
-    // Check 3: Important keywords
-    if (this.config.safetyRules.neverDeleteImportantKeywords && factors.hasImportantKeywords) {
-      return {
-        is_safe: false,
-        failed_check: 'important_keywords',
-        reason: 'Contains invoice/payment/urgent keywords - HIGH importance'
-      };
-    }
-    
-    // Check 4: Recent emails
-    if (factors.ageInDays < this.config.safetyRules.recentEmailThreshold) {
-      return {
-        is_safe: false,
-        failed_check: 'too_recent',
-        reason: 'Email too recent - wait before cleanup'
-      };
-    }
-    
-    // Check 5: Protected sender
-    if (factors.senderAnalytics?.isProtected) {
-      return {
-        is_safe: false,
-        failed_check: 'protected_sender',
-        reason: 'Sender is marked as VIP/Protected'
-      };
-    }
-    
-    // All checks passed
-    return {
-      is_safe: true,
-      passed_checks: ['replied', 'human_sender', 'keywords', 'age', 'protected']
-    };
-  }
-
-  /**
-   * Detect if sender is a human (not automated)
-   */
-  detectHumanSender(sender, senderAnalytics) {
-    const email = sender.toLowerCase();
-    
-    // Automated patterns
-    const automatedPatterns = ['noreply', 'no-reply', 'donotreply', 'automated', 'bot', 'notification'];
-    if (automatedPatterns.some(p => email.includes(p))) return false;
-    
-    // Check sender analytics
-    if (senderAnalytics && senderAnalytics.category === 'Personal') return true;
-    if (senderAnalytics && senderAnalytics.replyRate > 0) return true;
-    
-    return false;
-  }
-
-  /**
-   * Detect important keywords in subject/snippet
-   */
-  detectImportantKeywords(subject = '', snippet = '') {
-    const text = `${subject} ${snippet}`.toLowerCase();
-    return this.importanceKeywords.some(keyword => text.includes(keyword));
-  }
-
-  /**
-   * Detect low importance patterns
-   */
-  detectLowImportance(subject = '', snippet = '') {
-    const text = `${subject} ${snippet}`.toLowerCase();
-    return this.lowImportancePatterns.some(pattern => text.includes(pattern));
-  }
-
-  /**
-   * Categorize email based on sender/subject
-   */
-  categorizeEmail(sender, subject) {
-    const email = sender.toLowerCase();
-    const sub = subject.toLowerCase();
-    
-    if (email.includes('noreply') || sub.includes('newsletter')) return 'Newsletter';
-    if (sub.includes('promotion') || sub.includes('sale') || sub.includes('discount')) return 'Promotion';
-    if (email.includes('linkedin') || email.includes('facebook')) return 'Social';
-    if (sub.includes('job') || sub.includes('hiring')) return 'Job Alert';
-    
-    return 'Unknown';
-  }
-
   /**
    * Get or create sender analytics
    */
@@ -495,12 +350,6 @@ class SmartAIService {
     const match = email.match(/@(.+?)>/);
     return match ? match[1] : email.split('@')[1]?.split('>')[0] || 'unknown';
   }
-
-  calculateAge(dateString) {
-    const emailDate = new Date(dateString);
-    const now = new Date();
-    return Math.floor((now - emailDate) / (1000 * 60 * 60 * 24));
-  }
 }
 
 module.exports = new SmartAIService();
\ No newline at end of file
@@ -1,6 +1,13 @@
 const nodemailer = require('nodemailer');
 const logger = require('../utils/logger');
 
+// Subjects and notes come from mail and user input - keep them out of the markup
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 class EmailNotificationService {
   constructor() {
     this.transporter = nodemailer.createTransport({
@@ -119,6 +126,7 @@ class EmailNotificationService {
     try {
       const {
         emailsProcessed,
+        bytesFreed = 0,
         action,
         executionTime,
         nextRun,
@@ -176,6 +184,12 @@ class EmailNotificationService {
                   <span style="color: #6b7280; font-weight: 500;">Emails Processed</span>
                   <span style="color: #111827; font-weight: 600;">${emailsProcessed}</span>
                 </div>
+                ${bytesFreed > 0 ? `
+                <div style="display: flex; justify-content: space-between; padding: 12px 0; border-bottom: 1px solid #e5e7eb;">
+                  <span style="color: #6b7280; font-weight: 500;">Storage Freed</span>
+                  <span style="color: #111827; font-weight: 600;">${(bytesFreed / (1024 * 1024)).toFixed(1)} MB</span>
+                </div>
+                ` : ''}
                 <div style="display: flex; justify-content: space-between; padding: 12px 0;">
                   <span style="color: #6b7280; font-weight: 500;">Execution Time</span>
                   <span style="color: #111827; font-weight: 600;">${(executionTime / 1000).toFixed(2)}s</span>
@@ -256,6 +270,72 @@ class EmailNotificationService {
       return { success: false, error: error.message };
     }
   }
+
+  // ✅ ============================================
+  // ✅ Follow-up reminders (one run's due follow-ups, or the daily digest)
+  // ✅ ============================================
+  async sendFollowUpReminder(userEmail, followUps, { digest = false, timeZone = 'Asia/Manila' } = {}) {
+    try {
+      const priorityColors = { high: '#ef4444', medium: '#f59e0b', low: '#6b7280' };
+
+      const subject = digest
+        ? `📋 Your follow-ups for today (${followUps.length})`
+        : followUps.length === 1
+          ? `⏰ Follow up: ${followUps[0].emailSubject || 'No subject'}`
+          : `⏰ ${followUps.length} follow-ups are due`;
+
+      const rows = followUps.map(followUp => `
+        <div style="padding: 12px 0; border-bottom: 1px solid #e5e7eb;">
+          <div style="display: flex; justify-content: space-between;">
+            <span style="color: #111827; font-weight: 600;">${escapeHtml(followUp.emailSubject || 'No subject')}</span>
+            <span style="color: ${priorityColors[followUp.priority] || priorityColors.medium}; font-weight: 600; text-transform: uppercase; font-size: 12px;">${followUp.priority}</span>
+          </div>
+          <div style="color: #6b7280; font-size: 14px;">${escapeHtml(followUp.emailFrom || '')}</div>
+          <div style="color: #6b7280; font-size: 14px;">Due ${new Date(followUp.followUpDate).toLocaleString('en-US', { timeZone })}</div>
+          ${followUp.notes ? `<div style="color: #4b5563; font-size: 14px; margin-top: 4px;">${escapeHtml(followUp.notes)}</div>` : ''}
+        </div>
+      `).join('');
+
+      const html = `
+        <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f3f4f6;">
+          <div style="background: white; border-radius: 12px; padding: 32px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+            <h1 style="color: #667eea; margin: 0 0 8px 0; font-size: 24px;">
+              ${digest ? '📋 Daily Follow-up Digest' : '⏰ Follow-up Reminder'}
+            </h1>
+            <p style="color: #6b7280; margin: 0 0 16px 0;">
+              ${followUps.length} follow-up${followUps.length === 1 ? ' is' : 's are'} waiting for you.
+            </p>
+
+            ${rows}
+
+            <div style="text-align: center; margin: 24px 0 0 0;">
+              <a href="${process.env.FRONTEND_URL}/followups"
+                 style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: bold; display: inline-block;">
+                View Follow-ups
+              </a>
+            </div>
+
+            <p style="color: #9ca3af; font-size: 13px; text-align: center; margin-top: 24px;">
+              Change how reminders are sent in <a href="${process.env.FRONTEND_URL}/settings" style="color: #667eea;">Settings</a>.
+            </p>
+          </div>
+        </div>
+      `;
+
+      await this.transporter.sendMail({
+        from: `Gmail Cleanup AI <${process.env.EMAIL_USER}>`,
+        to: userEmail,
+        subject,
+        html
+      });
+
+      logger.info(`✅ Follow-up ${digest ? 'digest' : 'reminder'} sent to ${userEmail} (${followUps.length})`);
+      return { success: true };
+    } catch (error) {
+      logger.error('❌ Failed to send follow-up reminder:', error);
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 module.exports = new EmailNotificationService();
\ No newline at end of file
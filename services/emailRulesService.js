@@ -0,0 +1,249 @@
+const cron = require('node-cron');
+const UserPreferences = require('../models/UserPreferences');
+const gmailService = require('./gmailService');
+const { logActivity } = require('../controllers/activityController');
+const logger = require('../utils/logger');
+
+const RULES_CRON = process.env.EMAIL_RULES_CRON || '*/15 * * * *';
+const FIRST_RUN_LOOKBACK_HOURS = 24; // How far back to look the first time rules run
+const EMAILS_PER_BATCH = 200; // Messages fetched and matched at a time
+
+/**
+ * Email rules engine - applies UserPreferences.emailRules to new inbox mail.
+ * A rule matches when ALL of its conditions match; every matching rule's
+ * actions are applied, in rule order. Runs on a cron and on demand.
+ */
+class EmailRulesService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  start() {
+    console.log('🚀 Starting email rules engine...');
+
+    cron.schedule(RULES_CRON, async () => {
+      if (this.isRunning) {
+        console.log('⏭️ Skipping email rules - previous run still going');
+        return;
+      }
+
+      this.isRunning = true;
+      await this.runAll();
+      this.isRunning = false;
+    });
+
+    console.log(`✅ Email rules engine started (${RULES_CRON})`);
+  }
+
+  /**
+   * Run rules for every user with at least one enabled rule
+   */
+  async runAll() {
+    try {
+      const preferences = await UserPreferences.find({
+        emailRules: { $elemMatch: { enabled: true } }
+      }).populate('userId');
+
+      for (const prefs of preferences) {
+        const user = prefs.userId;
+        if (!user || !user.googleTokens) continue;
+
+        try {
+          await this.runForUser(user, { trigger: 'cron', preferences: prefs });
+        } catch (error) {
+          logger.error(`Email rules failed for user ${user._id}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Email rules error:', error);
+    }
+  }
+
+  /**
+   * Apply a user's enabled rules to mail received since the last run
+   * options: { trigger: 'manual' | 'cron', ruleId, preferences, req }
+   */
+  async runForUser(user, { trigger = 'manual', ruleId = null, preferences = null, req = null } = {}) {
+    const prefs = preferences || await UserPreferences.findOne({ userId: user._id });
+    const startedAt = new Date();
+    const rules = this.getActiveRules(prefs, ruleId);
+
+    if (rules.length === 0) {
+      return { emailsChecked: 0, results: [] };
+    }
+
+    const since = prefs.emailRulesLastRunAt ||
+      new Date(startedAt.getTime() - FIRST_RUN_LOOKBACK_HOURS * 60 * 60 * 1000);
+    // Work through everything since the cursor, so a busy inbox never leaves
+    // older mail behind once the cursor moves
+    const emailIds = await gmailService.getMessageIdsSince(user.googleTokens, since);
+    const results = [];
+    let emailsChecked = 0;
+
+    for (let i = 0; i < emailIds.length; i += EMAILS_PER_BATCH) {
+      const emails = await gmailService.getEmailsByIds(user.googleTokens, emailIds.slice(i, i + EMAILS_PER_BATCH));
+      emailsChecked += emails.length;
+      results.push(...await this.applyRules(user, prefs, rules, emails, { trigger, req }));
+
+      // Save progress per batch, so a failure later in the run doesn't apply
+      // the rules (and re-send forwards) to this mail again next time
+      const handledUpTo = Math.max(...emails.map(email => new Date(email.internalDate).getTime()));
+      if (!ruleId && Number.isFinite(handledUpTo)) {
+        await UserPreferences.updateOne(
+          { _id: prefs._id },
+          { $max: { emailRulesLastRunAt: new Date(handledUpTo) } }
+        );
+      }
+    }
+
+    // Single-rule runs don't advance the cursor, so the other rules still see this mail
+    if (!ruleId) {
+      await UserPreferences.updateOne({ _id: prefs._id }, { emailRulesLastRunAt: startedAt });
+    }
+
+    logger.info(`Email rules (${trigger}) for user ${user._id}: ${emailsChecked} checked, ${results.length} rule hit(s)`);
+    return { emailsChecked, results };
+  }
+
+  /**
+   * Apply a user's enabled rules to emails that were just delivered (Gmail push).
+   * Advances the polling cursor so the cron run doesn't apply them again.
+   */
+  async applyToEmails(user, emails, { trigger = 'push', tokens = user.googleTokens } = {}) {
+    const startedAt = new Date();
+    const prefs = await UserPreferences.findOne({ userId: user._id });
+    const rules = this.getActiveRules(prefs);
+
+    if (rules.length === 0 || emails.length === 0) return [];
+
+    const results = await this.applyRules(user, prefs, rules, emails, { trigger, tokens });
+    await UserPreferences.updateOne({ _id: prefs._id }, { emailRulesLastRunAt: startedAt });
+    return results;
+  }
+
+  getActiveRules(preferences, ruleId = null) {
+    return (preferences?.emailRules || []).filter(rule =>
+      rule.enabled &&
+      rule.conditions.length > 0 &&
+      rule.actions.length > 0 &&
+      (!ruleId || rule._id.toString() === ruleId)
+    );
+  }
+
+  /**
+   * Match each rule against the emails, run its actions, bump its hit
+   * counter and record the application in Activity
+   */
+  async applyRules(user, prefs, rules, emails, { trigger, tokens = user.googleTokens, req = null }) {
+    const trashed = new Set();
+    const results = [];
+
+    for (const rule of rules) {
+      const matched = emails.filter(email => !trashed.has(email.emailId) && this.matchesRule(rule, email));
+      if (matched.length === 0) continue;
+
+      const emailIds = matched.map(e => e.emailId);
+      const applied = await this.applyActions(user, rule, emailIds, tokens);
+      if (applied.some(a => a.type === 'delete' && a.success)) {
+        emailIds.forEach(id => trashed.add(id));
+      }
+
+      await UserPreferences.updateOne(
+        { _id: prefs._id, 'emailRules._id': rule._id },
+        {
+          $inc: { 'emailRules.$.hitCount': emailIds.length },
+          $set: { 'emailRules.$.lastTriggeredAt': new Date() }
+        }
+      );
+
+      await logActivity(
+        user._id,
+        'email_rule_applied',
+        `Rule "${rule.name}" matched ${emailIds.length} email(s)`,
+        { ruleId: rule._id, ruleName: rule.name, trigger, emailIds, actions: applied },
+        req
+      );
+
+      results.push({ ruleId: rule._id, ruleName: rule.name, matched: emailIds.length, actions: applied });
+    }
+
+    return results;
+  }
+
+  matchesRule(rule, email) {
+    return rule.conditions.every(condition => this.matchesCondition(condition, email));
+  }
+
+  matchesCondition({ field, operator, value }, email) {
+    if (!value) return false;
+
+    const haystack = (field === 'body'
+      ? `${email.body || ''} ${email.snippet || ''}`
+      : email[field] || ''
+    ).toLowerCase().trim();
+    const needle = value.toLowerCase().trim();
+
+    switch (operator) {
+      case 'contains':
+        return haystack.includes(needle);
+      case 'equals':
+        // "Name <addr>" should equal a bare address too
+        return haystack === needle ||
+          (field === 'from' && haystack.match(/<(.+?)>/)?.[1] === needle);
+      case 'startsWith':
+        return haystack.startsWith(needle);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Apply a rule's actions to the matched emails; one failing action
+   * doesn't stop the others
+   */
+  async applyActions(user, rule, emailIds, tokens = user.googleTokens) {
+    const journal = { userId: user._id, source: 'rule' };
+    const applied = [];
+
+    for (const action of rule.actions) {
+      const entry = { type: action.type, value: action.value || null, success: true };
+
+      try {
+        switch (action.type) {
+          case 'label':
+            if (!action.value) throw new Error('Label action needs a label name');
+            await gmailService.applyLabel(tokens, emailIds, action.value);
+            break;
+          case 'archive':
+            entry.batchId = (await gmailService.archiveEmails(tokens, emailIds, journal)).batchId;
+            break;
+          case 'delete':
+            entry.batchId = (await gmailService.deleteEmails(tokens, emailIds, journal)).batchId;
+            break;
+          case 'forward': {
+            if (!action.value) throw new Error('Forward action needs an address');
+            const sent = [];
+            for (const emailId of emailIds) {
+              sent.push(await gmailService.forwardEmail(tokens, emailId, action.value));
+            }
+            const failed = sent.filter(s => !s.success).length;
+            if (failed > 0) throw new Error(`${failed} of ${emailIds.length} forwards failed`);
+            break;
+          }
+          default:
+            throw new Error(`Unknown action type: ${action.type}`);
+        }
+      } catch (error) {
+        logger.error(`Email rule "${rule.name}" ${action.type} error:`, error.message);
+        entry.success = false;
+        entry.error = error.message;
+      }
+
+      applied.push(entry);
+    }
+
+    return applied;
+  }
+}
+
+module.exports = new EmailRulesService();
@@ -0,0 +1,381 @@
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const SenderAnalytics = require('../models/SenderAnalytics');
+const UserPreferences = require('../models/UserPreferences');
+const gmailService = require('./gmailService');
+const scoringEngine = require('./scoringEngine');
+const logger = require('../utils/logger');
+
+// Get models using mongoose.model() to avoid circular dependency
+const getTask = () => mongoose.model('Task');
+
+const EMAIL_TASKS_CRON = process.env.EMAIL_TASKS_CRON || '*/30 * * * *';
+const FIRST_RUN_LOOKBACK_HOURS = 24; // How far back to look the first time a user is scanned
+const EMAILS_PER_BATCH = 100; // Messages fetched and scored at a time
+const MAX_ACTION_ITEMS = 5;
+const DEFAULT_DUE_HOUR = 17; // "by Friday" means Friday at 5pm
+
+// A sentence asking the reader to do something
+const ACTION_PATTERN = /\b(please|kindly|can you|could you|would you|need you to|you need to|make sure|don'?t forget|do not forget|remember to|action required|required to|let me know|rsvp|reply|respond|review|approve|sign|submit|confirm|complete|fill out|pay|prepare|send (?:me|us|over)|get back to)\b/i;
+const URGENT_PATTERN = /\b(urgent|asap|immediately|as soon as possible|action required|overdue|final notice|time[- ]sensitive)\b/i;
+
+// Rough effort by kind of request, first match wins (minutes)
+const DURATION_RULES = [
+  { pattern: /\b(prepare|write|draft|report|presentation|proposal|analy[sz]e|analysis)\b/i, minutes: 120 },
+  { pattern: /\b(meeting|call|interview|appointment|demo)\b/i, minutes: 60 },
+  { pattern: /\b(review|read|check|fill out|survey|feedback)\b/i, minutes: 30 },
+  { pattern: /\b(sign|confirm|approve|pay|rsvp|reply|respond|let me know)\b/i, minutes: 15 }
+];
+const DEFAULT_DURATION = 30;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "by Friday", "due on March 5th at 3pm", "deadline: 2026-03-05", "no later than tomorrow"
+const DEADLINE_CUE = /\b(?:by|before|due(?:\s+(?:on|by))?|deadline(?:\s+is)?:?|until|no later than)\s+(?:the\s+)?(?=(.{1,40}))/gi;
+const TIME_PATTERN = /^[\s,]*(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b|^[\s,]*(?:at\s+)?(\d{1,2}):(\d{2})\b/i;
+
+const addressOf = (header = '') => {
+  const match = header.match(/<([^>]+)>/);
+  return (match ? match[1] : header).trim().toLowerCase();
+};
+
+const atHour = (date, hour, minutes = 0) => {
+  const result = new Date(date);
+  result.setHours(hour, minutes, 0, 0);
+  return result;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Email -> task conversion - pulls action items, a deadline, a priority and
+ * an effort estimate out of an email and saves them as a planner Task linked
+ * back to the message (Task.sourceEmail). generateDailyPlan then schedules it
+ * like any other task.
+ * Automatic mode (UserPreferences.autoEmailTasks) runs on a cron over new
+ * mail in the login mailbox, and only converts emails the scoring engine
+ * flags hasImportantKeywords that actually ask for something.
+ */
+class EmailTaskService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  start() {
+    console.log('🚀 Starting email-to-task scan...');
+
+    cron.schedule(EMAIL_TASKS_CRON, async () => {
+      if (this.isRunning) {
+        console.log('⏭️ Skipping email-to-task scan - previous run still going');
+        return;
+      }
+
+      this.isRunning = true;
+      await this.runAll();
+      this.isRunning = false;
+    });
+
+    console.log(`✅ Email-to-task scan started (${EMAIL_TASKS_CRON})`);
+  }
+
+  /**
+   * Scan every user who turned on automatic email tasks
+   */
+  async runAll() {
+    try {
+      const preferences = await UserPreferences.find({ autoEmailTasks: true }).populate('userId');
+
+      for (const prefs of preferences) {
+        const user = prefs.userId;
+        if (!user || !user.googleTokens) continue;
+
+        try {
+          await this.scanForUser(user, { preferences: prefs });
+        } catch (error) {
+          logger.error(`Email-to-task scan failed for user ${user._id}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Email-to-task scan error:', error);
+    }
+  }
+
+  /**
+   * Create tasks from important, actionable mail received since the last scan.
+   * Returns { checked, flagged, created }
+   */
+  async scanForUser(user, { preferences = null } = {}) {
+    const prefs = preferences || await UserPreferences.findOne({ userId: user._id });
+    const startedAt = new Date();
+    const since = prefs?.emailTasksLastScanAt ||
+      new Date(startedAt.getTime() - FIRST_RUN_LOOKBACK_HOURS * 60 * 60 * 1000);
+
+    // Scan everything since the last scan before moving the cursor past it
+    const emailIds = await gmailService.getMessageIdsSince(user.googleTokens, since);
+    const me = user.email.toLowerCase();
+    let checked = 0;
+    let flagged = 0;
+    let created = 0;
+
+    for (let i = 0; i < emailIds.length; i += EMAILS_PER_BATCH) {
+      const emails = await gmailService.getEmailsByIds(user.googleTokens, emailIds.slice(i, i + EMAILS_PER_BATCH));
+      const verdicts = await scoringEngine.scoreEmails(emails, { userId: user._id });
+      checked += emails.length;
+
+      for (const [index, email] of emails.entries()) {
+        if (!verdicts[index].signals.hasImportantKeywords) continue;
+        if (addressOf(email.from) === me) continue;
+        flagged++;
+
+        const extracted = this.extract(email, { now: startedAt });
+        if (extracted.actionItems.length === 0) continue;
+        extracted.priority = await this.adjustForSender(user._id, email, extracted.priority);
+
+        const { created: isNew } = await this.saveTask(user, email, extracted, { auto: true });
+        if (isNew) created++;
+      }
+    }
+
+    await UserPreferences.updateOne(
+      { userId: user._id },
+      { emailTasksLastScanAt: startedAt },
+      { upsert: true }
+    );
+
+    logger.info(`Email-to-task scan for user ${user._id}: ${checked} checked, ${flagged} flagged, ${created} tasks created`);
+    return { checked, flagged, created };
+  }
+
+  /**
+   * Make a task from one message, on request.
+   * overrides: title, priority, estimatedDuration, deadline, category
+   * Returns { task, created } (created false if the email already has a task),
+   * or null if the message doesn't exist.
+   */
+  async createFromEmail(user, tokens, emailId, { accountId = null, overrides = {} } = {}) {
+    const Task = getTask();
+
+    const existing = await Task.findOne({ userId: user._id, 'sourceEmail.emailId': emailId });
+    if (existing) return { task: existing, created: false };
+
+    const [email] = await gmailService.getEmailsByIds(tokens, [emailId]);
+    if (!email) return null;
+
+    const extracted = this.extract(email);
+    extracted.priority = await this.adjustForSender(user._id, email, extracted.priority);
+
+    return this.saveTask(user, email, { ...extracted, ...this.cleanOverrides(overrides) }, { accountId });
+  }
+
+  async saveTask(user, email, extracted, { accountId = null, auto = false } = {}) {
+    const Task = getTask();
+
+    try {
+      const task = await Task.create({
+        userId: user._id,
+        title: extracted.title,
+        description: extracted.description,
+        priority: extracted.priority,
+        estimatedDuration: extracted.estimatedDuration,
+        deadline: extracted.deadline,
+        category: extracted.category || 'Email',
+        tags: ['email'],
+        aiGenerated: true,
+        confidence: extracted.confidence,
+        actionItems: extracted.actionItems,
+        sourceEmail: {
+          emailId: email.emailId,
+          threadId: email.threadId,
+          accountId,
+          from: email.from,
+          subject: email.subject,
+          receivedAt: email.internalDate || (email.date ? new Date(email.date) : null),
+          auto
+        }
+      });
+
+      logger.info(`📧 Created task "${task.title}" from email ${email.emailId}`);
+      return { task, created: true };
+    } catch (error) {
+      // Converted in the meantime (manual request racing the scan)
+      if (error.code !== 11000) throw error;
+      const task = await Task.findOne({ userId: user._id, 'sourceEmail.emailId': email.emailId });
+      return { task, created: false };
+    }
+  }
+
+  /**
+   * Everything a task needs, inferred from the message text:
+   * { title, description, actionItems, deadline, priority, estimatedDuration, confidence }
+   */
+  extract(email, { now = new Date() } = {}) {
+    const text = this.readableText(email);
+    const subject = (email.subject || '').replace(/^\s*((re|fwd?|fw)\s*:\s*)+/i, '').trim();
+
+    const actionItems = this.findActionItems(text);
+    const deadline = this.findDeadline(`${subject}. ${text}`, now);
+    const urgent = URGENT_PATTERN.test(`${subject} ${text}`);
+
+    const lines = [`From: ${email.from || 'Unknown'}`];
+    if (actionItems.length > 0) {
+      lines.push('', 'Action items:', ...actionItems.map(item => `- ${item}`));
+    }
+    if (email.snippet) lines.push('', email.snippet);
+
+    return {
+      title: (subject || actionItems[0] || 'Follow up on email').slice(0, 120),
+      description: lines.join('\n'),
+      actionItems,
+      deadline,
+      priority: this.inferPriority({ urgent, deadline, labels: email.labels || [], now }),
+      estimatedDuration: this.estimateDuration(subject, actionItems),
+      confidence: Math.min(90, 50 + (deadline ? 15 : 0) + actionItems.length * 10)
+    };
+  }
+
+  // Body without quoted replies and signatures (falls back to the snippet)
+  readableText(email) {
+    const body = email.body || email.snippet || '';
+    const lines = [];
+
+    for (const line of body.split(/\r?\n/)) {
+      if (/^On .+ wrote:\s*$/.test(line.trim()) || /^-- ?$/.test(line) || /^-{2,}\s*Original Message/i.test(line)) break;
+      if (line.trim().startsWith('>')) continue;
+      lines.push(line.trim());
+    }
+    return lines.join('\n');
+  }
+
+  // Sentences that ask the reader to do something
+  findActionItems(text) {
+    const sentences = text
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.replace(/^[-*•\d.)\s]+/, '').trim())
+      .filter(sentence => sentence.length >= 8 && sentence.length <= 200);
+
+    const items = [];
+    for (const sentence of sentences) {
+      if (!ACTION_PATTERN.test(sentence)) continue;
+      if (items.includes(sentence)) continue;
+      items.push(sentence);
+      if (items.length === MAX_ACTION_ITEMS) break;
+    }
+    return items;
+  }
+
+  /**
+   * Earliest deadline the text mentions after a cue ("by", "due", "deadline"...).
+   * Dates are read as MM/DD; times default to 5pm.
+   */
+  findDeadline(text, now = new Date()) {
+    const deadlines = [];
+
+    for (const match of text.matchAll(DEADLINE_CUE)) {
+      const deadline = this.parseDate(match[1], now);
+      if (deadline && deadline > now) deadlines.push(deadline);
+    }
+
+    if (deadlines.length === 0) return null;
+    return new Date(Math.min(...deadlines.map(date => date.getTime())));
+  }
+
+  // A date at the start of `phrase` (with an optional time after it), or null
+  parseDate(phrase, now = new Date()) {
+    const lower = phrase.toLowerCase();
+    const today = atHour(now, DEFAULT_DUE_HOUR);
+    let date = null;
+    let match;
+
+    if ((match = lower.match(/^(today|tonight|end of (?:the )?day|eod|cob|close of business)\b/))) {
+      date = match[1] === 'tonight' ? atHour(now, 21) : today;
+    } else if ((match = lower.match(/^tomorrow\b/))) {
+      date = addDays(today, 1);
+    } else if ((match = lower.match(/^(end of (?:the )?week|eow)\b/))) {
+      date = addDays(today, (5 - today.getDay() + 7) % 7);
+    } else if ((match = lower.match(/^(next\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/))) {
+      const ahead = (WEEKDAYS.indexOf(match[2]) - today.getDay() + 7) % 7;
+      date = addDays(today, ahead === 0 && match[1] ? 7 : ahead);
+    } else if ((match = lower.match(/^in\s+(\d{1,2})\s+(day|week)s?\b/))) {
+      date = addDays(today, Number(match[1]) * (match[2] === 'week' ? 7 : 1));
+    } else if ((match = lower.match(/^(\d{4})-(\d{2})-(\d{2})\b/))) {
+      date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), DEFAULT_DUE_HOUR);
+    } else if ((match = lower.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/))) {
+      date = this.calendarDate(now, Number(match[1]) - 1, Number(match[2]), match[3]);
+    } else if ((match = lower.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?\b/)) && MONTHS.includes(match[1])) {
+      date = this.calendarDate(now, MONTHS.indexOf(match[1]), Number(match[2]), match[3]);
+    } else if ((match = lower.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?([a-z]{3})[a-z]*\.?(?:,?\s+(\d{4}))?\b/)) && MONTHS.includes(match[2])) {
+      date = this.calendarDate(now, MONTHS.indexOf(match[2]), Number(match[1]), match[3]);
+    }
+
+    if (!date || isNaN(date.getTime())) return null;
+    const time = phrase.slice(match[0].length).match(TIME_PATTERN);
+    if (time) {
+      let hour = Number(time[1] ?? time[4]);
+      const minutes = Number(time[2] ?? time[5] ?? 0);
+      if (time[3]) hour = (hour % 12) + (time[3].toLowerCase() === 'pm' ? 12 : 0);
+      if (hour < 24 && minutes < 60) date.setHours(hour, minutes, 0, 0);
+    }
+
+    return date;
+  }
+
+  // Month/day with an optional year; without one, the next time that date comes round
+  calendarDate(now, month, day, year) {
+    if (month < 0 || month > 11 || day < 1 || day > 31) return null;
+
+    let fullYear = year ? Number(year) : now.getFullYear();
+    if (year && year.length === 2) fullYear += 2000;
+
+    const date = new Date(fullYear, month, day, DEFAULT_DUE_HOUR);
+    if (date.getMonth() !== month) return null; // e.g. February 30th
+    if (!year && date < atHour(now, 0)) date.setFullYear(fullYear + 1);
+    return date;
+  }
+
+  inferPriority({ urgent, deadline, labels, now = new Date() }) {
+    const hoursLeft = deadline ? (deadline - now) / (60 * 60 * 1000) : Infinity;
+
+    if (urgent || hoursLeft <= 24) return 'high';
+    if (hoursLeft <= 72 || labels.includes('IMPORTANT') || labels.includes('STARRED')) return 'medium';
+    return deadline ? 'medium' : 'low';
+  }
+
+  // Mail from senders the user cares about (SenderAnalytics.importanceScore) moves up a level
+  async adjustForSender(userId, email, priority) {
+    if (priority === 'high') return priority;
+
+    const analytics = await SenderAnalytics.findOne({ userId, senderEmail: addressOf(email.from) })
+      .select('importanceScore')
+      .lean();
+    if (!analytics || analytics.importanceScore < 0.7) return priority;
+
+    return priority === 'low' ? 'medium' : 'high';
+  }
+
+  // Minutes, in 15-minute steps: by kind of request, plus a bit for each extra item
+  estimateDuration(subject, actionItems) {
+    const text = [subject, ...actionItems].join(' ');
+    const rule = DURATION_RULES.find(r => r.pattern.test(text));
+    const base = rule ? rule.minutes : DEFAULT_DURATION;
+    const extra = Math.max(0, actionItems.length - 1) * 15;
+    return Math.min(240, Math.ceil((base + extra) / 15) * 15);
+  }
+
+  // Request-body fields a caller may set on the new task
+  cleanOverrides({ title, priority, estimatedDuration, deadline, category } = {}) {
+    const overrides = {};
+    if (typeof title === 'string' && title.trim()) overrides.title = title.trim();
+    if (['high', 'medium', 'low'].includes(priority)) overrides.priority = priority;
+    if (Number(estimatedDuration) > 0) overrides.estimatedDuration = Number(estimatedDuration);
+    if (deadline && !isNaN(new Date(deadline).getTime())) overrides.deadline = new Date(deadline);
+    if (typeof category === 'string' && category.trim()) overrides.category = category.trim();
+    return overrides;
+  }
+}
+
+module.exports = new EmailTaskService();
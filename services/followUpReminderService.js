@@ -0,0 +1,169 @@
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const FollowUp = require('../models/FollowUp');
+const User = require('../models/User');
+const UserPreferences = require('../models/UserPreferences');
+const emailNotificationService = require('./emailNotificationService');
+const logger = require('../utils/logger');
+
+const REMINDER_CRON = process.env.FOLLOWUP_REMINDER_CRON || '*/15 * * * *';
+const DEFAULT_TIMEZONE = 'Asia/Manila';
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Follow-up reminders - emails due follow-ups through emailNotificationService
+ * and sets FollowUp.notified. Per user (UserPreferences):
+ * - followUpReminders 'instant': everything that came due since the last run, in one email
+ * - followUpReminders 'daily': one digest at followUpDigestHour
+ * - nothing during quietHours, or when emailNotifications is off
+ * Times are in the user's timezone.
+ */
+class FollowUpReminderService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  start() {
+    console.log('🚀 Starting follow-up reminders...');
+
+    cron.schedule(REMINDER_CRON, async () => {
+      if (this.isRunning) {
+        console.log('⏭️ Skipping follow-up reminders - previous run still going');
+        return;
+      }
+
+      this.isRunning = true;
+      await this.runAll();
+      this.isRunning = false;
+    });
+
+    console.log(`✅ Follow-up reminders started (${REMINDER_CRON})`);
+  }
+
+  async runAll(now = new Date()) {
+    try {
+      const due = await FollowUp.find({
+        status: 'pending',
+        notified: false,
+        followUpDate: { $lte: now }
+      }).sort({ followUpDate: 1 });
+
+      if (due.length === 0) return;
+
+      // Follow-ups are keyed by googleId or _id string (see FollowUp.ownerIdOf)
+      const byOwner = new Map();
+      for (const followUp of due) {
+        if (!byOwner.has(followUp.userId)) byOwner.set(followUp.userId, []);
+        byOwner.get(followUp.userId).push(followUp);
+      }
+
+      const owners = [...byOwner.keys()];
+      const users = await User.find({
+        $or: [
+          { googleId: { $in: owners } },
+          { _id: { $in: owners.filter(id => mongoose.isValidObjectId(id)) } }
+        ]
+      });
+
+      for (const user of users) {
+        const followUps = byOwner.get(FollowUp.ownerIdOf(user));
+        if (!followUps) continue;
+
+        try {
+          await this.remindUser(user, followUps, now);
+        } catch (error) {
+          logger.error(`Follow-up reminders failed for user ${user._id}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Follow-up reminder error:', error);
+    }
+  }
+
+  /**
+   * Send one user's due follow-ups if their preferences allow it right now.
+   * Returns the number of follow-ups sent.
+   */
+  async remindUser(user, followUps, now = new Date()) {
+    const prefs = await UserPreferences.findOne({ userId: user._id }).lean();
+    const mode = prefs?.followUpReminders || 'instant';
+    if (mode === 'off' || prefs?.emailNotifications === false) return 0;
+
+    const timeZone = this.resolveTimeZone(prefs?.timezone);
+    const clock = this.localClock(now, timeZone);
+
+    if (this.inQuietHours(prefs?.quietHours, clock)) return 0;
+
+    const digest = mode === 'daily';
+    if (digest) {
+      const digestHour = prefs?.followUpDigestHour ?? 8;
+      const lastSent = prefs?.followUpDigestSentAt
+        ? this.localClock(prefs.followUpDigestSentAt, timeZone).date
+        : null;
+      // Once a day, from the digest hour on (a later run catches up if that hour was quiet)
+      if (clock.hour < digestHour || lastSent === clock.date) return 0;
+    }
+
+    const result = await emailNotificationService.sendFollowUpReminder(user.email, followUps, { digest, timeZone });
+    if (!result.success) return 0;
+
+    await FollowUp.updateMany({ _id: { $in: followUps.map(f => f._id) } }, { notified: true });
+    if (digest) {
+      await UserPreferences.updateOne({ userId: user._id }, { followUpDigestSentAt: now });
+    }
+
+    console.log(`⏰ Sent ${followUps.length} follow-up reminder(s) to ${user.email}`);
+    return followUps.length;
+  }
+
+  // Fall back to the default for missing or unknown timezones
+  resolveTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timeZone || DEFAULT_TIMEZONE });
+      return timeZone || DEFAULT_TIMEZONE;
+    } catch (error) {
+      return DEFAULT_TIMEZONE;
+    }
+  }
+
+  // Wall-clock time in a timezone: { date: 'YYYY-MM-DD', hour, minutes (since midnight) }
+  localClock(date, timeZone) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }).formatToParts(date).map(part => [part.type, part.value])
+    );
+
+    const hour = Number(parts.hour);
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      hour,
+      minutes: hour * 60 + Number(parts.minute)
+    };
+  }
+
+  // Quiet hours may wrap past midnight (22:00-07:00)
+  inQuietHours(quietHours, clock) {
+    if (!quietHours?.enabled || !quietHours.start || !quietHours.end) return false;
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    if (start === end) return false;
+
+    return start < end
+      ? clock.minutes >= start && clock.minutes < end
+      : clock.minutes >= start || clock.minutes < end;
+  }
+}
+
+module.exports = new FollowUpReminderService();
@@ -0,0 +1,207 @@
+const cron = require('node-cron');
+const FollowUp = require('../models/FollowUp');
+const SenderAnalytics = require('../models/SenderAnalytics');
+const UserPreferences = require('../models/UserPreferences');
+const gmailService = require('./gmailService');
+const logger = require('../utils/logger');
+
+const FOLLOWUP_CRON = process.env.FOLLOWUP_CRON || '0 * * * *';
+const FIRST_RUN_LOOKBACK_DAYS = 14; // How far back to look the first time a user is scanned
+const SENT_PER_BATCH = 200; // Sent messages fetched at a time
+const MAX_OPEN_CHECKED = 50; // Open auto follow-ups re-checked for replies per run
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bare addresses in a From/To header ("A <a@x.com>, b@y.com" -> ['a@x.com', 'b@y.com'])
+const addressesOf = (header = '') =>
+  (header.match(/[^\s<>,;"']+@[^\s<>,;"']+/g) || []).map(address => address.toLowerCase());
+
+/**
+ * Follow-up detection - finds sent mail that is still unanswered after the
+ * user's followUpAfterDays and creates FollowUp records for it (source 'auto').
+ * Auto follow-ups are closed again once the recipient replies, either here
+ * or when account sync sees the reply (accountSyncService.markFollowUpReplies).
+ * Covers the user's login mailbox. Runs on a cron and on demand.
+ */
+class FollowUpService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  start() {
+    console.log('🚀 Starting follow-up detection...');
+
+    cron.schedule(FOLLOWUP_CRON, async () => {
+      if (this.isRunning) {
+        console.log('⏭️ Skipping follow-up detection - previous run still going');
+        return;
+      }
+
+      this.isRunning = true;
+      await this.runAll();
+      this.isRunning = false;
+    });
+
+    console.log(`✅ Follow-up detection started (${FOLLOWUP_CRON})`);
+  }
+
+  /**
+   * Scan every user who turned on automatic follow-ups
+   */
+  async runAll() {
+    try {
+      const preferences = await UserPreferences.find({ autoFollowUps: true }).populate('userId');
+
+      for (const prefs of preferences) {
+        const user = prefs.userId;
+        if (!user || !user.googleTokens) continue;
+
+        try {
+          await this.detectForUser(user, { preferences: prefs });
+        } catch (error) {
+          logger.error(`Follow-up detection failed for user ${user._id}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Follow-up detection error:', error);
+    }
+  }
+
+  /**
+   * Create follow-ups for sent mail that went overdue since the last scan,
+   * then close open ones that have been answered.
+   * Returns { checked, created, closed }
+   */
+  async detectForUser(user, { preferences = null } = {}) {
+    const prefs = preferences || await UserPreferences.findOne({ userId: user._id });
+    const afterDays = prefs?.followUpAfterDays || 3;
+    const startedAt = new Date();
+    const lastScan = prefs?.followUpsLastScanAt ||
+      new Date(startedAt.getTime() - FIRST_RUN_LOOKBACK_DAYS * DAY_MS);
+
+    // Mail sent in this window has gone unanswered for afterDays since the last scan
+    const after = Math.floor((lastScan.getTime() - afterDays * DAY_MS) / 1000);
+    const before = Math.floor((startedAt.getTime() - afterDays * DAY_MS) / 1000);
+    // The whole window, not just its newest mail - the cursor moves past all of it
+    const ids = await gmailService.listMessageIds(user.googleTokens, {
+      q: `after:${after} before:${before}`,
+      labelIds: ['SENT'],
+      maxResults: Infinity
+    });
+
+    // Only the last message we sent in each thread needs an answer
+    const latestByThread = new Map();
+    for (let i = 0; i < ids.length; i += SENT_PER_BATCH) {
+      const sent = await gmailService.getEmailsByIds(user.googleTokens, ids.slice(i, i + SENT_PER_BATCH), { format: 'metadata' });
+      for (const message of sent) {
+        const latest = latestByThread.get(message.threadId);
+        if (!latest || message.internalDate > latest.internalDate) {
+          latestByThread.set(message.threadId, message);
+        }
+      }
+    }
+
+    const ownerId = FollowUp.ownerIdOf(user);
+    const tracked = await FollowUp.find({
+      userId: ownerId,
+      threadId: { $in: [...latestByThread.keys()] }
+    }).select('threadId').lean();
+    const trackedThreads = new Set(tracked.map(followUp => followUp.threadId));
+
+    const me = user.email.toLowerCase();
+    let created = 0;
+
+    for (const message of latestByThread.values()) {
+      if (trackedThreads.has(message.threadId)) continue;
+
+      const recipients = addressesOf(message.to).filter(address => address !== me);
+      if (recipients.length === 0) continue;
+
+      const thread = await gmailService.getThreadMessages(user.googleTokens, message.threadId);
+      const later = thread.filter(m => m.internalDate > message.internalDate);
+      // Answered, or we've written again since (that message gets its own check)
+      if (this.findReply(later, recipients) || later.some(m => m.labels.includes('SENT'))) continue;
+
+      await FollowUp.create({
+        userId: ownerId,
+        emailId: message.emailId,
+        threadId: message.threadId,
+        accountId: null,
+        emailSubject: message.subject || 'No subject',
+        emailFrom: message.to,
+        followUpDate: startedAt,
+        notes: `No reply after ${afterDays} day(s)`,
+        priority: await this.priorityFor(user._id, recipients),
+        source: 'auto'
+      });
+      created++;
+    }
+
+    const closed = await this.closeAnswered(user);
+
+    await UserPreferences.updateOne(
+      { userId: user._id },
+      { followUpsLastScanAt: startedAt },
+      { upsert: true }
+    );
+
+    logger.info(`Follow-up detection for user ${user._id}: ${latestByThread.size} sent checked, ${created} created, ${closed} closed`);
+    return { checked: latestByThread.size, created, closed };
+  }
+
+  /**
+   * Re-check open auto follow-ups on the login mailbox and close the answered ones
+   */
+  async closeAnswered(user) {
+    const open = await FollowUp.find({
+      userId: FollowUp.ownerIdOf(user),
+      accountId: null,
+      source: 'auto',
+      status: 'pending',
+      replyReceivedAt: null
+    }).sort({ createdAt: 1 }).limit(MAX_OPEN_CHECKED);
+
+    let closed = 0;
+    for (const followUp of open) {
+      try {
+        const thread = await gmailService.getThreadMessages(user.googleTokens, followUp.threadId);
+        const sent = thread.find(m => m.emailId === followUp.emailId);
+        if (!sent) continue;
+
+        const reply = this.findReply(
+          thread.filter(m => m.internalDate > sent.internalDate),
+          addressesOf(followUp.emailFrom)
+        );
+        if (!reply) continue;
+
+        await followUp.markReplied(reply.emailId, reply.internalDate || new Date());
+        closed++;
+      } catch (error) {
+        logger.warn(`Couldn't check follow-up ${followUp._id}: ${error.message}`);
+      }
+    }
+    return closed;
+  }
+
+  // First message from one of the recipients
+  findReply(messages, recipients) {
+    return messages.find(m => addressesOf(m.from).some(address => recipients.includes(address))) || null;
+  }
+
+  /**
+   * Priority from how important the recipients are to the user
+   * (the highest SenderAnalytics.importanceScore among them)
+   */
+  async priorityFor(userId, recipients) {
+    const analytics = await SenderAnalytics.find({ userId, senderEmail: { $in: recipients } })
+      .select('importanceScore')
+      .lean();
+    if (analytics.length === 0) return 'medium';
+
+    const score = Math.max(...analytics.map(a => a.importanceScore));
+    if (score >= 0.7) return 'high';
+    if (score < 0.4) return 'low';
+    return 'medium';
+  }
+}
+
+module.exports = new FollowUpService();
@@ -0,0 +1,162 @@
+const { google } = require('googleapis');
+const User = require('../models/User');
+const ConnectedAccount = require('../models/ConnectedAccount');
+const logger = require('../utils/logger');
+const { hashToken } = require('../utils/tokenCrypto');
+
+const REAUTH_MESSAGE = 'Gmail access expired or was revoked. Please reconnect your account.';
+
+// Thrown when Google refuses our refresh token - the user has to sign in again
+class GmailAuthError extends Error {
+  constructor(message = REAUTH_MESSAGE) {
+    super(message);
+    this.name = 'GmailAuthError';
+    this.code = 401;
+    this.needsReauth = true;
+  }
+}
+
+const isInvalidGrant = (error) =>
+  error?.response?.data?.error === 'invalid_grant' || /invalid_grant/.test(error?.message || '');
+
+// Anything the client should answer with "please reconnect"
+const isReauthError = (error) =>
+  !!error && (error.needsReauth === true || isInvalidGrant(error) || error.code === 401);
+
+// Consistent response for routes: 401 + needsReauth
+// (provider auth errors - GmailAuthError, OutlookAuthError - carry their own message)
+const sendReauthError = (res, error) => res.status(401).json({
+  success: false,
+  error: error?.needsReauth && error.message ? error.message : REAUTH_MESSAGE,
+  needsReauth: true
+});
+
+/**
+ * Ids of records that still have no refresh token hash (saved before hashes
+ * existed, never migrated) and store this token as plaintext. Reads the raw
+ * collection so the query value isn't encrypted by the field setter.
+ */
+const findUnhashed = async (Model, tokenField, hashField, refreshToken) => {
+  const docs = await Model.collection
+    .find({ [hashField]: null, [tokenField]: refreshToken }, { projection: { _id: 1 } })
+    .toArray();
+  return docs.map(doc => doc._id);
+};
+
+// Every User / ConnectedAccount holding this refresh token - by hash, else legacy plaintext
+const tokenOwners = async (refreshToken) => {
+  const hash = hashToken(refreshToken);
+  const [userIds, accountIds] = await Promise.all([
+    findUnhashed(User, 'googleTokens.refresh_token', 'googleTokens.refresh_token_hash', refreshToken),
+    findUnhashed(ConnectedAccount, 'refreshToken', 'refreshTokenHash', refreshToken)
+  ]);
+  return {
+    hash,
+    users: { $or: [{ 'googleTokens.refresh_token_hash': hash }, { _id: { $in: userIds } }] },
+    accounts: { $or: [{ refreshTokenHash: hash }, { _id: { $in: accountIds } }] }
+  };
+};
+
+/**
+ * Save refreshed tokens everywhere the old refresh token is stored
+ * (the user's own googleTokens and any ConnectedAccount using it).
+ * Tokens are encrypted at rest, so matching goes through their hash;
+ * unhashed legacy records get theirs filled in along the way.
+ */
+const persistTokens = async (refreshToken, tokens) => {
+  const { hash, users, accounts } = await tokenOwners(refreshToken);
+
+  const userUpdate = {
+    'googleTokens.access_token': tokens.access_token,
+    'googleTokens.expiry_date': tokens.expiry_date,
+    'googleTokens.refresh_token_hash': hash
+  };
+  const accountUpdate = {
+    accessToken: tokens.access_token,
+    tokenExpiry: tokens.expiry_date ? new Date(tokens.expiry_date) : undefined,
+    refreshTokenHash: hash
+  };
+  if (tokens.refresh_token) {
+    userUpdate['googleTokens.refresh_token'] = tokens.refresh_token;
+    accountUpdate.refreshToken = tokens.refresh_token;
+  }
+
+  await Promise.all([
+    User.updateMany(users, { $set: userUpdate }),
+    ConnectedAccount.updateMany(accounts, { $set: accountUpdate })
+  ]);
+};
+
+// Refresh token is dead - flag every account using it so the UI can ask to reconnect
+const markRevoked = async (refreshToken) => {
+  const { hash, accounts } = await tokenOwners(refreshToken);
+  return ConnectedAccount.updateMany(accounts, {
+    $set: {
+      status: 'error',
+      syncStatus: 'error',
+      syncError: { message: REAUTH_MESSAGE, timestamp: new Date() },
+      refreshTokenHash: hash
+    }
+  });
+};
+
+/**
+ * OAuth2 client for a token set ({ access_token, refresh_token, expiry_date })
+ * that writes refreshed tokens back to Mongo and turns invalid_grant into
+ * GmailAuthError.
+ */
+const createOAuthClient = (tokens) => {
+  const credentials = typeof tokens === 'string' ? { access_token: tokens } : (tokens || {});
+  const refreshToken = credentials.refresh_token || null;
+
+  const oauth2 = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+  oauth2.setCredentials({
+    access_token: credentials.access_token,
+    refresh_token: refreshToken,
+    expiry_date: credentials.expiry_date || null
+  });
+
+  oauth2.on('tokens', (refreshed) => {
+    // Keep the caller's copy current for the rest of the request
+    if (typeof tokens === 'object' && tokens) {
+      tokens.access_token = refreshed.access_token;
+      if (refreshed.expiry_date) tokens.expiry_date = refreshed.expiry_date;
+      if (refreshed.refresh_token) tokens.refresh_token = refreshed.refresh_token;
+    }
+    if (!refreshToken) return;
+
+    persistTokens(refreshToken, refreshed)
+      .then(() => logger.info('Refreshed Google tokens saved'))
+      .catch(error => logger.error('Failed to save refreshed Google tokens:', error));
+  });
+
+  // Every refresh (proactive or after a 401) goes through refreshTokenNoCache
+  const refresh = oauth2.refreshTokenNoCache.bind(oauth2);
+  oauth2.refreshTokenNoCache = async (token) => {
+    try {
+      return await refresh(token);
+    } catch (error) {
+      if (!isInvalidGrant(error)) throw error;
+
+      logger.warn('Google refresh token rejected (invalid_grant)');
+      await markRevoked(token).catch(err => logger.error('Failed to flag revoked account:', err));
+      throw new GmailAuthError();
+    }
+  };
+
+  return oauth2;
+};
+
+const createGmailClient = (tokens) => google.gmail({ version: 'v1', auth: createOAuthClient(tokens) });
+
+module.exports = {
+  createOAuthClient,
+  createGmailClient,
+  GmailAuthError,
+  isReauthError,
+  sendReauthError
+};
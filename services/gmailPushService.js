@@ -0,0 +1,105 @@
+const cron = require('node-cron');
+const ConnectedAccount = require('../models/ConnectedAccount');
+const gmailService = require('./gmailService');
+const accountSyncService = require('./accountSyncService');
+const logger = require('../utils/logger');
+
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000; // Renew watches expiring within a day
+
+/**
+ * Gmail push notifications - keeps a users.watch subscription per
+ * ConnectedAccount and turns Pub/Sub pushes into an incremental sync
+ * (see accountSyncService)
+ */
+class GmailPushService {
+  start() {
+    if (!process.env.GMAIL_PUBSUB_TOPIC) {
+      console.log('⚠️ GMAIL_PUBSUB_TOPIC not set - Gmail push disabled');
+      return;
+    }
+
+    // Watches expire after 7 days, renew daily
+    cron.schedule('0 3 * * *', async () => {
+      await this.renewWatches();
+    });
+
+    console.log('✅ Gmail push watch renewal scheduled');
+  }
+
+  async watchAccount(account) {
+    const topicName = process.env.GMAIL_PUBSUB_TOPIC;
+    if (!topicName) {
+      throw new Error('GMAIL_PUBSUB_TOPIC is not configured');
+    }
+
+    const { historyId, expiration } = await gmailService.watchMailbox(account.getTokens(), topicName);
+
+    // Keep an existing cursor so nothing between the two is skipped
+    if (!account.historyId) {
+      account.historyId = historyId;
+    }
+    account.watch = { active: true, topicName, expiration };
+    await account.save();
+
+    logger.info(`Gmail watch started for ${account.email} (expires ${expiration.toISOString()})`);
+    return account.watch;
+  }
+
+  async unwatchAccount(account) {
+    try {
+      await gmailService.stopWatch(account.getTokens());
+    } catch (error) {
+      // Token may already be revoked - still mark the watch inactive
+      logger.warn(`Gmail stop failed for ${account.email}: ${error.message}`);
+    }
+
+    account.watch = { active: false, topicName: null, expiration: null };
+    await account.save();
+    return account.watch;
+  }
+
+  async renewWatches() {
+    const accounts = await ConnectedAccount.find({
+      provider: 'gmail',
+      'watch.active': true,
+      'watch.expiration': { $lte: new Date(Date.now() + RENEW_BEFORE_MS) }
+    });
+
+    for (const account of accounts) {
+      try {
+        await this.watchAccount(account);
+      } catch (error) {
+        logger.error(`Gmail watch renewal failed for ${account.email}:`, error.message);
+      }
+    }
+
+    return accounts.length;
+  }
+
+  /**
+   * Handle one decoded push ({ emailAddress, historyId })
+   */
+  async handleNotification({ emailAddress, historyId }) {
+    const account = await ConnectedAccount.findOne({
+      email: emailAddress.toLowerCase(),
+      provider: 'gmail'
+    }).populate('userId');
+
+    if (!account || !account.userId) {
+      logger.warn(`Gmail push for unknown account ${emailAddress}`);
+      return { processed: 0 };
+    }
+
+    // First push after connecting - nothing to diff against yet
+    if (!account.historyId) {
+      account.historyId = String(historyId);
+      await account.save();
+      return { processed: 0 };
+    }
+
+    const result = await accountSyncService.syncAccount(account, { trigger: 'push' });
+    return { processed: result.emailsSynced, mode: result.mode };
+  }
+}
+
+module.exports = new GmailPushService();
@@ -1,20 +1,26 @@
-const { google } = require('googleapis');
-const { oauth2Client } = require('../config/oauth');
+const { createGmailClient } = require('./gmailClientFactory');
 const logger = require('../utils/logger');
+const EmailAction = require('../models/EmailAction');
 
+// System labels Gmail won't let us add back through messages.modify
+const UNRESTORABLE_LABELS = ['SENT', 'DRAFT', 'CHAT', 'TRASH', 'SPAM'];
+
+// Headers kept when fetching messages in 'metadata' format
+const METADATA_HEADERS = ['From', 'To', 'Subject', 'Date', 'List-Unsubscribe', 'List-Unsubscribe-Post'];
+
+// Bare address from a From/To header ("Name <a@b.com>" -> "a@b.com")
+const addressOf = (header = '') => (header.match(/<([^>]+)>/)?.[1] || header).trim().toLowerCase();
+
+// Implements the mail provider interface (see services/mailProviders.js)
 class GmailService {
+  constructor() {
+    this.name = 'gmail';
+  }
+
+  // Token refresh, persistence and invalid_grant handling live in the factory
   async getGmailClient(tokens) {
-  const oauth2 = new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    process.env.GOOGLE_REDIRECT_URI
-  );
-  oauth2.setCredentials({
-    access_token: tokens.access_token || tokens,
-    refresh_token: tokens.refresh_token || null
-  });
-  return google.gmail({ version: 'v1', auth: oauth2 });
-}
+    return createGmailClient(tokens);
+  }
 
   async fetchEmails(refreshToken, maxResults = 50) {
     try {
@@ -71,9 +77,13 @@ class GmailService {
   }
 
   // ✅ Batch archive emails
-  async archiveEmails(tokens, emailIds) {
+  // Pass `journal` ({ userId, source, accountId? }) to record the batch so it can be undone
+  async archiveEmails(tokens, emailIds, journal = null) {
     try {
-      const gmail = await this.getGmailClient(tokens.refresh_token);
+      const gmail = await this.getGmailClient(tokens);
+      const state = journal ? await this.getMessageState(gmail, emailIds) : null;
+      // Messages gone since they were listed have nothing left to act on
+      if (state) emailIds = emailIds.filter(id => state.snapshot[id]);
       const batchSize = 10;
       for (let i = 0; i < emailIds.length; i += batchSize) {
         const batch = emailIds.slice(i, i + batchSize);
@@ -88,7 +98,12 @@ class GmailService {
         );
       }
       logger.info(`Archived ${emailIds.length} emails`);
-      return { success: true, count: emailIds.length };
+
+      const result = { success: true, count: emailIds.length };
+      if (journal) {
+        Object.assign(result, await EmailAction.recordBatch(journal.userId, 'archive', state.snapshot, { ...journal, sizes: state.sizes }));
+      }
+      return result;
     } catch (error) {
       logger.error('Archive emails error:', error);
       throw error;
@@ -96,9 +111,13 @@ class GmailService {
   }
 
   // ✅ Batch delete emails
-  async deleteEmails(tokens, emailIds) {
+  // Pass `journal` ({ userId, source, accountId? }) to record the batch so it can be undone
+  async deleteEmails(tokens, emailIds, journal = null) {
     try {
-      const gmail = await this.getGmailClient(tokens.refresh_token);
+      const gmail = await this.getGmailClient(tokens);
+      const state = journal ? await this.getMessageState(gmail, emailIds) : null;
+      // Messages gone since they were listed have nothing left to act on
+      if (state) emailIds = emailIds.filter(id => state.snapshot[id]);
       const batchSize = 10;
       for (let i = 0; i < emailIds.length; i += batchSize) {
         const batch = emailIds.slice(i, i + batchSize);
@@ -109,62 +128,669 @@ class GmailService {
         );
       }
       logger.info(`Deleted ${emailIds.length} emails`);
-      return { success: true, count: emailIds.length };
+
+      const result = { success: true, count: emailIds.length };
+      if (journal) {
+        Object.assign(result, await EmailAction.recordBatch(journal.userId, 'delete', state.snapshot, { ...journal, sizes: state.sizes }));
+      }
+      return result;
     } catch (error) {
       logger.error('Delete emails error:', error);
       throw error;
     }
   }
 
+  // ✅ Capture current labels and sizes per message (before a bulk action)
+  // Returns { snapshot: { emailId: labelIds }, sizes: { emailId: bytes } }
+  async getMessageState(gmail, emailIds) {
+    const snapshot = {};
+    const sizes = {};
+    const batchSize = 10;
+    for (let i = 0; i < emailIds.length; i += batchSize) {
+      const batch = emailIds.slice(i, i + batchSize);
+      const details = await Promise.all(
+        batch.map(emailId =>
+          gmail.users.messages.get({ userId: 'me', id: emailId, format: 'minimal' }).catch(error => {
+            // Message may be gone by the time we fetch it - leave it out
+            if (error.code !== 404) throw error;
+            logger.warn(`Skipping message ${emailId}: not found`);
+            return null;
+          })
+        )
+      );
+      details.filter(Boolean).forEach(detail => {
+        snapshot[detail.data.id] = detail.data.labelIds || [];
+        sizes[detail.data.id] = detail.data.sizeEstimate || 0;
+      });
+    }
+    return { snapshot, sizes };
+  }
+
+  // ✅ Archive whole conversations (threads.modify), journaled per message for undo
+  async archiveThreads(tokens, threadIds, journal = null) {
+    return this.modifyThreads(tokens, threadIds, 'archive', journal);
+  }
+
+  // ✅ Trash whole conversations (threads.trash), journaled per message for undo
+  async deleteThreads(tokens, threadIds, journal = null) {
+    return this.modifyThreads(tokens, threadIds, 'delete', journal);
+  }
+
+  async modifyThreads(tokens, threadIds, action, journal) {
+    try {
+      const gmail = await this.getGmailClient(tokens);
+      // Always snapshot: it's also how we know how many messages were touched
+      const state = await this.getThreadState(gmail, threadIds);
+      const batchSize = 10;
+      for (let i = 0; i < threadIds.length; i += batchSize) {
+        const batch = threadIds.slice(i, i + batchSize);
+        await Promise.all(
+          batch.map(threadId =>
+            action === 'archive'
+              ? gmail.users.threads.modify({ userId: 'me', id: threadId, requestBody: { removeLabelIds: ['INBOX'] } })
+              : gmail.users.threads.trash({ userId: 'me', id: threadId })
+          )
+        );
+      }
+
+      const count = Object.keys(state.snapshot).length;
+      logger.info(`${action === 'archive' ? 'Archived' : 'Deleted'} ${threadIds.length} threads (${count} emails)`);
+
+      const result = { success: true, count, threads: threadIds.length };
+      if (journal) {
+        Object.assign(result, await EmailAction.recordBatch(journal.userId, action, state.snapshot, { ...journal, sizes: state.sizes }));
+      }
+      return result;
+    } catch (error) {
+      logger.error(`${action} threads error:`, error);
+      throw error;
+    }
+  }
+
+  // ✅ Labels and sizes of every message in the given threads (same shape as getMessageState)
+  async getThreadState(gmail, threadIds) {
+    const snapshot = {};
+    const sizes = {};
+    const batchSize = 10;
+    for (let i = 0; i < threadIds.length; i += batchSize) {
+      const batch = threadIds.slice(i, i + batchSize);
+      const details = await Promise.all(
+        batch.map(threadId =>
+          gmail.users.threads.get({ userId: 'me', id: threadId, format: 'minimal' })
+        )
+      );
+      details.forEach(detail => {
+        (detail.data.messages || []).forEach(message => {
+          snapshot[message.id] = message.labelIds || [];
+          sizes[message.id] = message.sizeEstimate || 0;
+        });
+      });
+    }
+    return { snapshot, sizes };
+  }
+
+  // ✅ One page of inbox conversations, each summarized for scoring (see summarizeThread)
+  async getInboxThreadsPage(tokens, { pageToken = null, maxResults = 100, myAddress = null } = {}) {
+    try {
+      const gmail = await this.getGmailClient(tokens);
+      const response = await gmail.users.threads.list({
+        userId: 'me',
+        maxResults,
+        pageToken: pageToken || undefined,
+        labelIds: ['INBOX'],
+        q: '-in:trash -in:spam'
+      });
+
+      const threadIds = (response.data.threads || []).map(thread => thread.id);
+      return {
+        threads: await this.getThreadSummaries(tokens, threadIds, { myAddress }),
+        nextPageToken: response.data.nextPageToken || null,
+        resultSizeEstimate: response.data.resultSizeEstimate || 0
+      };
+    } catch (error) {
+      logger.error('Get inbox threads error:', error);
+      throw error;
+    }
+  }
+
+  // ✅ Fetch threads (headers only) and summarize each one
+  async getThreadSummaries(tokens, threadIds, { myAddress = null } = {}) {
+    const gmail = await this.getGmailClient(tokens);
+    const summaries = [];
+    const batchSize = 10;
+
+    for (let i = 0; i < threadIds.length; i += batchSize) {
+      const batch = threadIds.slice(i, i + batchSize);
+      const details = await Promise.all(
+        batch.map(id =>
+          gmail.users.threads.get({
+            userId: 'me',
+            id,
+            format: 'metadata',
+            metadataHeaders: METADATA_HEADERS
+          }).catch(error => {
+            // Thread may be gone by the time we fetch it
+            logger.warn(`Skipping thread ${id}: ${error.message}`);
+            return null;
+          })
+        )
+      );
+
+      details.filter(detail => detail?.data.messages?.length).forEach(detail => {
+        summaries.push(this.summarizeThread(detail.data, myAddress));
+      });
+    }
+
+    return summaries;
+  }
+
+  // ✅ Every message in a thread (headers only), oldest first
+  async getThreadMessages(tokens, threadId) {
+    const gmail = await this.getGmailClient(tokens);
+    const { data } = await gmail.users.threads.get({
+      userId: 'me',
+      id: threadId,
+      format: 'metadata',
+      metadataHeaders: METADATA_HEADERS
+    });
+    return (data.messages || []).map(message => this.parseMessage(message));
+  }
+
+  /**
+   * Flatten a thread into one email for the scoring engine: the latest
+   * message from someone else, the labels of every message, and
+   * `replied` when any message was sent by me (so the safety rule keeps it).
+   */
+  summarizeThread(thread, myAddress = null) {
+    const messages = thread.messages.map(message => this.parseMessage(message));
+    const me = myAddress ? myAddress.toLowerCase() : null;
+    const isMine = (message) =>
+      message.labels.includes('SENT') || (!!me && addressOf(message.from) === me);
+
+    const theirs = messages.filter(message => !isMine(message));
+    const latest = theirs[theirs.length - 1] || messages[messages.length - 1];
+
+    return {
+      emailId: latest.emailId,
+      threadId: thread.id,
+      emailIds: messages.map(message => message.emailId),
+      messageCount: messages.length,
+      from: latest.from,
+      subject: messages[0].subject,
+      date: latest.date,
+      snippet: thread.snippet || latest.snippet,
+      labels: [...new Set(messages.flatMap(message => message.labels))],
+      replied: messages.some(isMine),
+      sizeEstimate: messages.reduce((sum, message) => sum + message.sizeEstimate, 0)
+    };
+  }
+
+  // ✅ Put journaled emails back the way they were (undo archive/delete)
+  async restoreEmails(tokens, entries) {
+    const gmail = await this.getGmailClient(tokens);
+    const restored = [];
+    const failed = [];
+    const batchSize = 10;
+
+    for (let i = 0; i < entries.length; i += batchSize) {
+      const batch = entries.slice(i, i + batchSize);
+      await Promise.all(
+        batch.map(async (entry) => {
+          try {
+            if (entry.action === 'delete') {
+              await gmail.users.messages.untrash({ userId: 'me', id: entry.emailId });
+            }
+
+            const addLabelIds = (entry.previousLabels || [])
+              .filter(label => !UNRESTORABLE_LABELS.includes(label));
+
+            if (addLabelIds.length > 0) {
+              await gmail.users.messages.modify({
+                userId: 'me',
+                id: entry.emailId,
+                requestBody: { addLabelIds }
+              });
+            }
+            restored.push(entry.emailId);
+          } catch (error) {
+            logger.error(`Restore email ${entry.emailId} error:`, error.message);
+            failed.push(entry.emailId);
+          }
+        })
+      );
+    }
+
+    logger.info(`Restored ${restored.length} emails (${failed.length} failed)`);
+    return { success: failed.length === 0, restored, failed };
+  }
+
   // ✅ Get inbox emails (for scheduler)
   async getInboxEmails(tokens, maxResults = 100) {
+    const { emails } = await this.getInboxEmailsPage(tokens, { maxResults });
+    return emails;
+  }
+
+  // ✅ Get one page of inbox emails, with the cursor for the next page
+  async getInboxEmailsPage(tokens, { pageToken = null, maxResults = 100 } = {}) {
     try {
-      const gmail = await this.getGmailClient(tokens.refresh_token);
+      const gmail = await this.getGmailClient(tokens);
       const response = await gmail.users.messages.list({
         userId: 'me',
         maxResults,
+        pageToken: pageToken || undefined,
         labelIds: ['INBOX'],
         q: '-in:trash -in:spam'
       });
 
-      if (!response.data.messages) return [];
+      const messages = response.data.messages || [];
+      const emails = [];
+      const batchSize = 10;
 
-      const emails = await Promise.all(
-        response.data.messages.map(async (message) => {
-          const email = await gmail.users.messages.get({
-            userId: 'me',
-            id: message.id,
-            format: 'metadata',
-            metadataHeaders: ['From', 'Subject', 'Date']
-          });
+      for (let i = 0; i < messages.length; i += batchSize) {
+        const batch = messages.slice(i, i + batchSize);
+        const details = await Promise.all(
+          batch.map(message =>
+            gmail.users.messages.get({
+              userId: 'me',
+              id: message.id,
+              format: 'metadata',
+              metadataHeaders: ['From', 'Subject', 'Date']
+            })
+          )
+        );
+
+        details.forEach(email => {
           const headers = email.data.payload.headers;
-          return {
+          emails.push({
             emailId: email.data.id,
             from: headers.find(h => h.name === 'From')?.value || '',
             subject: headers.find(h => h.name === 'Subject')?.value || '',
             date: headers.find(h => h.name === 'Date')?.value || '',
             snippet: email.data.snippet,
             labels: email.data.labelIds || []
-          };
-        })
-      );
+          });
+        });
+      }
 
-      return emails;
+      return {
+        emails,
+        nextPageToken: response.data.nextPageToken || null,
+        resultSizeEstimate: response.data.resultSizeEstimate || 0
+      };
     } catch (error) {
       logger.error('Get inbox emails error:', error);
       throw error;
     }
   }
 
+  // ✅ Ids of every inbox message received after `since`, oldest first
+  // (ids only - callers fetch the messages in batches with getEmailsByIds)
+  async getMessageIdsSince(tokens, since) {
+    try {
+      const gmail = await this.getGmailClient(tokens);
+      const after = Math.floor(new Date(since).getTime() / 1000);
+      const messages = [];
+      let pageToken;
+
+      do {
+        const response = await gmail.users.messages.list({
+          userId: 'me',
+          maxResults: 500,
+          pageToken,
+          labelIds: ['INBOX'],
+          q: `after:${after} -in:trash -in:spam`
+        });
+        messages.push(...(response.data.messages || []));
+        pageToken = response.data.nextPageToken;
+      } while (pageToken);
+
+      return messages.map(m => m.id).reverse();
+    } catch (error) {
+      logger.error('Get message ids since error:', error);
+      throw error;
+    }
+  }
+
+  // ✅ Get emails by message id
+  // format 'full' includes the plain-text body; 'metadata' is headers only (cheaper)
+  async getEmailsByIds(tokens, emailIds, { format = 'full' } = {}) {
+    const gmail = await this.getGmailClient(tokens);
+    const emails = [];
+    const batchSize = 10;
+
+    for (let i = 0; i < emailIds.length; i += batchSize) {
+      const batch = emailIds.slice(i, i + batchSize);
+      const details = await Promise.all(
+        batch.map(id =>
+          gmail.users.messages.get({
+            userId: 'me',
+            id,
+            format,
+            metadataHeaders: format === 'metadata' ? METADATA_HEADERS : undefined
+          }).catch(error => {
+            // Message may be gone by the time we fetch it
+            logger.warn(`Skipping message ${id}: ${error.message}`);
+            return null;
+          })
+        )
+      );
+
+      details.filter(Boolean).forEach(email => {
+        emails.push(this.parseMessage(email.data));
+      });
+    }
+
+    return emails;
+  }
+
+  // ✅ Flatten a Gmail message resource into the shape the app uses
+  parseMessage(data) {
+    const headers = data.payload?.headers || [];
+    const header = (name) => headers.find(h => h.name.toLowerCase() === name.toLowerCase())?.value || '';
+
+    return {
+      emailId: data.id,
+      threadId: data.threadId,
+      from: header('From'),
+      to: header('To'),
+      subject: header('Subject'),
+      date: header('Date'),
+      internalDate: data.internalDate ? new Date(Number(data.internalDate)) : null,
+      snippet: data.snippet,
+      body: this.extractPlainText(data.payload),
+      labels: data.labelIds || [],
+      sizeEstimate: data.sizeEstimate || 0,
+      listUnsubscribe: header('List-Unsubscribe') || null,
+      listUnsubscribePost: header('List-Unsubscribe-Post') || null
+    };
+  }
+
+  // ✅ Mailbox profile (current historyId, message totals)
+  async getProfile(tokens) {
+    const gmail = await this.getGmailClient(tokens);
+    const { data } = await gmail.users.getProfile({ userId: 'me' });
+    return data;
+  }
+
+  // ✅ Message ids matching a Gmail search (ids only - no per-message fetch)
+  // Pass labelIds: null to search all mail
+  async listMessageIds(tokens, { q = '', labelIds = ['INBOX'], maxResults = 500 } = {}) {
+    const gmail = await this.getGmailClient(tokens);
+    const ids = [];
+    let pageToken;
+
+    do {
+      const response = await gmail.users.messages.list({
+        userId: 'me',
+        q,
+        labelIds: labelIds || undefined,
+        maxResults: Math.min(500, maxResults - ids.length),
+        pageToken
+      });
+      ids.push(...(response.data.messages || []).map(m => m.id));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken && ids.length < maxResults);
+
+    return ids;
+  }
+
+  // ✅ Start Gmail push notifications (users.watch) to a Pub/Sub topic
+  async watchMailbox(tokens, topicName) {
+    const gmail = await this.getGmailClient(tokens);
+    const response = await gmail.users.watch({
+      userId: 'me',
+      requestBody: {
+        topicName,
+        labelIds: ['INBOX'],
+        labelFilterBehavior: 'include'
+      }
+    });
+    return {
+      historyId: response.data.historyId,
+      expiration: new Date(Number(response.data.expiration))
+    };
+  }
+
+  // ✅ Stop Gmail push notifications
+  async stopWatch(tokens) {
+    const gmail = await this.getGmailClient(tokens);
+    await gmail.users.stop({ userId: 'me' });
+    return { success: true };
+  }
+
+  // ✅ Changes since `startHistoryId` (history.list delta)
+  // Returns { messageIds (new inbox mail), addedIds (all new mail), deletedIds, labelChanges, historyId }
+  // Throws with code 404 when the history id is too old
+  async getHistory(tokens, startHistoryId) {
+    const gmail = await this.getGmailClient(tokens);
+    const inboxIds = new Set();
+    const addedIds = new Set();
+    const deletedIds = new Set();
+    const labelChanges = new Map(); // id -> { added: [], removed: [] }
+    let historyId = startHistoryId;
+    let pageToken;
+
+    const changesFor = (id) => {
+      if (!labelChanges.has(id)) labelChanges.set(id, { added: [], removed: [] });
+      return labelChanges.get(id);
+    };
+
+    do {
+      const response = await gmail.users.history.list({
+        userId: 'me',
+        startHistoryId,
+        historyTypes: ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'],
+        pageToken
+      });
+
+      (response.data.history || []).forEach(entry => {
+        (entry.messagesAdded || []).forEach(({ message }) => {
+          addedIds.add(message.id);
+          if ((message.labelIds || []).includes('INBOX')) {
+            inboxIds.add(message.id);
+          }
+        });
+        (entry.messagesDeleted || []).forEach(({ message }) => deletedIds.add(message.id));
+        (entry.labelsAdded || []).forEach(({ message, labelIds }) => {
+          changesFor(message.id).added.push(...labelIds);
+        });
+        (entry.labelsRemoved || []).forEach(({ message, labelIds }) => {
+          changesFor(message.id).removed.push(...labelIds);
+        });
+      });
+
+      historyId = response.data.historyId || historyId;
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    // New messages are fetched with their current labels, deleted ones are gone
+    [...addedIds, ...deletedIds].forEach(id => labelChanges.delete(id));
+    deletedIds.forEach(id => {
+      addedIds.delete(id);
+      inboxIds.delete(id);
+    });
+
+    return {
+      messageIds: [...inboxIds],
+      addedIds: [...addedIds],
+      deletedIds: [...deletedIds],
+      labelChanges: [...labelChanges].map(([id, changes]) => ({ id, ...changes })),
+      historyId
+    };
+  }
+
+  // ✅ Pull the text/plain part out of a message payload
+  extractPlainText(payload) {
+    if (!payload) return '';
+    if (payload.mimeType === 'text/plain' && payload.body?.data) {
+      return Buffer.from(payload.body.data, 'base64').toString('utf-8');
+    }
+    for (const part of payload.parts || []) {
+      const text = this.extractPlainText(part);
+      if (text) return text;
+    }
+    return '';
+  }
+
+  // ✅ Add a label (by name) to emails, creating the label if needed
+  async applyLabel(tokens, emailIds, labelName) {
+    try {
+      const label = await this.getOrCreateLabel(tokens, labelName);
+      await this.batchModify(tokens, emailIds, { addLabelIds: [label.id] });
+      logger.info(`Labeled ${emailIds.length} emails as "${label.name}"`);
+
+      return { success: true, count: emailIds.length, labelId: label.id };
+    } catch (error) {
+      logger.error('Apply label error:', error);
+      throw error;
+    }
+  }
+
+  // ✅ All labels (system and user)
+  async listLabels(tokens) {
+    const gmail = await this.getGmailClient(tokens);
+    const { data } = await gmail.users.labels.list({ userId: 'me' });
+    return data.labels || [];
+  }
+
+  // ✅ Add labels (by id) to emails
+  async addLabels(tokens, emailIds, labelIds) {
+    return this.batchModify(tokens, emailIds, { addLabelIds: labelIds });
+  }
+
+  // ✅ Star / unstar emails
+  async setFlagged(tokens, emailIds, flagged = true) {
+    const labels = { [flagged ? 'addLabelIds' : 'removeLabelIds']: ['STARRED'] };
+    await this.batchModify(tokens, emailIds, labels);
+    return { success: true, count: emailIds.length };
+  }
+
+  // ✅ Find a user label by name (case-insensitive), creating it if missing
+  async getOrCreateLabel(tokens, labelName) {
+    const gmail = await this.getGmailClient(tokens);
+    const { data } = await gmail.users.labels.list({ userId: 'me' });
+    const label = (data.labels || []).find(l => l.name.toLowerCase() === labelName.toLowerCase());
+    if (label) return label;
+
+    const response = await gmail.users.labels.create({
+      userId: 'me',
+      requestBody: {
+        name: labelName,
+        labelListVisibility: 'labelShow',
+        messageListVisibility: 'show'
+      }
+    });
+    return response.data;
+  }
+
+  // ✅ Add/remove labels on many messages at once (batchModify takes up to 1000 ids)
+  async batchModify(tokens, emailIds, { addLabelIds = [], removeLabelIds = [] }) {
+    const gmail = await this.getGmailClient(tokens);
+    const batchSize = 1000;
+
+    for (let i = 0; i < emailIds.length; i += batchSize) {
+      await gmail.users.messages.batchModify({
+        userId: 'me',
+        requestBody: { ids: emailIds.slice(i, i + batchSize), addLabelIds, removeLabelIds }
+      });
+    }
+
+    return { success: true, count: emailIds.length };
+  }
+
+  // ✅ Permanently delete messages (skips trash - cannot be undone)
+  async permanentlyDeleteEmails(tokens, emailIds) {
+    const gmail = await this.getGmailClient(tokens);
+    const batchSize = 1000;
+
+    for (let i = 0; i < emailIds.length; i += batchSize) {
+      await gmail.users.messages.batchDelete({
+        userId: 'me',
+        requestBody: { ids: emailIds.slice(i, i + batchSize) }
+      });
+    }
+
+    return { success: true, count: emailIds.length };
+  }
+
+  // ✅ One page of message ids for a Gmail search
+  async listMessagePage(tokens, { q = '', pageToken = null, maxResults = 500 } = {}) {
+    const gmail = await this.getGmailClient(tokens);
+    const response = await gmail.users.messages.list({
+      userId: 'me',
+      q,
+      maxResults,
+      pageToken: pageToken || undefined
+    });
+
+    return {
+      ids: (response.data.messages || []).map(m => m.id),
+      nextPageToken: response.data.nextPageToken || null,
+      resultSizeEstimate: response.data.resultSizeEstimate || 0
+    };
+  }
+
+  // ✅ Forward an email (as plain text) to another address
+  async forwardEmail(tokens, emailId, to) {
+    const gmail = await this.getGmailClient(tokens);
+    const { data } = await gmail.users.messages.get({ userId: 'me', id: emailId, format: 'full' });
+    const headers = data.payload.headers || [];
+    const header = (name) => headers.find(h => h.name === name)?.value || '';
+
+    const body = [
+      '---------- Forwarded message ---------',
+      `From: ${header('From')}`,
+      `Date: ${header('Date')}`,
+      `Subject: ${header('Subject')}`,
+      `To: ${header('To')}`,
+      '',
+      this.extractPlainText(data.payload) || data.snippet || ''
+    ].join('\r\n');
+
+    return this.sendEmail(tokens, { to, subject: `Fwd: ${header('Subject')}`, body });
+  }
+
+  // ✅ Attachments of a message: [{ filename, mimeType, size, attachmentId, data }]
+  // Small attachments come inline (data), larger ones need downloadAttachment
+  async getAttachmentParts(tokens, emailId) {
+    const gmail = await this.getGmailClient(tokens);
+    const { data } = await gmail.users.messages.get({ userId: 'me', id: emailId, format: 'full' });
+
+    const parts = [];
+    const walk = (part) => {
+      if (!part) return;
+      if (part.filename && (part.body?.attachmentId || part.body?.data)) {
+        parts.push({
+          filename: part.filename,
+          mimeType: part.mimeType,
+          size: part.body.size || 0,
+          attachmentId: part.body.attachmentId || null,
+          data: part.body.data || null
+        });
+      }
+      (part.parts || []).forEach(walk);
+    };
+    walk(data.payload);
+
+    return parts;
+  }
+
+  // ✅ Attachment content as a Buffer
+  async downloadAttachment(tokens, emailId, part) {
+    if (part.data) return Buffer.from(part.data, 'base64url');
+
+    const gmail = await this.getGmailClient(tokens);
+    const { data } = await gmail.users.messages.attachments.get({
+      userId: 'me',
+      messageId: emailId,
+      id: part.attachmentId
+    });
+    return Buffer.from(data.data, 'base64url');
+  }
+
   // ✅ Create Gmail label
   async createLabel(tokens, name) {
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2Client.setCredentials(tokens);
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = await this.getGmailClient(tokens);
     const response = await gmail.users.labels.create({
       userId: 'me',
       requestBody: {
@@ -201,11 +827,14 @@ class GmailService {
       const fromEmail = profile.data.emailAddress;
       const from = fromName ? `${fromName} <${fromEmail}>` : fromEmail;
 
+      // Header values must stay on one line (no header injection)
+      const headerValue = (value = '') => String(value).replace(/[\r\n]+/g, ' ');
+
       // Build RFC 2822 raw email
       const emailLines = [
-        `From: ${from}`,
-        `To: ${to}`,
-        `Subject: ${subject}`,
+        `From: ${headerValue(from)}`,
+        `To: ${headerValue(to)}`,
+        `Subject: ${headerValue(subject)}`,
         'MIME-Version: 1.0',
         'Content-Type: text/plain; charset=UTF-8',
         'Content-Transfer-Encoding: 7bit',
@@ -229,7 +858,7 @@ class GmailService {
       return { success: true, messageId: result.data.id, to };
     } catch (error) {
       logger.error(`❌ Failed to send email to ${to}:`, error.message);
-      return { success: false, to, error: error.message };
+      return { success: false, to, error: error.message, needsReauth: !!error.needsReauth };
     }
   }
 
@@ -0,0 +1,408 @@
+const { ImapFlow } = require('imapflow');
+const nodemailer = require('nodemailer');
+const ConnectedAccount = require('../models/ConnectedAccount');
+const EmailAction = require('../models/EmailAction');
+const logger = require('../utils/logger');
+
+const REAUTH_MESSAGE = 'The mail server rejected the app password. Please reconnect your account.';
+
+// Server settings for providers we know, so users only enter email + app password
+const PRESETS = {
+  yahoo: {
+    imap: { host: 'imap.mail.yahoo.com', port: 993, secure: true },
+    smtp: { host: 'smtp.mail.yahoo.com', port: 465, secure: true }
+  }
+};
+
+// Same shape as GmailAuthError so isReauthError/sendReauthError handle both
+class ImapAuthError extends Error {
+  constructor(message = REAUTH_MESSAGE) {
+    super(message);
+    this.name = 'ImapAuthError';
+    this.code = 401;
+    this.needsReauth = true;
+  }
+}
+
+// Message ids are "<mailbox path>:<uid>" - IMAP UIDs are only unique per folder
+const toId = (path, uid) => `${path}:${uid}`;
+
+const parseId = (id) => {
+  const index = String(id).lastIndexOf(':');
+  const uid = parseInt(String(id).slice(index + 1));
+  if (index <= 0 || !uid) throw new Error(`Invalid IMAP message id: ${id}`);
+  return { path: id.slice(0, index), uid };
+};
+
+// { path: [uid, ...] } for ids that may span folders
+const groupByMailbox = (ids) => {
+  const groups = new Map();
+  for (const id of ids) {
+    const { path, uid } = parseId(id);
+    if (!groups.has(path)) groups.set(path, []);
+    groups.get(path).push(uid);
+  }
+  return groups;
+};
+
+const formatAddress = (address) => {
+  if (!address) return '';
+  return address.name ? `${address.name} <${address.address}>` : (address.address || '');
+};
+
+/**
+ * Any IMAP/SMTP mailbox (Yahoo and others) signed in with an app password.
+ * Implements the mail provider interface (see services/mailProviders.js):
+ * IMAP folders stand in for Gmail labels - "labelling" a message copies it
+ * into the folder, archive/delete move it to the Archive/Trash folders.
+ *
+ * Credentials come from ConnectedAccount.getTokens():
+ * { accountId, user, pass, imap: { host, port, secure }, smtp: { host, port, secure } }
+ */
+class ImapService {
+  constructor() {
+    this.name = 'imap';
+    this.PRESETS = PRESETS;
+  }
+
+  // ==================== CONNECTION ====================
+
+  // Open a session, run `fn(client)`, always log out
+  async withClient(credentials, fn) {
+    if (!credentials?.imap?.host || !credentials.pass) throw new ImapAuthError();
+
+    const client = new ImapFlow({
+      host: credentials.imap.host,
+      port: credentials.imap.port,
+      secure: credentials.imap.secure,
+      auth: { user: credentials.user, pass: credentials.pass },
+      logger: false
+    });
+
+    try {
+      await client.connect();
+    } catch (error) {
+      if (error.authenticationFailed) {
+        await this.markRevoked(credentials);
+        throw new ImapAuthError();
+      }
+      throw error;
+    }
+
+    try {
+      return await fn(client);
+    } finally {
+      await client.logout().catch(() => {});
+    }
+  }
+
+  // Run `fn` with `path` selected (imapflow queues other callers on the lock)
+  async inMailbox(client, path, fn) {
+    const lock = await client.getMailboxLock(path);
+    try {
+      return await fn();
+    } finally {
+      lock.release();
+    }
+  }
+
+  // Check the credentials before saving an account
+  async verify(credentials) {
+    await this.withClient(credentials, async () => {});
+
+    const transport = this.createTransport(credentials);
+    try {
+      await transport.verify();
+    } catch (error) {
+      if (error.code === 'EAUTH') throw new ImapAuthError();
+      throw error;
+    } finally {
+      transport.close();
+    }
+  }
+
+  async markRevoked(credentials) {
+    if (!credentials.accountId) return;
+
+    logger.warn('IMAP login rejected - flagging account for reconnect');
+    await ConnectedAccount.updateOne(
+      { _id: credentials.accountId },
+      {
+        $set: {
+          status: 'error',
+          syncStatus: 'error',
+          syncError: { message: REAUTH_MESSAGE, timestamp: new Date() }
+        }
+      }
+    ).catch(error => logger.error('Failed to flag revoked account:', error));
+  }
+
+  // ==================== FOLDERS ====================
+
+  // Folder with the given special-use flag, falling back to common names
+  async findSpecialFolder(client, specialUse, names, { create = false } = {}) {
+    const folders = await client.list();
+    const folder = folders.find(box => box.specialUse === specialUse)
+      || folders.find(box => names.includes(box.name.toLowerCase()));
+    if (folder) return folder.path;
+    if (!create) throw new Error(`No ${specialUse} folder on this server`);
+
+    const created = await client.mailboxCreate(names[0].replace(/^./, c => c.toUpperCase()));
+    return created.path;
+  }
+
+  getArchiveFolder(client) {
+    return this.findSpecialFolder(client, '\\Archive', ['archive', 'archives'], { create: true });
+  }
+
+  getTrashFolder(client) {
+    return this.findSpecialFolder(client, '\\Trash', ['trash', 'deleted items', 'deleted messages', 'deleted']);
+  }
+
+  // ==================== MESSAGES ====================
+
+  // Fetched message -> the list shape gmailService returns.
+  // Flags become the Gmail labels the rest of the app already understands.
+  parseMessage(path, message) {
+    const envelope = message.envelope || {};
+    const labels = [path];
+    if (message.flags?.has('\\Flagged')) labels.push('STARRED');
+    if (!message.flags?.has('\\Seen')) labels.push('UNREAD');
+
+    return {
+      emailId: toId(path, message.uid),
+      threadId: message.threadId || envelope.messageId || toId(path, message.uid),
+      from: formatAddress(envelope.from?.[0]),
+      subject: envelope.subject || '',
+      date: (envelope.date || message.internalDate || new Date()).toISOString(),
+      snippet: '',
+      labels,
+      isRead: !!message.flags?.has('\\Seen'),
+      sizeEstimate: message.size
+    };
+  }
+
+  // ✅ One page of inbox messages, newest first.
+  // The page token is the lowest UID already returned.
+  async getInboxEmailsPage(credentials, { pageToken = null, maxResults = 100 } = {}) {
+    const before = pageToken ? parseInt(pageToken) : null;
+    if (pageToken && !(before > 0)) throw new Error('Invalid page token');
+    if (before === 1) return { emails: [], nextPageToken: null, resultSizeEstimate: 0 };
+
+    return this.withClient(credentials, client => this.inMailbox(client, 'INBOX', async () => {
+      const uids = (await client.search(before ? { uid: `1:${before - 1}` } : { all: true }, { uid: true })) || [];
+      uids.sort((a, b) => a - b);
+      const pageUids = uids.slice(-maxResults);
+
+      const emails = [];
+      if (pageUids.length > 0) {
+        const fields = { uid: true, envelope: true, flags: true, internalDate: true, size: true };
+        for await (const message of client.fetch(pageUids, fields, { uid: true })) {
+          emails.push(this.parseMessage('INBOX', message));
+        }
+      }
+      emails.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+      return {
+        emails,
+        nextPageToken: uids.length > pageUids.length ? String(pageUids[0]) : null,
+        resultSizeEstimate: uids.length
+      };
+    }));
+  }
+
+  /**
+   * Move messages to `destination`, folder by folder.
+   * Returns { oldId: newId } - ids change with the folder. Servers without
+   * UIDPLUS don't report new UIDs; those messages keep their old id.
+   */
+  async moveMessages(client, emailIds, destination) {
+    const moved = {};
+    for (const [path, uids] of groupByMailbox(emailIds)) {
+      await this.inMailbox(client, path, async () => {
+        const result = await client.messageMove(uids, destination, { uid: true });
+        for (const uid of uids) {
+          const newUid = result?.uidMap?.get(uid);
+          moved[toId(path, uid)] = newUid ? toId(destination, newUid) : toId(path, uid);
+        }
+      });
+    }
+    return moved;
+  }
+
+  // Move to `destination` and journal where each message came from.
+  // The journal is keyed by the new id so undo can find the message.
+  async moveAndJournal(credentials, emailIds, action, getDestination, journal) {
+    return this.withClient(credentials, async (client) => {
+      const destination = await getDestination(client);
+      const moved = await this.moveMessages(client, emailIds, destination);
+
+      const result = { success: true, count: emailIds.length };
+      if (journal) {
+        const snapshot = {};
+        for (const [oldId, newId] of Object.entries(moved)) {
+          snapshot[newId] = [parseId(oldId).path];
+        }
+        Object.assign(result, await EmailAction.recordBatch(journal.userId, action, snapshot, journal));
+      }
+      return result;
+    });
+  }
+
+  // ✅ Archive = move to the Archive folder (created if missing)
+  // Pass `journal` ({ userId, source, accountId }) to record the batch so it can be undone
+  async archiveEmails(credentials, emailIds, journal = null) {
+    const result = await this.moveAndJournal(credentials, emailIds, 'archive', client => this.getArchiveFolder(client), journal);
+    logger.info(`Archived ${emailIds.length} IMAP emails`);
+    return result;
+  }
+
+  // ✅ Delete = move to Trash (recoverable, like Gmail)
+  async deleteEmails(credentials, emailIds, journal = null) {
+    const result = await this.moveAndJournal(credentials, emailIds, 'delete', client => this.getTrashFolder(client), journal);
+    logger.info(`Deleted ${emailIds.length} IMAP emails`);
+    return result;
+  }
+
+  // ✅ Undo: move journaled messages back to the folder they came from
+  async restoreEmails(credentials, entries) {
+    const restored = [];
+    const failed = [];
+
+    // Group by (current folder, original folder) so each group is one MOVE
+    const groups = new Map();
+    for (const entry of entries) {
+      const destination = entry.previousLabels?.[0] || 'INBOX';
+      let from;
+      try {
+        from = parseId(entry.emailId).path;
+      } catch (error) {
+        failed.push(entry.emailId);
+        continue;
+      }
+      const key = `${from}\n${destination}`;
+      if (!groups.has(key)) groups.set(key, { destination, ids: [] });
+      groups.get(key).ids.push(entry.emailId);
+    }
+
+    await this.withClient(credentials, async (client) => {
+      for (const { destination, ids } of groups.values()) {
+        try {
+          await this.moveMessages(client, ids, destination);
+          restored.push(...ids);
+        } catch (error) {
+          logger.error(`Restore IMAP emails to ${destination} error:`, error.message);
+          failed.push(...ids);
+        }
+      }
+    });
+
+    logger.info(`Restored ${restored.length} IMAP emails (${failed.length} failed)`);
+    return { success: failed.length === 0, restored, failed };
+  }
+
+  // ✅ Star / unstar (the IMAP \Flagged flag)
+  async setFlagged(credentials, emailIds, flagged = true) {
+    await this.withClient(credentials, async (client) => {
+      for (const [path, uids] of groupByMailbox(emailIds)) {
+        await this.inMailbox(client, path, () => flagged
+          ? client.messageFlagsAdd(uids, ['\\Flagged'], { uid: true })
+          : client.messageFlagsRemove(uids, ['\\Flagged'], { uid: true }));
+      }
+    });
+    return { success: true, count: emailIds.length };
+  }
+
+  // ==================== FOLDERS AS LABELS ====================
+
+  // ✅ Folders in Gmail label shape - the path is the id
+  async listLabels(credentials) {
+    return this.withClient(credentials, async (client) => {
+      const folders = await client.list();
+      return folders
+        .filter(box => !box.flags?.has('\\Noselect'))
+        .map(box => ({
+          id: box.path,
+          name: box.path === 'INBOX' ? 'INBOX' : box.name,
+          type: box.specialUse || box.path === 'INBOX' ? 'system' : 'user',
+          specialUse: box.specialUse || null
+        }));
+    });
+  }
+
+  async createLabel(credentials, name) {
+    return this.withClient(credentials, async (client) => {
+      const created = await client.mailboxCreate(name);
+      if (created && created.created === false) {
+        const error = new Error(`Folder "${name}" already exists`);
+        error.code = 409;
+        throw error;
+      }
+      return { id: created.path, name, type: 'user' };
+    });
+  }
+
+  // ✅ "Add a label" = copy the messages into that folder
+  async addLabels(credentials, emailIds, labelIds) {
+    await this.withClient(credentials, async (client) => {
+      for (const [path, uids] of groupByMailbox(emailIds)) {
+        await this.inMailbox(client, path, async () => {
+          for (const folder of labelIds) {
+            await client.messageCopy(uids, folder, { uid: true });
+          }
+        });
+      }
+    });
+    return { success: true, count: emailIds.length };
+  }
+
+  // ✅ Copy into a folder by name, creating it if needed
+  async applyLabel(credentials, emailIds, labelName) {
+    const labels = await this.listLabels(credentials);
+    const label = labels.find(l => l.name.toLowerCase() === labelName.toLowerCase())
+      || await this.createLabel(credentials, labelName);
+
+    await this.addLabels(credentials, emailIds, [label.id]);
+    logger.info(`Filed ${emailIds.length} IMAP emails under "${label.name}"`);
+    return { success: true, count: emailIds.length, labelId: label.id };
+  }
+
+  // ==================== SEND ====================
+
+  createTransport(credentials) {
+    return nodemailer.createTransport({
+      host: credentials.smtp.host,
+      port: credentials.smtp.port,
+      secure: credentials.smtp.secure,
+      auth: { user: credentials.user, pass: credentials.pass }
+    });
+  }
+
+  // ✅ Send a plain-text email over SMTP
+  async sendEmail(credentials, { to, subject, body, fromName }) {
+    const transport = this.createTransport(credentials);
+    try {
+      const info = await transport.sendMail({
+        from: fromName ? { name: fromName, address: credentials.user } : credentials.user,
+        to,
+        subject,
+        text: body
+      });
+
+      logger.info(`✅ SMTP email sent to ${to}`);
+      return { success: true, messageId: info.messageId, to };
+    } catch (error) {
+      const needsReauth = error.code === 'EAUTH';
+      if (needsReauth) await this.markRevoked(credentials);
+      logger.error(`❌ Failed to send SMTP email to ${to}:`, error.message);
+      return { success: false, to, error: needsReauth ? REAUTH_MESSAGE : error.message, needsReauth };
+    } finally {
+      transport.close();
+    }
+  }
+}
+
+const imapService = new ImapService();
+imapService.ImapAuthError = ImapAuthError;
+
+module.exports = imapService;
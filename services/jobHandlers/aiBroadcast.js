@@ -0,0 +1,109 @@
+const User = require('../../models/User');
+const gmailService = require('../gmailService');
+const logger = require('../../utils/logger');
+const { callGroq } = require('../../utils/groq');
+
+// Personalize one email per recipient with AI, then send them all.
+// Not retried - a second attempt would send duplicates.
+module.exports = {
+  type: 'ai.broadcast',
+  maxAttempts: 1,
+
+  async run(job, ctx) {
+    const user = await User.findById(job.userId);
+    if (!user?.googleTokens?.access_token) throw new Error('Gmail not connected');
+
+    const { recipients, basePrompt, toneGuide, subject: manualSubject } = job.payload;
+    const total = recipients.length;
+
+    // ── Step 1: Generate personalized email for each recipient ──
+    const personalizedEmails = [];
+
+    for (const [index, recipient] of recipients.entries()) {
+      const { email, name, context: recipientContext } = recipient;
+
+      const recipientName = name || email.split('@')[0];
+
+      const systemPrompt = `You are an expert email writer. Write a ${toneGuide} email that feels genuinely personal to the recipient.
+Always output in this exact format:
+Subject: [subject here]
+[blank line]
+[email body here]
+
+Rules:
+- Address the recipient by name naturally
+- Keep it authentic, not template-like
+- Do not include placeholders like [Name] in the final output
+- Output ONLY the Subject line and email body. Nothing else.
+- Do NOT add any notes, explanations, or meta-commentary after the email.
+- End the email naturally with a sign-off. Do not add anything after it.
+- Never use placeholders like [platform], [industry], or [field]. Use actual specific details from the context provided, or write naturally without them.
+- For the sign-off, use "${user.name}" as the sender name.`;
+
+      const userPrompt = `Write a personalized email to ${recipientName} (${email}).
+${recipientContext ? `About this person: ${recipientContext}` : ''}
+
+Base message/purpose: ${basePrompt}
+
+Make it feel personal and genuine to ${recipientName}.`;
+
+      try {
+        const generated = await callGroq(systemPrompt, userPrompt);
+
+        const subjectMatch = generated.match(/Subject:\s*(.+?)(?:\n|$)/i);
+        const emailSubject = manualSubject || (subjectMatch ? subjectMatch[1].trim() : 'Hello');
+        const emailBody = generated.replace(/Subject:\s*.+?(?:\n|$)/i, '').trim();
+
+        personalizedEmails.push({
+          to: email,
+          subject: emailSubject,
+          body: emailBody,
+          recipientName
+        });
+      } catch (aiError) {
+        logger.error(`AI personalization failed for ${email}: ${aiError.message}`);
+        // Skip failed personalization — don't send a blank email
+        personalizedEmails.push({
+          to: email,
+          subject: null,
+          body: null,
+          error: aiError.message,
+          recipientName
+        });
+      }
+
+      await ctx.progress(index + 1, total * 2, 'Personalizing emails');
+    }
+
+    // ── Step 2: Filter out any AI failures ──
+    const readyToSend = personalizedEmails.filter(e => e.subject && e.body);
+    const aiFailures = personalizedEmails.filter(e => !e.subject || !e.body);
+
+    if (readyToSend.length === 0) {
+      throw new Error('AI failed to generate any emails. Please try again.');
+    }
+
+    // ── Step 3: Send via Gmail ──
+    await ctx.progress(total, total * 2, `Sending ${readyToSend.length} emails`);
+    const broadcastResult = await gmailService.sendBroadcast(user.googleTokens, readyToSend);
+
+    // ── Step 4: Build result ──
+    return {
+      summary: {
+        total,
+        aiPersonalized: readyToSend.length,
+        sent: broadcastResult.sent,
+        failed: broadcastResult.failed + aiFailures.length,
+        aiFailed: aiFailures.length
+      },
+      results: [
+        ...broadcastResult.results,
+        ...aiFailures.map(f => ({
+          success: false,
+          to: f.to,
+          error: `AI personalization failed: ${f.error}`
+        }))
+      ]
+    };
+  }
+};
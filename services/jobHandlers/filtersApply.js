@@ -0,0 +1,19 @@
+const User = require('../../models/User');
+const ConnectedAccount = require('../../models/ConnectedAccount');
+const filterService = require('../filterService');
+
+// Apply a saved filter to every matching message already in the mailbox
+module.exports = {
+  type: 'filters.apply',
+
+  async run(job, ctx) {
+    const user = await User.findById(job.userId);
+    const tokens = user && await ConnectedAccount.resolveTokens(user, job.payload.accountId);
+    if (!tokens) throw new Error('Gmail not connected');
+
+    const { filter } = job.payload;
+    return filterService.applyToMailbox(tokens, filter, (current, total) =>
+      ctx.progress(current, total, `Applying "${filter.name}"`)
+    );
+  }
+};
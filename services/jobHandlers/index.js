@@ -0,0 +1,9 @@
+// Built-in job handlers, registered with the queue on first use.
+// See services/jobQueue.js for the handler shape.
+module.exports = [
+  require('./filtersApply'),
+  require('./trashEmpty'),
+  require('./aiBroadcast'),
+  require('./senderBulk'),
+  require('./storageReclaim')
+];
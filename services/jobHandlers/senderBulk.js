@@ -0,0 +1,19 @@
+const User = require('../../models/User');
+const SenderBulkAction = require('../../models/SenderBulkAction');
+const senderBulkService = require('../senderBulkService');
+
+// Archive / delete / label / mark-read everything from a sender or domain
+module.exports = {
+  type: 'senders.bulk',
+
+  async run(job, ctx) {
+    const run = await SenderBulkAction.findById(job.payload.runId);
+    if (!run) throw new Error('Sender bulk action not found');
+
+    const user = await User.findById(job.userId);
+    if (!user) throw new Error('User not found');
+
+    await senderBulkService.execute(run, user, ctx);
+    return { runId: run._id, processed: run.processed, batchId: run.batchId };
+  }
+};
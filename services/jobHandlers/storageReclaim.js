@@ -0,0 +1,89 @@
+const User = require('../../models/User');
+const ConnectedAccount = require('../../models/ConnectedAccount');
+const EmailAction = require('../../models/EmailAction');
+const gmailService = require('../gmailService');
+const storageService = require('../storageService');
+const logger = require('../../utils/logger');
+
+// Delete large emails to free Gmail storage, optionally saving their
+// attachments first. A message whose attachments fail to export is kept.
+// Payload: { emailIds, accountId, exportId?, permanent }
+module.exports = {
+  type: 'storage.reclaim',
+
+  async run(job, ctx) {
+    const user = await User.findById(job.userId);
+    const tokens = user && await ConnectedAccount.resolveTokens(user, job.payload.accountId);
+    if (!tokens) throw new Error('Gmail not connected');
+
+    const { emailIds, exportId = null, permanent = false } = job.payload;
+
+    // Real sizes (and which messages still exist)
+    const messages = await gmailService.getEmailsByIds(tokens, emailIds, { format: 'metadata' });
+    const sizes = new Map(messages.map(message => [message.emailId, message.sizeEstimate || 0]));
+    let toDelete = emailIds.filter(id => sizes.has(id));
+
+    const total = toDelete.length * (exportId ? 2 : 1);
+    let done = 0;
+
+    // ── Step 1: export attachments ──
+    const exported = { exportId, files: 0, bytes: 0, failed: [] };
+    if (exportId) {
+      const dir = storageService.getExportDir(job.userId, exportId);
+      for (const id of toDelete) {
+        try {
+          const saved = await storageService.exportAttachments(tokens, id, dir);
+          exported.files += saved.length;
+          exported.bytes += saved.reduce((sum, file) => sum + file.size, 0);
+        } catch (error) {
+          logger.error(`Attachment export failed for ${id}: ${error.message}`);
+          exported.failed.push(id);
+        }
+        await ctx.progress(++done, total, 'Exporting attachments');
+      }
+      toDelete = toDelete.filter(id => !exported.failed.includes(id));
+    }
+
+    // ── Step 2: delete ──
+    let batch = {};
+    if (toDelete.length > 0) {
+      if (permanent) {
+        await gmailService.permanentlyDeleteEmails(tokens, toDelete);
+        // Not undoable, so no batch - recorded for the storage freed stats
+        const now = new Date();
+        await EmailAction.insertMany(toDelete.map(emailId => ({
+          userId: job.userId,
+          emailId,
+          action: 'delete',
+          executed: true,
+          executedAt: now,
+          userApproved: true,
+          source: 'manual',
+          sizeEstimate: sizes.get(emailId),
+          accountId: job.payload.accountId || null
+        })));
+      } else {
+        batch = await gmailService.deleteEmails(tokens, toDelete, {
+          userId: job.userId,
+          source: 'manual',
+          accountId: job.payload.accountId || null
+        });
+      }
+    }
+    await ctx.progress(total, total, 'Deleted');
+
+    const bytesReclaimed = toDelete.reduce((sum, id) => sum + sizes.get(id), 0);
+    logger.info(`Storage reclaim for ${user.email}: ${toDelete.length} emails, ${bytesReclaimed} bytes`);
+
+    return {
+      deleted: toDelete.length,
+      skipped: emailIds.length - toDelete.length,
+      bytesReclaimed,
+      // Trashed mail still counts against the quota until the trash is emptied
+      permanent,
+      batchId: batch.batchId || null,
+      undoExpiresAt: batch.undoExpiresAt || null,
+      export: exportId ? exported : null
+    };
+  }
+};
@@ -0,0 +1,40 @@
+const User = require('../../models/User');
+const ConnectedAccount = require('../../models/ConnectedAccount');
+const gmailService = require('../gmailService');
+
+const PAGE_SIZE = 500;
+const MAX_PAGES = 200;
+
+// Permanently delete everything in Trash. Deleted messages drop out of the
+// query, so we keep re-reading the first page until it comes back empty.
+module.exports = {
+  type: 'trash.empty',
+
+  async run(job, ctx) {
+    const user = await User.findById(job.userId);
+    const tokens = user && await ConnectedAccount.resolveTokens(user, job.payload.accountId);
+    if (!tokens) throw new Error('Gmail not connected');
+
+    const seen = new Set();
+    let deleted = 0;
+    let total = 0;
+
+    for (let pages = 0; pages < MAX_PAGES; pages++) {
+      const page = await gmailService.listMessagePage(tokens, { q: 'in:trash', maxResults: PAGE_SIZE });
+      if (pages === 0) total = page.resultSizeEstimate;
+
+      // Ids we've already deleted mean Gmail didn't apply it - stop rather than loop
+      const ids = page.ids.filter(id => !seen.has(id));
+      if (ids.length === 0) break;
+      ids.forEach(id => seen.add(id));
+
+      await gmailService.permanentlyDeleteEmails(tokens, ids);
+      deleted += ids.length;
+      total = Math.max(total, deleted);
+
+      await ctx.progress(deleted, total, 'Emptying trash');
+    }
+
+    return { count: deleted };
+  }
+};
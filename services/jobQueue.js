@@ -0,0 +1,292 @@
+const os = require('os');
+const Job = require('../models/Job');
+const logger = require('../utils/logger');
+
+const WORKERS = parseInt(process.env.JOB_WORKERS) || 2;
+const MAX_JOBS_PER_USER = parseInt(process.env.JOB_MAX_PER_USER) || 1;
+const POLL_INTERVAL_MS = 2000;
+const LOCK_TIMEOUT_MS = 15 * 60 * 1000; // Running job with no progress for this long is requeued
+const BACKOFF_BASE_MS = 30 * 1000; // 30s, 60s, 120s...
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Mongo-backed job queue for long-running Gmail work.
+ *
+ * A handler module looks like:
+ *   {
+ *     type: 'filters.apply',
+ *     maxAttempts: 3,                  // optional
+ *     run: async (job, ctx) => result  // ctx.progress(current, total, message)
+ *   }
+ *
+ * Workers claim due jobs atomically, retry failures with exponential backoff
+ * and run at most MAX_JOBS_PER_USER jobs per user at a time (one per runSlot).
+ */
+class JobQueue {
+  constructor() {
+    this.handlers = {};
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.running = false;
+    this.handlersLoaded = false;
+  }
+
+  // Built-in handlers load on first use - some of them require services
+  // that enqueue jobs themselves
+  loadHandlers() {
+    if (this.handlersLoaded) return;
+    this.handlersLoaded = true;
+    require('./jobHandlers').forEach(handler => this.register(handler));
+  }
+
+  register(handler) {
+    if (!handler || !handler.type || typeof handler.run !== 'function') {
+      throw new Error('Job handler must have a type and a run() function');
+    }
+    this.handlers[handler.type] = handler;
+    return this;
+  }
+
+  async enqueue(userId, type, payload = {}, { priority = 0, runAt = new Date() } = {}) {
+    this.loadHandlers();
+    const handler = this.handlers[type];
+    if (!handler) {
+      throw new Error(`No job handler registered for ${type}`);
+    }
+
+    const job = await Job.create({
+      userId,
+      type,
+      payload,
+      priority,
+      runAt,
+      maxAttempts: handler.maxAttempts || 3
+    });
+
+    logger.info(`Job ${job._id} (${type}) queued for user ${userId}`);
+    return job;
+  }
+
+  /**
+   * Queued jobs are cancelled straight away; running ones stop at their next progress update.
+   * Returns the job as it stands afterwards.
+   */
+  async cancel(job) {
+    const cancelled = await Job.findOneAndUpdate(
+      { _id: job._id, status: 'queued' },
+      { $set: { status: 'cancelled', completedAt: new Date() } },
+      { new: true }
+    );
+    if (cancelled) return cancelled;
+
+    // Claimed (or finished) since it was read
+    const requested = await Job.findOneAndUpdate(
+      { _id: job._id, status: 'running' },
+      { $set: { cancelRequested: true } },
+      { new: true }
+    );
+    return requested || Job.findById(job._id);
+  }
+
+  start() {
+    if (this.running) return;
+    this.loadHandlers();
+    this.running = true;
+
+    for (let i = 0; i < WORKERS; i++) {
+      this.workerLoop(`${this.workerId}#${i}`);
+    }
+
+    console.log(`✅ Job queue started (${WORKERS} workers, ${MAX_JOBS_PER_USER} job(s) per user)`);
+  }
+
+  stop() {
+    this.running = false;
+  }
+
+  async workerLoop(workerId) {
+    while (this.running) {
+      let job = null;
+      try {
+        await this.requeueStale();
+        job = await this.claim(workerId);
+        if (job) {
+          await this.execute(job);
+        }
+      } catch (error) {
+        logger.error(`Job worker ${workerId} error:`, error);
+      }
+
+      if (!job) {
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+      }
+    }
+  }
+
+  /**
+   * Claim the next due job whose user is under the concurrency limit
+   */
+  async claim(workerId) {
+    const candidates = await Job.find({
+      status: 'queued',
+      runAt: { $lte: new Date() },
+      type: { $in: Object.keys(this.handlers) }
+    })
+      .sort({ priority: -1, runAt: 1 })
+      .limit(20)
+      .select('_id userId')
+      .lean();
+
+    const checked = new Set();
+    for (const candidate of candidates) {
+      const userKey = candidate.userId.toString();
+      if (checked.has(userKey)) continue;
+      checked.add(userKey);
+
+      // Quick skip for busy users - the slot index is what actually enforces the limit
+      const running = await Job.countDocuments({ userId: candidate.userId, status: 'running' });
+      if (running >= MAX_JOBS_PER_USER) continue;
+
+      const job = await this.claimSlot(candidate, workerId);
+      if (job) return job;
+    }
+
+    return null;
+  }
+
+  /**
+   * Move a queued job to running in one of its user's free slots. Another
+   * running job of the same user in that slot makes the update fail (unique
+   * index), so two workers can never push a user past MAX_JOBS_PER_USER.
+   */
+  async claimSlot(candidate, workerId) {
+    for (let slot = 0; slot < MAX_JOBS_PER_USER; slot++) {
+      const now = new Date();
+      try {
+        return await Job.findOneAndUpdate(
+          { _id: candidate._id, status: 'queued' },
+          {
+            $set: { status: 'running', runSlot: slot, lockedBy: workerId, lockedAt: now, startedAt: now },
+            $inc: { attempts: 1 }
+          },
+          { new: true }
+        );
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Slot taken - try the next one
+      }
+    }
+    return null;
+  }
+
+  async execute(job) {
+    const handler = this.handlers[job.type];
+    const ctx = {
+      progress: (current, total, message) => this.reportProgress(job, current, total, message)
+    };
+
+    try {
+      const result = await handler.run(job, ctx);
+
+      job.status = 'completed';
+      job.progress.current = Math.max(job.progress.current, job.progress.total);
+      job.result = result;
+      job.error = undefined;
+      job.completedAt = new Date();
+      job.lockedBy = undefined;
+      job.lockedAt = undefined;
+      await job.save();
+
+      logger.info(`Job ${job._id} (${job.type}) completed`);
+    } catch (error) {
+      await this.handleFailure(job, error);
+    }
+  }
+
+  async handleFailure(job, error) {
+    job.error = error.message;
+    job.lockedBy = undefined;
+    job.lockedAt = undefined;
+
+    const retry = !(error instanceof JobCancelledError) && job.attempts < job.maxAttempts;
+    if (retry) {
+      const delay = BACKOFF_BASE_MS * Math.pow(2, job.attempts - 1);
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + delay);
+      logger.warn(`Job ${job._id} (${job.type}) failed, retry ${job.attempts}/${job.maxAttempts} in ${delay / 1000}s: ${error.message}`);
+    } else {
+      job.status = error instanceof JobCancelledError ? 'cancelled' : 'failed';
+      job.completedAt = new Date();
+      logger.error(`Job ${job._id} (${job.type}) ${job.status}: ${error.message}`);
+    }
+
+    await job.save();
+  }
+
+  /**
+   * Save progress (also the lock heartbeat) and stop if cancellation was requested
+   */
+  async reportProgress(job, current, total, message) {
+    const updated = await Job.findOneAndUpdate(
+      { _id: job._id },
+      {
+        $set: {
+          'progress.current': current,
+          'progress.total': total ?? job.progress.total,
+          'progress.message': message ?? job.progress.message,
+          lockedAt: new Date()
+        }
+      },
+      { new: true }
+    ).select('progress cancelRequested');
+
+    job.progress = updated.progress;
+    if (updated.cancelRequested) {
+      throw new JobCancelledError();
+    }
+  }
+
+  /**
+   * Put jobs from dead workers back in the queue. Jobs that have used up
+   * their attempts (including non-retryable ones) fail instead, so a job
+   * that keeps killing the worker - or a broadcast - doesn't run again.
+   */
+  async requeueStale() {
+    const stale = { status: 'running', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } };
+    const exhausted = { $expr: { $gte: ['$attempts', '$maxAttempts'] } };
+
+    const failed = await Job.updateMany(
+      { ...stale, ...exhausted },
+      {
+        $set: {
+          status: 'failed',
+          error: 'Worker stopped while running the job',
+          completedAt: new Date(),
+          lockedBy: null,
+          lockedAt: null
+        }
+      }
+    );
+    if (failed.modifiedCount > 0) {
+      logger.error(`Failed ${failed.modifiedCount} stale job(s) with no attempts left`);
+    }
+
+    const requeued = await Job.updateMany(
+      { ...stale, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+      { $set: { status: 'queued', runAt: new Date(), lockedBy: null, lockedAt: null } }
+    );
+    if (requeued.modifiedCount > 0) {
+      logger.warn(`Requeued ${requeued.modifiedCount} stale job(s)`);
+    }
+  }
+}
+
+const jobQueue = new JobQueue();
+jobQueue.JobCancelledError = JobCancelledError;
+
+module.exports = jobQueue;
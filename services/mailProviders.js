@@ -0,0 +1,32 @@
+const gmailService = require('./gmailService');
+const outlookService = require('./outlookService');
+const imapService = require('./imapService');
+
+/**
+ * Mail providers by ConnectedAccount.provider.
+ *
+ * Every provider implements the same mailbox operations, all taking the
+ * account's tokens ({ access_token, refresh_token, expiry_date }) first:
+ *
+ *   getInboxEmailsPage(tokens, { pageToken, maxResults })
+ *     -> { emails: [{ emailId, threadId, from, subject, date, snippet, labels }], nextPageToken }
+ *   archiveEmails(tokens, emailIds, journal?)   -> { success, count, batchId? }
+ *   deleteEmails(tokens, emailIds, journal?)    -> { success, count, batchId? } (recoverable)
+ *   restoreEmails(tokens, journalEntries)       -> { restored, failed }
+ *   listLabels(tokens)                          -> [{ id, name, type }]
+ *   createLabel(tokens, name)                   -> { id, name }
+ *   addLabels(tokens, emailIds, labelIds)
+ *   setFlagged(tokens, emailIds, flagged)       -> { success, count } (Gmail STARRED)
+ *   applyLabel(tokens, emailIds, labelName)     -> { success, count, labelId }
+ *   sendEmail(tokens, { to, subject, body, fromName }) -> { success, messageId, to, error? }
+ */
+const providers = {
+  gmail: gmailService,
+  outlook: outlookService,
+  yahoo: imapService,
+  imap: imapService
+};
+
+const getProvider = (name = 'gmail') => providers[name] || null;
+
+module.exports = { getProvider };
@@ -0,0 +1,324 @@
+const axios = require('axios');
+const ConnectedAccount = require('../models/ConnectedAccount');
+const EmailAction = require('../models/EmailAction');
+const logger = require('../utils/logger');
+const { hashToken } = require('../utils/tokenCrypto');
+
+// Overridable so the adapter can run against a local mock Graph server
+const GRAPH_BASE_URL = (process.env.MS_GRAPH_BASE_URL || 'https://graph.microsoft.com/v1.0').replace(/\/$/, '');
+const TOKEN_URL = process.env.MS_TOKEN_URL || 'https://login.microsoftonline.com/common/oauth2/v2.0/token';
+const SCOPES = 'offline_access Mail.ReadWrite Mail.Send MailboxSettings.ReadWrite';
+
+// In-flight token refreshes, keyed by the caller's token object
+const refreshing = new WeakMap();
+
+const MESSAGE_FIELDS = 'id,conversationId,from,subject,receivedDateTime,bodyPreview,categories,isRead,parentFolderId';
+
+// Same shape as GmailAuthError so isReauthError/sendReauthError handle both
+class OutlookAuthError extends Error {
+  constructor(message = 'Outlook access expired or was revoked. Please reconnect your account.') {
+    super(message);
+    this.name = 'OutlookAuthError';
+    this.code = 401;
+    this.needsReauth = true;
+  }
+}
+
+/**
+ * Outlook / Microsoft 365 mailbox over the Graph mail API.
+ * Implements the mail provider interface (see services/mailProviders.js):
+ * Outlook folders stand in for Gmail's INBOX/TRASH labels, and Outlook
+ * categories for user labels.
+ */
+class OutlookService {
+  constructor() {
+    this.name = 'outlook';
+  }
+
+  // ==================== HTTP ====================
+
+  /**
+   * Graph request with the account's access token. Refreshes once on 401 and
+   * saves the new tokens to the ConnectedAccount.
+   */
+  async request(tokens, { method = 'GET', url, data, params }, retried = false) {
+    if (!tokens?.access_token) throw new OutlookAuthError();
+
+    try {
+      const response = await axios({
+        method,
+        url: url.startsWith('http') ? url : `${GRAPH_BASE_URL}${url}`,
+        data,
+        params,
+        headers: {
+          Authorization: `Bearer ${tokens.access_token}`,
+          // Keep message ids stable when messages move between folders
+          Prefer: 'IdType="ImmutableId"'
+        },
+        timeout: 30000
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 401 && !retried && tokens.refresh_token) {
+        await this.refreshOnce(tokens);
+        return this.request(tokens, { method, url, data, params }, true);
+      }
+      if (error.response?.status === 401) throw new OutlookAuthError();
+
+      const graphError = error.response?.data?.error;
+      const wrapped = new Error(graphError?.message || error.message);
+      wrapped.code = error.response?.status;
+      throw wrapped;
+    }
+  }
+
+  // Parallel requests that all hit 401 share one refresh (refresh tokens rotate)
+  refreshOnce(tokens) {
+    if (!refreshing.has(tokens)) {
+      refreshing.set(tokens, this.refreshTokens(tokens).finally(() => refreshing.delete(tokens)));
+    }
+    return refreshing.get(tokens);
+  }
+
+  async refreshTokens(tokens) {
+    let data;
+    try {
+      ({ data } = await axios.post(TOKEN_URL, new URLSearchParams({
+        client_id: process.env.MS_CLIENT_ID || '',
+        client_secret: process.env.MS_CLIENT_SECRET || '',
+        grant_type: 'refresh_token',
+        refresh_token: tokens.refresh_token,
+        scope: SCOPES
+      }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 30000
+      }));
+    } catch (error) {
+      if (error.response?.data?.error === 'invalid_grant') {
+        logger.warn('Outlook refresh token rejected (invalid_grant)');
+        await ConnectedAccount.updateMany(
+          { refreshTokenHash: hashToken(tokens.refresh_token) },
+          {
+            $set: {
+              status: 'error',
+              syncStatus: 'error',
+              syncError: { message: 'Outlook access expired or was revoked', timestamp: new Date() }
+            }
+          }
+        ).catch(err => logger.error('Failed to flag revoked account:', err));
+        throw new OutlookAuthError();
+      }
+      throw error;
+    }
+
+    const previousRefreshToken = tokens.refresh_token;
+    tokens.access_token = data.access_token;
+    tokens.expiry_date = Date.now() + (data.expires_in || 3600) * 1000;
+    if (data.refresh_token) tokens.refresh_token = data.refresh_token;
+
+    await ConnectedAccount.updateMany(
+      { refreshTokenHash: hashToken(previousRefreshToken) },
+      {
+        $set: {
+          accessToken: tokens.access_token,
+          refreshToken: tokens.refresh_token,
+          tokenExpiry: new Date(tokens.expiry_date)
+        }
+      }
+    ).catch(error => logger.error('Failed to save refreshed Outlook tokens:', error));
+
+    logger.info('Refreshed Outlook tokens saved');
+  }
+
+  // Run `fn` over ids, 10 at a time (Graph throttles bursts)
+  async forEachBatch(ids, fn) {
+    const batchSize = 10;
+    for (let i = 0; i < ids.length; i += batchSize) {
+      await Promise.all(ids.slice(i, i + batchSize).map(fn));
+    }
+  }
+
+  // ==================== MESSAGES ====================
+
+  // Graph message -> the list shape gmailService returns
+  parseMessage(message) {
+    const address = message.from?.emailAddress || {};
+    return {
+      emailId: message.id,
+      threadId: message.conversationId,
+      from: address.name ? `${address.name} <${address.address}>` : (address.address || ''),
+      subject: message.subject || '',
+      date: message.receivedDateTime,
+      snippet: message.bodyPreview || '',
+      labels: message.categories || [],
+      isRead: message.isRead
+    };
+  }
+
+  // ✅ One page of inbox messages; the page token is Graph's @odata.nextLink
+  async getInboxEmailsPage(tokens, { pageToken = null, maxResults = 100 } = {}) {
+    // The next link carries our bearer token - only ever follow it back to Graph
+    if (pageToken && !pageToken.startsWith(`${GRAPH_BASE_URL}/`)) {
+      throw new Error('Invalid page token');
+    }
+
+    const data = pageToken
+      ? await this.request(tokens, { url: pageToken })
+      : await this.request(tokens, {
+        url: '/me/mailFolders/inbox/messages',
+        params: { $top: maxResults, $select: MESSAGE_FIELDS, $orderby: 'receivedDateTime desc' }
+      });
+
+    return {
+      emails: (data.value || []).map(message => this.parseMessage(message)),
+      nextPageToken: data['@odata.nextLink'] || null,
+      resultSizeEstimate: data['@odata.count'] || (data.value || []).length
+    };
+  }
+
+  async moveMessages(tokens, emailIds, destinationId) {
+    await this.forEachBatch(emailIds, id =>
+      this.request(tokens, { method: 'POST', url: `/me/messages/${id}/move`, data: { destinationId } })
+    );
+  }
+
+  // Folder each message is in now (the "labels" to restore on undo)
+  async getFolderSnapshot(tokens, emailIds) {
+    const snapshot = {};
+    await this.forEachBatch(emailIds, async (id) => {
+      const message = await this.request(tokens, { url: `/me/messages/${id}`, params: { $select: 'parentFolderId' } });
+      snapshot[id] = [message.parentFolderId];
+    });
+    return snapshot;
+  }
+
+  // ✅ Archive = move to the Archive folder
+  // Pass `journal` ({ userId, source, accountId }) to record the batch so it can be undone
+  async archiveEmails(tokens, emailIds, journal = null) {
+    const snapshot = journal ? await this.getFolderSnapshot(tokens, emailIds) : null;
+    await this.moveMessages(tokens, emailIds, 'archive');
+    logger.info(`Archived ${emailIds.length} Outlook emails`);
+
+    const result = { success: true, count: emailIds.length };
+    if (journal) {
+      Object.assign(result, await EmailAction.recordBatch(journal.userId, 'archive', snapshot, journal));
+    }
+    return result;
+  }
+
+  // ✅ Delete = move to Deleted Items (recoverable, like Gmail's trash)
+  async deleteEmails(tokens, emailIds, journal = null) {
+    const snapshot = journal ? await this.getFolderSnapshot(tokens, emailIds) : null;
+    await this.moveMessages(tokens, emailIds, 'deleteditems');
+    logger.info(`Deleted ${emailIds.length} Outlook emails`);
+
+    const result = { success: true, count: emailIds.length };
+    if (journal) {
+      Object.assign(result, await EmailAction.recordBatch(journal.userId, 'delete', snapshot, journal));
+    }
+    return result;
+  }
+
+  // ✅ Undo: move journaled messages back to the folder they came from
+  async restoreEmails(tokens, entries) {
+    const restored = [];
+    const failed = [];
+
+    await this.forEachBatch(entries, async (entry) => {
+      try {
+        const destinationId = entry.previousLabels?.[0] || 'inbox';
+        await this.request(tokens, { method: 'POST', url: `/me/messages/${entry.emailId}/move`, data: { destinationId } });
+        restored.push(entry.emailId);
+      } catch (error) {
+        logger.error(`Restore Outlook email ${entry.emailId} error:`, error.message);
+        failed.push(entry.emailId);
+      }
+    });
+
+    logger.info(`Restored ${restored.length} Outlook emails (${failed.length} failed)`);
+    return { success: failed.length === 0, restored, failed };
+  }
+
+  // ✅ Star / unstar = Outlook follow-up flag
+  async setFlagged(tokens, emailIds, flagged = true) {
+    const flag = { flagStatus: flagged ? 'flagged' : 'notFlagged' };
+    await this.forEachBatch(emailIds, id =>
+      this.request(tokens, { method: 'PATCH', url: `/me/messages/${id}`, data: { flag } })
+    );
+    return { success: true, count: emailIds.length };
+  }
+
+    // ==================== CATEGORIES (labels) ====================
+
+  // ✅ Categories in Gmail label shape - the name doubles as the id
+  async listLabels(tokens) {
+    const data = await this.request(tokens, { url: '/me/outlook/masterCategories' });
+    return (data.value || []).map(category => ({
+      id: category.displayName,
+      name: category.displayName,
+      type: 'user',
+      color: category.color
+    }));
+  }
+
+  async createLabel(tokens, name) {
+    const category = await this.request(tokens, {
+      method: 'POST',
+      url: '/me/outlook/masterCategories',
+      data: { displayName: name, color: 'preset0' }
+    });
+    return { id: category.displayName, name: category.displayName, type: 'user', color: category.color };
+  }
+
+  // ✅ Add categories (by name) to messages, keeping the ones they already have
+  async addLabels(tokens, emailIds, labelIds) {
+    await this.forEachBatch(emailIds, async (id) => {
+      const message = await this.request(tokens, { url: `/me/messages/${id}`, params: { $select: 'categories' } });
+      const categories = [...new Set([...(message.categories || []), ...labelIds])];
+      await this.request(tokens, { method: 'PATCH', url: `/me/messages/${id}`, data: { categories } });
+    });
+    return { success: true, count: emailIds.length };
+  }
+
+  // ✅ Add a category by name, creating it if needed
+  async applyLabel(tokens, emailIds, labelName) {
+    const labels = await this.listLabels(tokens);
+    const label = labels.find(l => l.name.toLowerCase() === labelName.toLowerCase())
+      || await this.createLabel(tokens, labelName);
+
+    await this.addLabels(tokens, emailIds, [label.id]);
+    logger.info(`Categorized ${emailIds.length} Outlook emails as "${label.name}"`);
+    return { success: true, count: emailIds.length, labelId: label.id };
+  }
+
+  // ==================== SEND ====================
+
+  // ✅ Send a plain-text email (sendMail returns no message id)
+  async sendEmail(tokens, { to, subject, body }) {
+    try {
+      await this.request(tokens, {
+        method: 'POST',
+        url: '/me/sendMail',
+        data: {
+          message: {
+            subject,
+            body: { contentType: 'Text', content: body },
+            toRecipients: [{ emailAddress: { address: to } }]
+          },
+          saveToSentItems: true
+        }
+      });
+
+      logger.info(`✅ Outlook email sent to ${to}`);
+      return { success: true, messageId: null, to };
+    } catch (error) {
+      logger.error(`❌ Failed to send Outlook email to ${to}:`, error.message);
+      return { success: false, to, error: error.message, needsReauth: !!error.needsReauth };
+    }
+  }
+}
+
+const outlookService = new OutlookService();
+outlookService.OutlookAuthError = OutlookAuthError;
+
+module.exports = outlookService;
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
 const smartSchedulingService = require('./smartSchedulingService'); // ✅ NEW
+const recurrenceService = require('./recurrenceService');
 
 // Get models using mongoose.model() to avoid circular dependency
 const getTask = () => mongoose.model('Task');
@@ -34,12 +35,16 @@ class PlanningService {
     const endOfDay = new Date(date);
     endOfDay.setHours(23, 59, 59, 999);
     
+    // Create recurring tasks' occurrences up to this day
+    await recurrenceService.materialize(userId, endOfDay);
+    
     const pendingTasks = await Task.find({
       userId,
       status: 'pending',
-      $or: [
-        { deadline: { $lte: endOfDay } },
-        { deadline: null }
+      $and: [
+        { $or: [{ deadline: { $lte: endOfDay } }, { deadline: null }] },
+        // Recurring occurrences only on their own day
+        { $or: [{ seriesId: null }, { occurrenceDate: { $gte: startOfDay, $lte: endOfDay } }] }
       ]
     }).sort({ priority: -1, deadline: 1 });
     
@@ -338,6 +343,9 @@ async saveSchedule(schedule) {
       // Mark complete
       await task.markComplete(actualDuration);
       
+      // Recurring: line up the next occurrence
+      const nextTask = await recurrenceService.ensureNext(task);
+      
       // Update work pattern
       let workPattern = await UserWorkPattern.findOne({ userId });
       if (!workPattern) {
@@ -350,7 +358,8 @@ async saveSchedule(schedule) {
       
       return {
         success: true,
-        task
+        task,
+        nextTask
       };
       
     } catch (error) {
@@ -0,0 +1,446 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+// Get models using mongoose.model() to avoid circular dependency
+const getTask = () => mongoose.model('Task');
+
+const PATTERNS = ['daily', 'weekly', 'monthly'];
+const OPEN_STATUSES = ['pending', 'scheduled', 'in-progress'];
+const MAX_PER_SERIES = 62; // Occurrences created per series in one run
+const MAX_SCAN_DAYS = 400; // Days searched (per interval) for the next occurrence
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Changing these changes the series, not one occurrence
+const RULE_FIELDS = ['isRecurring', 'recurrencePattern', 'recurrence'];
+// Copied to the following occurrences by a series edit
+const SERIES_FIELDS = ['title', 'description', 'priority', 'estimatedDuration', 'category', 'tags'];
+// Never taken from a request body
+const PROTECTED_FIELDS = ['_id', 'userId', 'seriesId', 'occurrenceDate', 'isException', 'createdAt', 'updatedAt'];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => {
+  const day = new Date(date);
+  day.setDate(day.getDate() + days);
+  return day;
+};
+
+// Calendar days from a to b (DST-safe)
+const daysBetween = (a, b) =>
+  Math.round(
+    (Date.UTC(b.getFullYear(), b.getMonth(), b.getDate()) -
+      Date.UTC(a.getFullYear(), a.getMonth(), a.getDate())) / DAY_MS
+  );
+
+const isWeekend = (date) => date.getDay() === 0 || date.getDay() === 6;
+
+const daysInMonth = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+const pick = (source, fields) =>
+  Object.fromEntries(fields.filter(field => field in source).map(field => [field, source[field]]));
+
+const omit = (source, fields) =>
+  Object.fromEntries(Object.entries(source).filter(([field]) => !fields.includes(field)));
+
+/**
+ * Recurring tasks - every occurrence of a series is a Task of its own
+ * (seriesId, occurrenceDate), so it can be scheduled, completed or edited
+ * like any other task. Occurrences are created ahead of time by materialize()
+ * (when a plan is generated) and ensureNext() (when one is completed).
+ * Dates are server-local days, like the rest of the planner.
+ */
+class RecurrenceService {
+  /**
+   * Validate recurrence settings from a request body.
+   * Returns { rule } with the Task fields to set, or { error }
+   */
+  parseRule({ isRecurring, recurrencePattern, recurrence } = {}) {
+    recurrence = recurrence || {};
+    if (isRecurring === false || recurrencePattern === 'none') {
+      return { rule: { isRecurring: false, recurrencePattern: 'none' } };
+    }
+    if (!PATTERNS.includes(recurrencePattern)) {
+      return { error: `recurrencePattern must be one of: ${PATTERNS.join(', ')}` };
+    }
+
+    const interval = recurrence.interval === undefined ? 1 : Number(recurrence.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+      return { error: 'recurrence.interval must be a whole number from 1 to 365' };
+    }
+
+    const weekdaysOnly = !!recurrence.weekdaysOnly;
+    const daysOfWeek = recurrence.daysOfWeek || [];
+    if (!Array.isArray(daysOfWeek) || daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: 'recurrence.daysOfWeek must be a list of days from 0 (Sunday) to 6 (Saturday)' };
+    }
+    if (daysOfWeek.length > 0 && recurrencePattern !== 'weekly') {
+      return { error: 'recurrence.daysOfWeek only applies to weekly tasks' };
+    }
+    if (weekdaysOnly && daysOfWeek.length > 0 && daysOfWeek.every(day => day === 0 || day === 6)) {
+      return { error: 'recurrence.weekdaysOnly leaves none of the chosen days' };
+    }
+
+    const nth = recurrence.nthWeekday;
+    const hasNth = nth && nth.n !== undefined && nth.n !== null;
+    if (hasNth) {
+      if (recurrencePattern !== 'monthly') {
+        return { error: 'recurrence.nthWeekday only applies to monthly tasks' };
+      }
+      if (![1, 2, 3, 4, 5, -1].includes(nth.n) || !Number.isInteger(nth.weekday) || nth.weekday < 0 || nth.weekday > 6) {
+        return { error: 'recurrence.nthWeekday needs n (1-5, or -1 for last) and weekday (0-6)' };
+      }
+    }
+
+    let endDate = null;
+    if (recurrence.endDate) {
+      endDate = new Date(recurrence.endDate);
+      if (isNaN(endDate.getTime())) {
+        return { error: 'recurrence.endDate is not a valid date' };
+      }
+    }
+
+    return {
+      rule: {
+        isRecurring: true,
+        recurrencePattern,
+        recurrence: {
+          interval,
+          weekdaysOnly,
+          daysOfWeek: [...new Set(daysOfWeek)].sort((a, b) => a - b),
+          nthWeekday: hasNth ? { n: nth.n, weekday: nth.weekday } : { n: null, weekday: null },
+          endDate
+        }
+      }
+    };
+  }
+
+  // Does the task's rule put an occurrence on this day?
+  matches(task, day) {
+    const rule = task.recurrence || {};
+    const interval = rule.interval || 1;
+    const start = startOfDay(rule.startDate || task.occurrenceDate || day);
+
+    if (rule.weekdaysOnly && isWeekend(day)) return false;
+
+    switch (task.recurrencePattern) {
+      case 'daily':
+        return Math.abs(daysBetween(start, day)) % interval === 0;
+
+      case 'weekly': {
+        const days = rule.daysOfWeek?.length ? rule.daysOfWeek : [start.getDay()];
+        const weeks = daysBetween(addDays(start, -start.getDay()), addDays(day, -day.getDay())) / 7;
+        return days.includes(day.getDay()) && Math.abs(weeks) % interval === 0;
+      }
+
+      case 'monthly': {
+        const months = (day.getFullYear() - start.getFullYear()) * 12 + day.getMonth() - start.getMonth();
+        if (Math.abs(months) % interval !== 0) return false;
+
+        const nth = rule.nthWeekday;
+        if (nth && nth.n) {
+          if (day.getDay() !== nth.weekday) return false;
+          return nth.n === -1
+            ? day.getDate() + 7 > daysInMonth(day)
+            : Math.ceil(day.getDate() / 7) === nth.n;
+        }
+        // Day of the month it started on (the 31st falls back to the month's last day)
+        return day.getDate() === Math.min(start.getDate(), daysInMonth(day));
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  // First occurrence after `after` (a day), or null once the series has ended
+  nextOccurrence(task, after) {
+    const endDate = task.recurrence?.endDate ? startOfDay(task.recurrence.endDate) : null;
+    const maxDays = MAX_SCAN_DAYS * (task.recurrence?.interval || 1);
+
+    let day = startOfDay(after);
+    for (let i = 0; i < maxDays; i++) {
+      day = addDays(day, 1);
+      if (endDate && day > endDate) return null;
+      if (this.matches(task, day)) return day;
+    }
+    return null;
+  }
+
+  /**
+   * Turn a saved task into the first occurrence of a series.
+   * It lands on its deadline's day (or today), or the next day the rule allows.
+   */
+  async startSeries(task) {
+    const anchor = startOfDay(task.deadline || new Date());
+
+    task.seriesId = task._id;
+    task.recurrence.startDate = anchor;
+    task.occurrenceDate = this.matches(task, anchor)
+      ? anchor
+      : this.nextOccurrence(task, anchor) || anchor;
+    task.deadline = this.deadlineFor(task.occurrenceDate, task.deadline);
+
+    await task.save();
+    logger.info(`🔁 Started ${task.recurrencePattern} series "${task.title}" on ${task.occurrenceDate.toDateString()}`);
+    return task;
+  }
+
+  /**
+   * Create the occurrences of the user's series up to `until` (end of that day).
+   * Missed days in the past aren't backfilled. Returns the number created.
+   */
+  async materialize(userId, until, now = new Date()) {
+    const Task = getTask();
+
+    const latest = await Task.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          isRecurring: true,
+          seriesId: { $ne: null }
+        }
+      },
+      { $sort: { occurrenceDate: -1 } },
+      { $group: { _id: '$seriesId', taskId: { $first: '$_id' } } }
+    ]);
+    if (latest.length === 0) return 0;
+
+    const tasks = await Task.find({ _id: { $in: latest.map(series => series.taskId) } });
+    let created = 0;
+
+    for (const task of tasks) {
+      try {
+        const occurrences = await this.extendSeries(task, { until, from: now });
+        created += occurrences.length;
+      } catch (error) {
+        logger.error(`Couldn't extend series ${task.seriesId}:`, error.message);
+      }
+    }
+
+    if (created > 0) logger.info(`🔁 Created ${created} recurring task occurrence(s) for user ${userId}`);
+    return created;
+  }
+
+  /**
+   * Make sure a series has an open occurrence after `task` (e.g. once it's completed).
+   * Returns the new occurrence, or null if there already is one or the series ended.
+   */
+  async ensureNext(task, now = new Date()) {
+    const Task = getTask();
+    if (!task.seriesId || !task.isRecurring) return null;
+
+    const upcoming = await Task.exists({
+      seriesId: task.seriesId,
+      occurrenceDate: { $gt: task.occurrenceDate },
+      status: { $in: OPEN_STATUSES }
+    });
+    if (upcoming) return null;
+
+    const latest = await Task.findOne({ seriesId: task.seriesId }).sort({ occurrenceDate: -1 });
+    if (!latest || !latest.isRecurring) return null;
+
+    const [next] = await this.extendSeries(latest, { limit: 1, from: now });
+    return next || null;
+  }
+
+  /**
+   * Create occurrences after the series' latest one, from today on.
+   * `until` (a day, inclusive) or `limit` bounds how many.
+   */
+  async extendSeries(latest, { until = null, limit = MAX_PER_SERIES, from = new Date() } = {}) {
+    const Task = getTask();
+    const template = await this.templateFor(latest);
+    const today = startOfDay(from);
+    const lastDay = until ? startOfDay(until) : null;
+    const created = [];
+
+    let date = latest.occurrenceDate;
+    while (created.length < limit) {
+      date = this.nextOccurrence(latest, date);
+      if (!date || (lastDay && date > lastDay)) break;
+      if (date < today) continue;
+
+      try {
+        created.push(await Task.create(this.buildOccurrence(template, latest, date)));
+      } catch (error) {
+        // Another run already created this occurrence
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    return created;
+  }
+
+  // The occurrence new ones are copied from: the latest one that wasn't edited on its own
+  async templateFor(latest) {
+    if (!latest.isException) return latest;
+
+    const template = await getTask()
+      .findOne({ seriesId: latest.seriesId, isException: false })
+      .sort({ occurrenceDate: -1 });
+    return template || latest;
+  }
+
+  buildOccurrence(template, latest, date) {
+    return {
+      userId: template.userId,
+      title: template.title,
+      description: template.description,
+      priority: template.priority,
+      estimatedDuration: template.estimatedDuration,
+      category: template.category,
+      tags: template.tags,
+      deadline: this.deadlineFor(date, template.deadline),
+      isRecurring: true,
+      recurrencePattern: latest.recurrencePattern,
+      recurrence: latest.recurrence.toObject ? latest.recurrence.toObject() : latest.recurrence,
+      seriesId: latest.seriesId,
+      occurrenceDate: date
+    };
+  }
+
+  // Due on the occurrence's day, at the series' deadline time (end of day if it has none)
+  deadlineFor(day, deadline) {
+    const due = new Date(day);
+    if (deadline) {
+      due.setHours(deadline.getHours(), deadline.getMinutes(), 0, 0);
+    } else {
+      due.setHours(23, 59, 59, 999);
+    }
+    return due;
+  }
+
+  /**
+   * Apply an edit to a task.
+   * scope 'this': only this occurrence (it becomes an exception)
+   * scope 'series': this and every following occurrence - the only way to change the rule
+   * Returns { task, updated } or { error }
+   */
+  async updateTask(task, updates, scope = 'this') {
+    const changes = omit(updates, PROTECTED_FIELDS);
+    const changesRule = RULE_FIELDS.some(field => field in changes);
+
+    let rule = null;
+    if (changesRule) {
+      const parsed = this.parseRule({
+        isRecurring: changes.isRecurring,
+        recurrencePattern: changes.recurrencePattern ?? task.recurrencePattern,
+        recurrence: changes.recurrence ?? task.recurrence?.toObject?.()
+      });
+      if (parsed.error) return { error: parsed.error };
+      rule = parsed.rule;
+    }
+
+    const fields = omit(changes, RULE_FIELDS);
+
+    // Not part of a series yet
+    if (!task.seriesId) {
+      Object.assign(task, fields, rule);
+      if (task.isRecurring) {
+        await this.startSeries(task);
+      } else {
+        await task.save();
+      }
+      return { task, updated: 1 };
+    }
+
+    if (scope !== 'series') {
+      if (changesRule) {
+        return { error: 'Recurrence changes apply to the whole series - use scope=series' };
+      }
+      Object.assign(task, fields);
+      if (SERIES_FIELDS.some(field => field in fields)) task.isException = true;
+      await task.save();
+      return { task, updated: 1 };
+    }
+
+    return this.updateSeries(task, fields, rule);
+  }
+
+  // Edit this occurrence and the ones after it
+  async updateSeries(task, fields, rule) {
+    const Task = getTask();
+    const following = { seriesId: task.seriesId, occurrenceDate: { $gt: task.occurrenceDate } };
+
+    Object.assign(task, fields);
+    if (task.status !== 'cancelled') task.isException = false;
+
+    let updated = 1;
+    const seriesFields = pick(fields, SERIES_FIELDS);
+    if (Object.keys(seriesFields).length > 0) {
+      const result = await Task.updateMany(
+        { ...following, isException: false, status: { $in: OPEN_STATUSES } },
+        { $set: seriesFields }
+      );
+      updated += result.modifiedCount;
+    }
+
+    if (rule) {
+      // Upcoming occurrences were placed by the old rule - drop them and let the new one refill
+      const removed = await Task.deleteMany({ ...following, isException: false, status: { $in: ['pending', 'scheduled'] } });
+
+      if (rule.isRecurring) {
+        rule.recurrence.startDate = task.occurrenceDate;
+      } else {
+        // Stop here: this is the last occurrence
+        rule = {
+          recurrence: { ...task.recurrence.toObject(), endDate: task.occurrenceDate }
+        };
+      }
+
+      Object.assign(task, rule);
+      await Task.updateMany(following, { $set: rule });
+      logger.info(`🔁 Series ${task.seriesId} changed from ${task.occurrenceDate.toDateString()}, ${removed.deletedCount} upcoming occurrence(s) replaced`);
+    }
+
+    await task.save();
+    if (rule) await this.ensureNext(task);
+
+    return { task, updated };
+  }
+
+  /**
+   * Delete a task.
+   * scope 'this' on an occurrence cancels it, so the series doesn't recreate it.
+   * scope 'series' deletes this and the following open occurrences and ends the series.
+   * Returns the number of tasks removed or cancelled.
+   */
+  async deleteTask(task, scope = 'this') {
+    const Task = getTask();
+
+    if (!task.seriesId) {
+      await task.deleteOne();
+      return 1;
+    }
+
+    if (scope !== 'series') {
+      task.status = 'cancelled';
+      task.isException = true;
+      await task.save();
+      return 1;
+    }
+
+    const removed = await Task.deleteMany({
+      seriesId: task.seriesId,
+      $or: [
+        { _id: task._id },
+        { occurrenceDate: { $gt: task.occurrenceDate }, status: { $ne: 'completed' } }
+      ]
+    });
+
+    // What's left (earlier or completed occurrences) must not start it again
+    await Task.updateMany(
+      { seriesId: task.seriesId },
+      { $set: { 'recurrence.endDate': addDays(task.occurrenceDate, -1) } }
+    );
+
+    logger.info(`🔁 Ended series ${task.seriesId} before ${task.occurrenceDate.toDateString()}`);
+    return removed.deletedCount;
+  }
+}
+
+module.exports = new RecurrenceService();
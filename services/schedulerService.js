@@ -1,6 +1,10 @@
 const cron = require('node-cron');
 const Schedule = require('../models/Schedule');
 const ScheduleLog = require('../models/ScheduleLog');
+const scoringEngine = require('./scoringEngine');
+
+const PAGE_SIZE = 100; // Gmail messages.list page size
+const DEFAULT_PER_RUN_BUDGET = 500; // Max emails scanned per run
 
 class SchedulerService {
   constructor() {
@@ -59,14 +63,25 @@ class SchedulerService {
         throw new Error('User not found or not authenticated with Google');
       }
 
-      // ✅ Fetch emails from Gmail
-      const gmailService = require('./gmailService');
-      const emails = await gmailService.getInboxEmails(user.googleTokens, 100);
-      
-      if (!emails || emails.length === 0) {
+      // ✅ Fetch and analyze inbox emails
+      const scan = await this.findCleanupCandidates(schedule, user);
+      const { scanned, candidates: emailsToProcess, progress } = scan;
+
+      // ✅ Dry run: record what would be touched, change nothing
+      if (schedule.dryRun) {
+        console.log(`🧪 Dry run: ${emailsToProcess.length} emails would be ${schedule.action}d`);
+        await this.logExecution(schedule, 0, 'success', null, Date.now() - startTime, {
+          previewEmails: emailsToProcess,
+          progress
+        });
+        await this.updateScheduleAfterRun(schedule, 0, scan);
+        return;
+      }
+
+      if (scanned === 0) {
         console.log('ℹ️ No emails in inbox to process');
-        await this.logExecution(schedule, 0, 'success', null, Date.now() - startTime);
-        await this.updateScheduleAfterRun(schedule, 0);
+        await this.logExecution(schedule, 0, 'success', null, Date.now() - startTime, { progress });
+        await this.updateScheduleAfterRun(schedule, 0, scan);
         
         // ✅ Send notification (no emails found)
         await this.sendNotification(user.email, {
@@ -80,28 +95,10 @@ class SchedulerService {
         return;
       }
 
-      console.log(`📧 Found ${emails.length} emails in inbox`);
-
-      // ✅ Simple rule-based analysis
-      const recommendations = this.analyzeEmailsSimple(emails);
-      
-      console.log(`🤖 Analyzed ${recommendations.length} emails`);
-
-      // ✅ Filter by confidence level
-      let filtered = recommendations;
-      if (schedule.confidenceLevel === 'high') {
-        filtered = recommendations.filter(r => r.confidence >= 80);
-      } else if (schedule.confidenceLevel === 'medium') {
-        filtered = recommendations.filter(r => r.confidence >= 60);
-      }
-
-      // ✅ Filter by action type
-      const emailsToProcess = filtered.filter(r => r.action === schedule.action);
-
       if (emailsToProcess.length === 0) {
         console.log(`ℹ️ No emails match criteria (${schedule.confidenceLevel} confidence, ${schedule.action} action)`);
-        await this.logExecution(schedule, 0, 'success', null, Date.now() - startTime);
-        await this.updateScheduleAfterRun(schedule, 0);
+        await this.logExecution(schedule, 0, 'success', null, Date.now() - startTime, { progress });
+        await this.updateScheduleAfterRun(schedule, 0, scan);
         
         // ✅ Send notification (no matches)
         await this.sendNotification(user.email, {
@@ -115,30 +112,45 @@ class SchedulerService {
         return;
       }
 
-      const emailIds = emailsToProcess.map(r => r.emailId);
-      console.log(`🎯 Processing ${emailIds.length} emails for ${schedule.action}`);
+      // ✅ Thread mode acts on whole conversations
+      const byThread = !!schedule.groupByThread;
+      const ids = emailsToProcess.map(r => (byThread ? r.threadId : r.emailId));
+      console.log(`🎯 Processing ${ids.length} ${byThread ? 'threads' : 'emails'} for ${schedule.action}`);
 
       // ✅ Execute action
+      const gmailService = require('./gmailService');
+      const journal = { userId: user._id, source: 'schedule' };
+      // Archiving keeps the mail, so only deletes free storage
+      let bytesFreed = 0;
+      let processed = ids.length;
       if (schedule.action === 'archive') {
-        await gmailService.archiveEmails(user.googleTokens, emailIds);
-        console.log(`📦 Successfully archived ${emailIds.length} emails`);
+        const result = byThread
+          ? await gmailService.archiveThreads(user.googleTokens, ids, journal)
+          : await gmailService.archiveEmails(user.googleTokens, ids, journal);
+        processed = result.count;
+        console.log(`📦 Successfully archived ${processed} emails`);
       } else if (schedule.action === 'delete') {
-        await gmailService.deleteEmails(user.googleTokens, emailIds);
-        console.log(`🗑️ Successfully deleted ${emailIds.length} emails`);
+        const result = byThread
+          ? await gmailService.deleteThreads(user.googleTokens, ids, journal)
+          : await gmailService.deleteEmails(user.googleTokens, ids, journal);
+        processed = result.count;
+        bytesFreed = result.bytes || 0;
+        console.log(`🗑️ Successfully deleted ${processed} emails (${(bytesFreed / (1024 * 1024)).toFixed(1)} MB)`);
       }
 
       const executionTime = Date.now() - startTime;
 
-      await this.logExecution(schedule, emailIds.length, 'success', null, executionTime);
-      await this.updateScheduleAfterRun(schedule, emailIds.length);
+      await this.logExecution(schedule, processed, 'success', null, executionTime, { progress, bytesFreed });
+      await this.updateScheduleAfterRun(schedule, processed, scan);
 
-      console.log(`✅ Cleanup completed: ${schedule.action}d ${emailIds.length} emails in ${executionTime}ms`);
+      console.log(`✅ Cleanup completed: ${schedule.action}d ${processed} emails in ${executionTime}ms`);
 
       // ✅ ============================================
       // ✅ Send SUCCESS notification
       // ✅ ============================================
       await this.sendNotification(user.email, {
-        emailsProcessed: emailIds.length,
+        emailsProcessed: processed,
+        bytesFreed,
         action: schedule.action,
         executionTime: executionTime,
         nextRun: schedule.nextRun,
@@ -170,150 +182,168 @@ class SchedulerService {
   }
 
   /**
-   * Send email notification
+   * Walk inbox pages from the schedule's saved cursor (up to its per-run budget)
+   * and pick the emails this schedule would act on
+   * (shared by real runs, dry runs and previews).
+   * With groupByThread the pages are conversations and each candidate is a thread.
    */
-  async sendNotification(userEmail, cleanupData) {
-    try {
-      const emailNotificationService = require('./emailNotificationService');
-      await emailNotificationService.sendCleanupNotification(userEmail, cleanupData);
-      console.log(`📧 Notification sent to ${userEmail}`);
-    } catch (error) {
-      console.error('❌ Failed to send notification:', error.message);
-      // Don't throw - notification failure shouldn't break the cleanup
+  async findCleanupCandidates(schedule, user) {
+    const gmailService = require('./gmailService');
+    const budget = schedule.perRunBudget || DEFAULT_PER_RUN_BUDGET;
+    const candidates = [];
+    let pageToken = schedule.pageCursor || null;
+    let resumed = !!pageToken;
+    let scanned = 0;
+    let pages = 0;
+    let inboxEstimate = 0;
+
+    while (scanned < budget) {
+      let page;
+      try {
+        const options = { pageToken, maxResults: Math.min(PAGE_SIZE, budget - scanned) };
+        if (schedule.groupByThread) {
+          const { threads, ...rest } = await gmailService.getInboxThreadsPage(user.googleTokens, { ...options, myAddress: user.email });
+          page = { emails: threads, ...rest };
+        } else {
+          page = await gmailService.getInboxEmailsPage(user.googleTokens, options);
+        }
+      } catch (error) {
+        // Stale cursor - start over from the newest emails
+        if (pageToken && error.code === 400) {
+          console.log('⚠️ Saved inbox cursor rejected, restarting from the top');
+          pageToken = null;
+          resumed = false;
+          continue;
+        }
+        throw error;
+      }
+
+      pages++;
+      scanned += page.emails.length;
+      inboxEstimate = page.resultSizeEstimate || inboxEstimate;
+      pageToken = page.nextPageToken || null;
+
+      // ✅ Simple rule-based analysis + confidence/action filters
+      const recommendations = await this.analyzeEmailsSimple(page.emails, user._id);
+      candidates.push(...this.filterRecommendations(recommendations, schedule));
+
+      if (!pageToken) break;
+    }
+
+    if (scanned > 0) {
+      console.log(`📧 Scanned ${scanned} inbox emails across ${pages} page(s), ${candidates.length} match`);
     }
+
+    const passScanned = (resumed ? (schedule.passScanned || 0) : 0) + scanned;
+
+    return {
+      scanned,
+      candidates,
+      nextCursor: pageToken,
+      progress: {
+        emailsScanned: scanned,
+        pagesScanned: pages,
+        passScanned,
+        inboxEstimate,
+        hasMore: !!pageToken
+      }
+    };
   }
 
   /**
-   * Simple rule-based email analysis
+   * Keep recommendations matching the schedule's confidence level and action
    */
-  analyzeEmailsSimple(emails) {
-    const recommendations = [];
-
-    for (const email of emails) {
-      const { emailId, from, subject, snippet, date, labels = [] } = email;
-      
-      const ageInDays = this.calculateAge(date);
-      const isUnread = labels.includes('UNREAD');
-      const hasUnsubscribe = snippet?.toLowerCase().includes('unsubscribe') || false;
-      const isPromo = this.isPromotional(from, subject, snippet);
-      const isSocial = this.isSocialMedia(from, subject);
-      const isNewsletter = this.isNewsletter(from, subject, snippet);
-      const hasImportantKeywords = this.hasImportantKeywords(subject, snippet);
-      
-      let action = 'keep';
-      let confidence = 50;
-      let category = 'Other';
-      let reason = '';
-      
-      if (hasImportantKeywords) {
-        action = 'keep';
-        confidence = 100;
-        reason = 'Contains important keywords';
-      }
-      else if (isPromo && isUnread && ageInDays >= 30) {
-        action = 'archive';
-        confidence = 90;
-        category = 'Promotional';
-        reason = `Unread promotional email • ${ageInDays} days old`;
-      }
-      else if (isSocial && isUnread && ageInDays >= 7) {
-        action = 'archive';
-        confidence = 85;
-        category = 'Social Media';
-        reason = `Old social media notification • ${ageInDays} days old`;
-      }
-      else if (isNewsletter && isUnread && ageInDays >= 14) {
-        action = 'archive';
-        confidence = 80;
-        category = 'Newsletter';
-        reason = `Unread newsletter • ${ageInDays} days old`;
-      }
-      else if (isUnread && ageInDays >= 60) {
-        action = 'archive';
-        confidence = 75;
-        category = 'Old Email';
-        reason = `Very old unread email • ${ageInDays} days old`;
-      }
-      else if (hasUnsubscribe && ageInDays >= 90 && isUnread) {
-        action = 'delete';
-        confidence = 70;
-        category = 'Promotional';
-        reason = `Very old promotional email • ${ageInDays} days old • Has unsubscribe`;
-      }
-      
-      if (action !== 'keep') {
-        recommendations.push({
-          emailId,
-          from,
-          subject,
-          date,
-          action,
-          confidence,
-          category,
-          reason
-        });
-      }
+  filterRecommendations(recommendations, schedule) {
+    let filtered = recommendations;
+    if (schedule.confidenceLevel === 'high') {
+      filtered = recommendations.filter(r => r.confidence >= 80);
+    } else if (schedule.confidenceLevel === 'medium') {
+      filtered = recommendations.filter(r => r.confidence >= 60);
     }
 
-    return recommendations;
+    return filtered.filter(r => r.action === schedule.action);
   }
 
-  calculateAge(dateString) {
-    try {
-      const emailDate = new Date(dateString);
-      const now = new Date();
-      return Math.floor((now - emailDate) / (1000 * 60 * 60 * 24));
-    } catch (error) {
-      return 0;
+  /**
+   * Preview a schedule: return the emails it would touch without changing anything
+   */
+  async previewCleanup(schedule, user) {
+    if (!user || !user.googleTokens) {
+      throw new Error('User not found or not authenticated with Google');
     }
-  }
-
-  isPromotional(from, subject, snippet) {
-    const text = `${from} ${subject} ${snippet}`.toLowerCase();
-    const promoKeywords = ['sale', 'discount', 'offer', 'deal', 'promotion', 'free', 'limited time', '%off'];
-    return promoKeywords.some(keyword => text.includes(keyword));
-  }
 
-  isSocialMedia(from, subject) {
-    const text = `${from} ${subject}`.toLowerCase();
-    const socialKeywords = ['facebook', 'linkedin', 'twitter', 'instagram', 'notification'];
-    return socialKeywords.some(keyword => text.includes(keyword));
+    const { scanned, candidates, progress } = await this.findCleanupCandidates(schedule, user);
+    return {
+      scanned,
+      progress,
+      action: schedule.action,
+      confidenceLevel: schedule.confidenceLevel,
+      emails: candidates
+    };
   }
 
-  isNewsletter(from, subject, snippet) {
-    const text = `${from} ${subject} ${snippet}`.toLowerCase();
-    const newsletterKeywords = ['newsletter', 'digest', 'weekly', 'monthly', 'unsubscribe'];
-    return newsletterKeywords.some(keyword => text.includes(keyword));
+  /**
+   * Send email notification
+   */
+  async sendNotification(userEmail, cleanupData) {
+    try {
+      const emailNotificationService = require('./emailNotificationService');
+      await emailNotificationService.sendCleanupNotification(userEmail, cleanupData);
+      console.log(`📧 Notification sent to ${userEmail}`);
+    } catch (error) {
+      console.error('❌ Failed to send notification:', error.message);
+      // Don't throw - notification failure shouldn't break the cleanup
+    }
   }
 
-  hasImportantKeywords(subject, snippet) {
-    const text = `${subject} ${snippet}`.toLowerCase();
-    const importantKeywords = [
-      'invoice', 'payment', 'receipt', 'bill', 'charge',
-      'urgent', 'important', 'action required', 'deadline',
-      'legal', 'contract', 'password', 'security', 'verify',
-      'meeting', 'interview', 'appointment'
-    ];
-    return importantKeywords.some(keyword => text.includes(keyword));
+  /**
+   * Rule-based email analysis (shared scoring engine)
+   * Returns only the emails worth cleaning up
+   */
+  async analyzeEmailsSimple(emails, userId) {
+    const verdicts = await scoringEngine.scoreEmails(emails, { userId });
+    // Thread summaries (see gmailService.summarizeThread) keep their thread id
+    const threads = new Map(emails.filter(e => e.threadId).map(e => [e.emailId, e]));
+
+    return verdicts
+      .filter(v => v.action !== 'keep')
+      .map(v => ({
+        emailId: v.emailId,
+        ...(threads.has(v.emailId) && {
+          threadId: threads.get(v.emailId).threadId,
+          messageCount: threads.get(v.emailId).messageCount
+        }),
+        from: v.from,
+        subject: v.subject,
+        date: v.date,
+        action: v.action,
+        confidence: v.confidence,
+        category: v.category,
+        reason: v.reason
+      }));
   }
 
-  async logExecution(schedule, emailsProcessed, status, errorMessage, executionTime) {
+  async logExecution(schedule, emailsProcessed, status, errorMessage, executionTime, { previewEmails = [], progress = null, bytesFreed = 0 } = {}) {
     try {
       await ScheduleLog.create({
         scheduleId: schedule._id,
         userId: schedule.userId._id || schedule.userId,
         emailsProcessed,
+        bytesFreed,
         actionTaken: schedule.action,
         status,
         errorMessage,
-        executionTimeMs: executionTime
+        executionTimeMs: executionTime,
+        dryRun: !!schedule.dryRun,
+        previewEmails,
+        progress
       });
     } catch (error) {
       console.error('❌ Error logging execution:', error);
     }
   }
 
-  async updateScheduleAfterRun(schedule, emailsProcessed) {
+  async updateScheduleAfterRun(schedule, emailsProcessed, scan = null) {
     try {
       const nextRun = this.calculateNextRun(
         schedule.scheduleType,
@@ -327,6 +357,12 @@ class SchedulerService {
       schedule.lastRun = new Date();
       schedule.totalRuns = (schedule.totalRuns || 0) + 1;
       schedule.totalEmailsProcessed = (schedule.totalEmailsProcessed || 0) + emailsProcessed;
+
+      // ✅ Resume from here next run; a finished pass starts over from the top
+      if (scan) {
+        schedule.pageCursor = scan.nextCursor;
+        schedule.passScanned = scan.nextCursor ? scan.progress.passScanned : 0;
+      }
       
       await schedule.save();
 
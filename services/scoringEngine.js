@@ -0,0 +1,199 @@
+const logger = require('../utils/logger');
+const defaultRules = require('./scoringRules');
+
+/**
+ * Scoring engine - the single place that decides keep / archive / delete
+ * for an email. Routes, the scheduler and SmartAIService all call it, so
+ * every entry point gives the same verdict.
+ *
+ * A rule module looks like:
+ *   {
+ *     name: 'myRule',
+ *     prepare: async (emails, context) => {},      // optional, once per batch
+ *     apply: async (email, result, context) => {}  // per email, mutates result
+ *   }
+ */
+class ScoringEngine {
+  constructor() {
+    this.rules = [];
+
+    // Action thresholds (score -> action/confidence)
+    this.thresholds = [
+      { minScore: 120, action: 'delete', confidence: 95 },
+      { minScore: 80, action: 'archive', confidence: 85 },
+      { minScore: 50, action: 'archive', confidence: 70 }
+    ];
+
+    defaultRules.forEach(rule => this.registerRule(rule));
+  }
+
+  /**
+   * Register a rule module (rules run in registration order)
+   */
+  registerRule(rule) {
+    if (!rule || !rule.name || typeof rule.apply !== 'function') {
+      throw new Error('Scoring rule must have a name and an apply() function');
+    }
+    this.rules = this.rules.filter(r => r.name !== rule.name);
+    this.rules.push(rule);
+    return this;
+  }
+
+  /**
+   * Score a single email
+   */
+  async scoreEmail(email, context = {}) {
+    const [verdict] = await this.scoreEmails([email], context);
+    return verdict;
+  }
+
+  /**
+   * Score a batch of emails
+   * context: { userId, senderAnalytics, preferences, safetyRules, importanceKeywords }
+   * (preferences/senderAnalytics are loaded from userId when not passed in)
+   */
+  async scoreEmails(emails, context = {}) {
+    const normalized = emails.map(email => this.normalizeEmail(email));
+    const ctx = { ...context };
+
+    for (const rule of this.rules) {
+      if (typeof rule.prepare === 'function') {
+        try {
+          await rule.prepare(normalized, ctx);
+        } catch (error) {
+          logger.error(`Scoring rule ${rule.name} prepare error:`, error);
+        }
+      }
+    }
+
+    const verdicts = [];
+    for (const email of normalized) {
+      const result = this.createResult(email);
+
+      for (const rule of this.rules) {
+        try {
+          await rule.apply(email, result, ctx);
+        } catch (error) {
+          logger.error(`Scoring rule ${rule.name} error:`, error);
+        }
+      }
+
+      verdicts.push(this.decide(email, result));
+    }
+
+    return verdicts;
+  }
+
+  /**
+   * Accept the different email shapes used across the app
+   * (routes: id/from/labelIds, scheduler: emailId/labels, aiService: sender)
+   */
+  normalizeEmail(email) {
+    const from = email.from || email.sender || '';
+    const subject = email.subject || '';
+    const snippet = email.snippet || '';
+    const body = email.body || '';
+
+    return {
+      id: email.id || email.emailId,
+      from,
+      subject,
+      snippet,
+      body,
+      date: email.date,
+      labels: email.labelIds || email.labels || [],
+      replied: !!email.replied,
+      lower: {
+        from: from.toLowerCase(),
+        subject: subject.toLowerCase(),
+        snippet: snippet.toLowerCase(),
+        body: body.toLowerCase()
+      }
+    };
+  }
+
+  createResult(email) {
+    return {
+      score: 0,
+      category: 'Primary',
+      reasons: [], // [{ code, text }]
+      safety: { is_safe: true },
+      allowDelete: true,
+      senderAnalytics: null,
+      signals: {
+        ageInDays: this.calculateAge(email.date),
+        isUnopened: email.labels.includes('UNREAD'),
+        isStarred: email.labels.includes('STARRED'),
+        replied: email.replied,
+        hasUnsubscribeLink: false,
+        hasImportantKeywords: false,
+        hasLowImportancePatterns: false,
+        isHumanSender: false
+      }
+    };
+  }
+
+  /**
+   * Turn the accumulated score into a verdict
+   */
+  decide(email, result) {
+    let action = 'keep';
+    let confidence = Math.max(20, 100 - result.score);
+
+    if (!result.safety.is_safe) {
+      confidence = 100;
+    } else {
+      const threshold = this.thresholds.find(t => result.score >= t.minScore);
+      if (threshold) {
+        action = threshold.action;
+        confidence = threshold.confidence;
+      }
+    }
+
+    if (action === 'delete' && !result.allowDelete) {
+      action = 'archive';
+      confidence = 85;
+    }
+
+    return {
+      emailId: email.id,
+      from: email.from,
+      subject: email.subject,
+      date: email.date,
+      action,
+      confidence: Math.min(100, Math.max(0, confidence)),
+      score: result.score,
+      category: result.category,
+      reasons: result.reasons,
+      reason: result.reasons.map(r => r.text).join(' • ') || 'No cleanup needed',
+      safety: result.safety,
+      signals: result.signals,
+      senderAnalytics: result.senderAnalytics
+    };
+  }
+
+  /**
+   * Map a numeric confidence (0-100) to the labels used by grouped suggestions
+   */
+  toConfidenceLevel(confidence) {
+    if (confidence >= 95) return 'VERY_HIGH';
+    if (confidence >= 85) return 'HIGH';
+    if (confidence >= 70) return 'MEDIUM';
+    return 'LOW';
+  }
+
+  /**
+   * Map a verdict action to the group action names used by the UI
+   */
+  toGroupAction(action) {
+    return { delete: 'DELETE_ALL', archive: 'ARCHIVE_ALL' }[action] || 'KEEP';
+  }
+
+  calculateAge(dateString) {
+    const emailDate = new Date(dateString);
+    if (!dateString || isNaN(emailDate)) return 0;
+    return Math.floor((Date.now() - emailDate) / (1000 * 60 * 60 * 24));
+  }
+}
+
+module.exports = new ScoringEngine();
@@ -0,0 +1,18 @@
+// Older emails are safer to clean up
+module.exports = {
+  name: 'age',
+
+  apply(email, result) {
+    const { ageInDays, isUnopened } = result.signals;
+
+    if (ageInDays > 90) {
+      result.score += 30;
+      result.reasons.push({ code: 'OLDER_90_DAYS', text: `Email is ${ageInDays} days old` });
+    } else if (ageInDays > 30) {
+      result.score += 20;
+      result.reasons.push(isUnopened
+        ? { code: 'UNOPENED_30_DAYS', text: `Unopened for ${ageInDays}+ days` }
+        : { code: 'OLDER_30_DAYS', text: `Email is ${ageInDays} days old` });
+    }
+  }
+};
@@ -0,0 +1,26 @@
+// Gmail's built-in categorization (most reliable signal)
+const CATEGORY_LABELS = [
+  { label: 'CATEGORY_PROMOTIONS', points: 70, category: 'Promotional', code: 'PROMOTIONAL_CONTENT', text: 'Gmail categorized as promotional' },
+  { label: 'CATEGORY_SOCIAL', points: 60, category: 'Social Media', code: 'SOCIAL_NOTIFICATION', text: 'Social media notification' },
+  { label: 'CATEGORY_UPDATES', points: 50, category: 'Newsletter', code: 'NEWSLETTER_CONTENT', text: 'Newsletter/update email' },
+  { label: 'CATEGORY_FORUMS', points: 45, category: 'Forums', code: 'FORUM_NOTIFICATION', text: 'Forum notification' }
+];
+
+module.exports = {
+  name: 'gmailCategories',
+
+  apply(email, result) {
+    CATEGORY_LABELS.forEach(({ label, points, category, code, text }) => {
+      if (email.labels.includes(label)) {
+        result.score += points;
+        result.category = category;
+        result.reasons.push({ code, text });
+      }
+    });
+
+    if (email.labels.includes('IMPORTANT')) {
+      result.score -= 50;
+      result.reasons.push({ code: 'MARKED_IMPORTANT', text: 'Marked as important' });
+    }
+  }
+};
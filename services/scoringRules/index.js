@@ -0,0 +1,9 @@
+// Built-in scoring rules, in the order the engine runs them.
+// Safety must stay last - it overrides what the other rules decided.
+module.exports = [
+  require('./gmailCategories'),
+  require('./promoKeywords'),
+  require('./senderAnalytics'),
+  require('./age'),
+  require('./safety')
+];
@@ -0,0 +1,82 @@
+// Promotional, social, newsletter and automated-sender keyword rules
+const PROMO_KEYWORDS = [
+  'sale', 'discount', '% off', 'deal', 'offer', 'promo',
+  'free shipping', 'limited time', 'shop now', 'buy now',
+  'exclusive offer', 'save now', 'clearance', 'flash sale',
+  'black friday', 'cyber monday', 'coupon', 'voucher'
+];
+
+const UNSUBSCRIBE_PHRASES = ['unsubscribe', 'opt out', 'manage preferences'];
+
+const SOCIAL_DOMAINS = [
+  'facebook.com', 'facebookmail.com', 'twitter.com', 'x.com',
+  'linkedin.com', 'instagram.com', 'tiktok.com', 'pinterest.com',
+  'reddit.com', 'snapchat.com', 'youtube.com', 'quora.com'
+];
+
+const SOCIAL_PHRASES = [
+  'liked your', 'commented on', 'shared your', 'mentioned you',
+  'tagged you', 'sent you a message', 'friend request', 'connection request',
+  'new follower', 'started following'
+];
+
+const NEWSLETTER_SERVICES = [
+  'substack.com', 'mailchimp', 'sendgrid', 'constantcontact',
+  'campaignmonitor', 'aweber', 'getresponse', 'convertkit',
+  'activecampaign', 'klaviyo', 'sendinblue'
+];
+
+const NEWSLETTER_KEYWORDS = [
+  'newsletter', 'weekly digest', 'daily digest', 'roundup', 'this week in'
+];
+
+// Low importance patterns (signal only, used by SmartAIService grouping)
+const LOW_IMPORTANCE_PATTERNS = [
+  'unsubscribe', 'opt out', 'marketing', 'promotion', 'sale',
+  'discount', 'offer', 'deal', 'free', 'limited time',
+  'newsletter', 'digest', 'update', 'weekly', 'monthly'
+];
+
+module.exports = {
+  name: 'promoKeywords',
+
+  apply(email, result) {
+    const { from, subject, snippet, body } = email.lower;
+    const content = `${subject} ${snippet}`;
+
+    const promoCount = PROMO_KEYWORDS.filter(kw => content.includes(kw)).length;
+    if (promoCount >= 2) {
+      result.score += 50;
+      result.category = result.category === 'Primary' ? 'Promotional' : result.category;
+      result.reasons.push({ code: 'PROMOTIONAL_KEYWORDS', text: `${promoCount} promotional keywords found` });
+    }
+
+    if (UNSUBSCRIBE_PHRASES.some(p => snippet.includes(p) || body.includes(p))) {
+      result.score += 35;
+      result.signals.hasUnsubscribeLink = true;
+      result.reasons.push({ code: 'MARKETING_EMAIL', text: 'Marketing email detected' });
+    }
+
+    if (SOCIAL_DOMAINS.some(d => from.includes(d))) {
+      result.score += 55;
+      result.category = 'Social Media';
+      result.reasons.push({ code: 'SOCIAL_PLATFORM', text: 'Social media platform' });
+    } else if (SOCIAL_PHRASES.some(p => content.includes(p))) {
+      result.score += 40;
+      result.category = result.category === 'Primary' ? 'Social Media' : result.category;
+      result.reasons.push({ code: 'SOCIAL_ACTIVITY', text: 'Social media activity notification' });
+    }
+
+    if (NEWSLETTER_SERVICES.some(s => from.includes(s))) {
+      result.score += 45;
+      result.category = result.category === 'Primary' ? 'Newsletter' : result.category;
+      result.reasons.push({ code: 'NEWSLETTER_SERVICE', text: 'Newsletter service detected' });
+    } else if (NEWSLETTER_KEYWORDS.some(kw => subject.includes(kw))) {
+      result.score += 30;
+      result.category = result.category === 'Primary' ? 'Newsletter' : result.category;
+      result.reasons.push({ code: 'NEWSLETTER_KEYWORDS', text: 'Newsletter detected' });
+    }
+
+    result.signals.hasLowImportancePatterns = LOW_IMPORTANCE_PATTERNS.some(p => content.includes(p));
+  }
+};
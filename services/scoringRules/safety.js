@@ -0,0 +1,130 @@
+// Safety rules - an email that fails any of these is always kept.
+// Runs last so it can override whatever the other rules scored.
+// Per-user overrides come from UserPreferences (safetyRules, importantKeywords, neverArchive).
+const mongoose = require('mongoose');
+const UserPreferences = require('../../models/UserPreferences');
+
+const DEFAULT_SAFETY_RULES = {
+  neverDeleteIfReplied: true,
+  neverDeleteHumanSenders: true,
+  neverDeleteImportantKeywords: true,
+  recentEmailThreshold: 7 // Don't delete emails less than 7 days old
+};
+
+// Importance keywords (never suggest cleanup if present)
+const IMPORTANCE_KEYWORDS = [
+  'invoice', 'payment', 'receipt', 'bill', 'charge', 'transaction',
+  'urgent', 'important', 'action required', 'deadline', 'due',
+  'legal', 'contract', 'agreement', 'terms', 'policy',
+  'confirm', 'verify', 'verification', 'security', 'password', 'account',
+  'meeting', 'schedule', 'appointment', 'interview'
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words and phrases only - 'bill' shouldn't match "billion", 'due' "residue"
+const keywordPattern = (keywords) => {
+  const alternatives = keywords.map(kw => escapeRegex(kw.toLowerCase().trim())).filter(Boolean);
+  return alternatives.length > 0
+    ? new RegExp(`(?:^|[^a-z0-9])(?:${alternatives.join('|')})(?=[^a-z0-9]|$)`)
+    : null;
+};
+
+// "Name <a@b.com>" -> { address: 'a@b.com', domain: 'b.com' } (from is already lower-case)
+const senderOf = (from) => {
+  const address = (from.match(/<([^>]+)>/)?.[1] || from).trim();
+  return { address, domain: address.split('@')[1] || '' };
+};
+
+// never-archive entries are an exact address, or a domain ("b.com" / "@b.com") that also covers its subdomains
+const matchesSender = (entry, { address, domain }) => {
+  const value = entry.trim().replace(/^@/, '');
+  if (!value) return false;
+  if (value.includes('@')) return address === value;
+  return domain === value || domain.endsWith(`.${value}`);
+};
+
+// The user's safety preferences (null for unknown users)
+const loadPreferences = async (userId) => (
+  mongoose.isValidObjectId(userId)
+    ? UserPreferences.findOne({ userId }).lean()
+    : null
+);
+
+const fail = (result, failed_check, reason, code) => {
+  result.safety = { is_safe: false, failed_check, reason };
+  result.reasons.push({ code, text: reason });
+};
+
+module.exports = {
+  name: 'safety',
+  DEFAULT_SAFETY_RULES,
+  IMPORTANCE_KEYWORDS,
+  loadPreferences,
+
+  // Load the user's safety preferences once per batch (callers scoring one
+  // email at a time pass context.preferences instead)
+  async prepare(emails, context) {
+    if (context.preferences !== undefined) return;
+    context.preferences = await loadPreferences(context.userId);
+  },
+
+  apply(email, result, context) {
+    const preferences = context.preferences || {};
+    const rules = {
+      ...DEFAULT_SAFETY_RULES,
+      ...(preferences.safetyRules || {}),
+      ...(context.safetyRules || {})
+    };
+    const keywords = [
+      ...(context.importanceKeywords || IMPORTANCE_KEYWORDS),
+      ...(preferences.importantKeywords || [])
+    ];
+    const neverArchive = (preferences.neverArchive || []).map(s => s.toLowerCase());
+    const { signals } = result;
+
+    const text = `${email.lower.subject} ${email.lower.snippet}`;
+    const pattern = keywordPattern(keywords);
+    signals.hasImportantKeywords = !!pattern && pattern.test(text);
+
+    // Starred: never clean up
+    if (signals.isStarred) {
+      result.score = 0;
+      result.category = 'Primary';
+      result.reasons = [];
+      return fail(result, 'starred', 'Email is starred', 'STARRED_EMAIL');
+    }
+
+    if (rules.neverDeleteIfReplied && signals.replied) {
+      return fail(result, 'replied_to', 'User has replied to this email - HIGH importance', 'REPLIED_TO');
+    }
+
+    if (rules.neverDeleteHumanSenders && signals.isHumanSender) {
+      return fail(result, 'human_sender', 'Email from real person - HIGH importance', 'HUMAN_SENDER');
+    }
+
+    if (rules.neverDeleteImportantKeywords && signals.hasImportantKeywords) {
+      result.category = 'Receipts';
+      return fail(result, 'important_keywords', 'Contains important keywords', 'IMPORTANT_KEYWORDS');
+    }
+
+    if (result.senderAnalytics?.isProtected) {
+      return fail(result, 'protected_sender', 'Sender is marked as VIP/Protected', 'PROTECTED_SENDER');
+    }
+
+    const sender = senderOf(email.lower.from);
+    if (neverArchive.some(entry => matchesSender(entry, sender))) {
+      return fail(result, 'never_archive', 'Sender is on your never-archive list', 'NEVER_ARCHIVE');
+    }
+
+    // Recent emails can still be archived, just not deleted
+    if (signals.ageInDays < rules.recentEmailThreshold) {
+      result.allowDelete = false;
+    }
+
+    result.safety = {
+      is_safe: true,
+      passed_checks: ['starred', 'replied', 'human_sender', 'keywords', 'protected', 'never_archive', 'age']
+    };
+  }
+};
@@ -0,0 +1,58 @@
+// Sender history rules - uses SenderAnalytics when we know who the user is
+const mongoose = require('mongoose');
+const SenderAnalytics = require('../../models/SenderAnalytics');
+
+const AUTOMATED_PATTERNS = ['noreply', 'no-reply', 'donotreply', 'automated', 'bot', 'notification'];
+
+// SenderAnalytics has been keyed both by the raw From header and the bare address
+const senderKeys = (from) => {
+  const full = from.toLowerCase().trim();
+  const match = full.match(/<(.+?)>/);
+  return match ? [full, match[1]] : [full];
+};
+
+const detectHumanSender = (from, analytics) => {
+  if (AUTOMATED_PATTERNS.some(p => from.includes(p))) return false;
+  if (analytics && analytics.category === 'Personal') return true;
+  if (analytics && analytics.replyRate > 0) return true;
+  return false;
+};
+
+module.exports = {
+  name: 'senderAnalytics',
+
+  // Load analytics for every sender in the batch with one query
+  async prepare(emails, context) {
+    if (context.senderAnalytics || context.senderAnalyticsMap) return;
+    if (!mongoose.isValidObjectId(context.userId)) return;
+
+    const keys = [...new Set(emails.flatMap(e => senderKeys(e.from)))];
+    const analytics = await SenderAnalytics.find({
+      userId: context.userId,
+      senderEmail: { $in: keys }
+    });
+
+    context.senderAnalyticsMap = new Map(analytics.map(a => [a.senderEmail, a]));
+  },
+
+  apply(email, result, context) {
+    const analytics = context.senderAnalytics ||
+      senderKeys(email.from).map(k => context.senderAnalyticsMap?.get(k)).find(Boolean) ||
+      null;
+
+    result.senderAnalytics = analytics;
+    result.signals.isHumanSender = detectHumanSender(email.lower.from, analytics);
+
+    if (!analytics) return;
+
+    if (analytics.importanceScore >= 0.7) {
+      result.score -= 30;
+      result.reasons.push({ code: 'ENGAGED_SENDER', text: 'You usually engage with this sender' });
+    }
+
+    if (analytics.totalEmails >= 5 && !analytics.emailsOpened) {
+      result.score += 25;
+      result.reasons.push({ code: 'NEVER_OPENED_SENDER', text: `${analytics.totalEmails} emails from this sender, none opened` });
+    }
+  }
+};
@@ -0,0 +1,191 @@
+const ConnectedAccount = require('../models/ConnectedAccount');
+const Email = require('../models/Email');
+const EmailAction = require('../models/EmailAction');
+const SenderAnalytics = require('../models/SenderAnalytics');
+const SenderBulkAction = require('../models/SenderBulkAction');
+const gmailService = require('./gmailService');
+const jobQueue = require('./jobQueue');
+const logger = require('../utils/logger');
+
+const PAGE_SIZE = 500; // messages.list max
+const MAX_PAGES = 200; // Hard stop (100k messages) per run
+
+// How each action finds and changes messages. "drains" means processed
+// messages drop out of the query, so we always re-read the first page
+// instead of following pageTokens (which shift as we modify).
+const ACTIONS = {
+  archive: { query: 'in:inbox', drains: true, field: 'emailsArchived' },
+  delete: { query: '', drains: true, field: 'emailsDeleted' },
+  mark_read: { query: 'is:unread', drains: true, modify: { removeLabelIds: ['UNREAD'] } },
+  label: { query: '', drains: false }
+};
+
+/**
+ * Sender-level bulk actions - archive / delete / label / mark-read every
+ * message from a sender or domain across the whole mailbox, page by page.
+ * Runs on the job queue ('senders.bulk'); progress lives on the
+ * SenderBulkAction record returned by start().
+ */
+class SenderBulkService {
+  buildQuery({ sender, domain, action }) {
+    // Quoted so the value can never add search operators of its own
+    const from = sender ? `from:"${sender}"` : `from:"@${domain}"`;
+    return [from, ACTIONS[action].query].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Create the run and queue it
+   */
+  async start(user, { sender, domain, action, labelName, accountId = null }) {
+    const run = await SenderBulkAction.create({
+      userId: user._id,
+      accountId,
+      sender: sender || undefined,
+      domain: sender ? undefined : domain,
+      action,
+      labelName,
+      query: this.buildQuery({ sender, domain, action })
+    });
+
+    const job = await jobQueue.enqueue(user._id, 'senders.bulk', { runId: run._id });
+    run.jobId = job._id;
+    await run.save();
+
+    return run;
+  }
+
+  /**
+   * Process a run page by page. Failures are rethrown so the queue can retry -
+   * draining actions carry on where they stopped, label re-applies from the top.
+   */
+  async execute(run, user, ctx = { progress: async () => {} }) {
+    const tokens = await ConnectedAccount.resolveTokens(user, run.accountId);
+    const config = ACTIONS[run.action];
+    const seen = new Set();
+    let pageToken = null;
+
+    run.status = 'running';
+    run.startedAt = run.startedAt || new Date();
+    run.error = undefined;
+    await run.save();
+
+    try {
+      const label = run.action === 'label'
+        ? await gmailService.getOrCreateLabel(tokens, run.labelName)
+        : null;
+
+      while (run.pagesProcessed < MAX_PAGES) {
+        const page = await gmailService.listMessagePage(tokens, {
+          q: run.query,
+          pageToken: config.drains ? null : pageToken,
+          maxResults: PAGE_SIZE
+        });
+
+        if (run.pagesProcessed === 0) {
+          run.totalEstimate = page.resultSizeEstimate;
+        }
+
+        // Ids we've already handled mean Gmail didn't apply the change - stop rather than loop
+        const ids = page.ids.filter(id => !seen.has(id));
+        if (ids.length === 0) break;
+        ids.forEach(id => seen.add(id));
+
+        await this.applyToPage(run, user, tokens, ids, label);
+
+        run.processed += ids.length;
+        run.pagesProcessed += 1;
+        run.totalEstimate = Math.max(run.totalEstimate, run.processed);
+        await run.save();
+
+        await ctx.progress(run.processed, run.totalEstimate, `${run.action} ${run.sender || run.domain}`);
+
+        if (!config.drains) {
+          if (!page.nextPageToken) break;
+          pageToken = page.nextPageToken;
+        }
+      }
+
+      run.status = 'completed';
+      run.completedAt = new Date();
+      await run.save();
+
+      logger.info(`Sender bulk ${run.action} for ${run.sender || run.domain}: ${run.processed} emails`);
+    } catch (error) {
+      logger.error(`Sender bulk action ${run._id} failed:`, error);
+      run.status = 'failed';
+      run.error = error.message;
+      run.completedAt = new Date();
+      await run.save();
+      throw error;
+    }
+
+    return run;
+  }
+
+  async applyToPage(run, user, tokens, ids, label) {
+    switch (run.action) {
+      case 'archive':
+        await gmailService.batchModify(tokens, ids, { removeLabelIds: ['INBOX'] });
+        // Only inbox mail was matched, so INBOX is all there is to restore
+        await this.journal(run, user, 'archive', ids, ['INBOX']);
+        break;
+      case 'delete':
+        await gmailService.deleteEmails(tokens, ids);
+        // Untrash restores the original labels
+        await this.journal(run, user, 'delete', ids, []);
+        break;
+      case 'mark_read':
+        await gmailService.batchModify(tokens, ids, ACTIONS.mark_read.modify);
+        break;
+      case 'label':
+        await gmailService.batchModify(tokens, ids, { addLabelIds: [label.id] });
+        break;
+    }
+
+    await this.recordSenderStats(run, user, ids);
+  }
+
+  // All pages of a run share one undo batch
+  async journal(run, user, action, ids, previousLabels) {
+    const snapshot = Object.fromEntries(ids.map(id => [id, previousLabels]));
+    const { batchId } = await EmailAction.recordBatch(user._id, action, snapshot, {
+      source: 'sender',
+      batchId: run.batchId || undefined,
+      accountId: run.accountId
+    });
+    run.batchId = batchId;
+  }
+
+  /**
+   * Write archived/deleted counts back to SenderAnalytics. Domain runs are
+   * attributed per sender through the Email mirror.
+   */
+  async recordSenderStats(run, user, ids) {
+    const field = ACTIONS[run.action].field;
+    if (!field) return;
+
+    let counts;
+    if (run.sender) {
+      counts = [{ _id: run.sender, count: ids.length }];
+    } else {
+      counts = await Email.aggregate([
+        { $match: { userId: user._id, messageId: { $in: ids } } },
+        { $group: { _id: '$fromEmail', count: { $sum: 1 } } }
+      ]);
+    }
+
+    await Promise.all(counts.filter(c => c._id).map(({ _id: senderEmail, count }) =>
+      SenderAnalytics.updateOne(
+        { userId: user._id, senderEmail },
+        {
+          $inc: { [field]: count },
+          $set: { lastInteractionDate: new Date() },
+          $setOnInsert: { senderDomain: senderEmail.split('@')[1] || senderEmail }
+        },
+        { upsert: true }
+      )
+    ));
+  }
+}
+
+module.exports = new SenderBulkService();
@@ -0,0 +1,188 @@
+const cron = require('node-cron');
+const SnoozedEmail = require('../models/SnoozedEmail');
+const User = require('../models/User');
+const ConnectedAccount = require('../models/ConnectedAccount');
+const gmailService = require('./gmailService');
+const { isReauthError } = require('./gmailClientFactory');
+const { logActivity } = require('../controllers/activityController');
+const logger = require('../utils/logger');
+
+const SNOOZE_CRON = process.env.SNOOZE_CRON || '* * * * *';
+const SNOOZED_LABEL = 'Snoozed';
+const MAX_WAKE_PER_RUN = 200;
+const REAUTH_RETRY_MINUTES = 60; // Mailbox needs reconnecting - check back hourly
+const ERROR_RETRY_MINUTES = 5;
+
+/**
+ * Email snooze - Gmail's own snooze isn't in the API, so a snoozed message
+ * is archived with a "Snoozed" label and a SnoozedEmail record. A cron puts
+ * it back in the inbox, unread, once wakeAt passes. Gmail mailboxes only.
+ */
+class SnoozeService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  start() {
+    console.log('🚀 Starting snooze wake-ups...');
+
+    cron.schedule(SNOOZE_CRON, async () => {
+      if (this.isRunning) {
+        console.log('⏭️ Skipping snooze wake-ups - previous run still going');
+        return;
+      }
+
+      this.isRunning = true;
+      await this.wakeDue();
+      this.isRunning = false;
+    });
+
+    console.log(`✅ Snooze wake-ups started (${SNOOZE_CRON})`);
+  }
+
+  /**
+   * Hide a message until `wakeAt`. Snoozing it again just moves the wake-up time.
+   * Returns the SnoozedEmail, or null if the message doesn't exist.
+   */
+  async snooze(user, tokens, emailId, wakeAt, { accountId = null, req = null } = {}) {
+    const [email] = await gmailService.getEmailsByIds(tokens, [emailId], { format: 'metadata' });
+    if (!email) return null;
+
+    const label = await gmailService.getOrCreateLabel(tokens, SNOOZED_LABEL);
+    await gmailService.batchModify(tokens, [emailId], {
+      addLabelIds: [label.id],
+      removeLabelIds: ['INBOX']
+    });
+
+    const snoozed = await SnoozedEmail.findOneAndUpdate(
+      { userId: user._id, accountId, emailId, status: 'snoozed' },
+      {
+        $set: {
+          threadId: email.threadId,
+          subject: email.subject,
+          from: email.from,
+          labelId: label.id,
+          wakeAt,
+          nextAttemptAt: null
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    await logActivity(
+      user._id,
+      'email_snoozed',
+      `Snoozed "${email.subject || 'No subject'}" until ${wakeAt.toISOString()}`,
+      { emailId, accountId, wakeAt },
+      req
+    );
+
+    logger.info(`Snoozed ${emailId} for user ${user._id} until ${wakeAt.toISOString()}`);
+    return snoozed;
+  }
+
+  /**
+   * Put a snoozed message back in the inbox, unread.
+   * trigger: 'schedule' (wake-up time reached) or 'manual' (unsnoozed early)
+   */
+  async wake(snoozed, tokens, { trigger = 'schedule', req = null } = {}) {
+    await gmailService.batchModify(tokens, [snoozed.emailId], {
+      addLabelIds: ['INBOX', 'UNREAD'],
+      removeLabelIds: snoozed.labelId ? [snoozed.labelId] : []
+    });
+
+    snoozed.status = 'woken';
+    snoozed.wokenAt = new Date();
+    await snoozed.save();
+
+    await logActivity(
+      snoozed.userId,
+      'email_unsnoozed',
+      trigger === 'manual'
+        ? `Unsnoozed "${snoozed.subject || 'No subject'}"`
+        : `"${snoozed.subject || 'No subject'}" is back in your inbox`,
+      { emailId: snoozed.emailId, accountId: snoozed.accountId, trigger },
+      req
+    );
+
+    return snoozed;
+  }
+
+  // Wake everything whose time has come (run by the cron)
+  async wakeDue(now = new Date()) {
+    try {
+      // Records that just failed wait out their retry delay, so one broken
+      // mailbox can't fill every run and starve everyone else
+      const due = await SnoozedEmail.find({
+        status: 'snoozed',
+        wakeAt: { $lte: now },
+        $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }]
+      })
+        .sort({ wakeAt: 1 })
+        .limit(MAX_WAKE_PER_RUN);
+      if (due.length === 0) return 0;
+
+      const users = new Map();
+      let woken = 0;
+
+      const deferred = new Set(); // Mailboxes that need reauthorization
+
+      for (const snoozed of due) {
+        const mailbox = `${snoozed.userId}:${snoozed.accountId || ''}`;
+        if (deferred.has(mailbox)) continue;
+
+        try {
+          const key = snoozed.userId.toString();
+          if (!users.has(key)) users.set(key, await User.findById(snoozed.userId));
+          const user = users.get(key);
+          if (!user) {
+            await this.cancel(snoozed, 'User no longer exists');
+            continue;
+          }
+
+          const tokens = await ConnectedAccount.resolveTokens(user, snoozed.accountId);
+          await this.wake(snoozed, tokens);
+          woken++;
+        } catch (error) {
+          if (error.code === 404 || error.message === 'Connected account not found') {
+            // Message or mailbox is gone - nothing to bring back
+            await this.cancel(snoozed, error.message);
+          } else if (isReauthError(error)) {
+            // Keep the whole mailbox snoozed; it wakes once the user reconnects
+            logger.warn(`Can't wake mail for user ${snoozed.userId}: mailbox needs reauthorization`);
+            deferred.add(mailbox);
+            await SnoozedEmail.updateMany(
+              { userId: snoozed.userId, accountId: snoozed.accountId, status: 'snoozed', wakeAt: { $lte: now } },
+              { nextAttemptAt: new Date(now.getTime() + REAUTH_RETRY_MINUTES * 60 * 1000) }
+            );
+          } else {
+            logger.error(`Failed to wake snoozed email ${snoozed.emailId}:`, error.message);
+            snoozed.nextAttemptAt = new Date(now.getTime() + ERROR_RETRY_MINUTES * 60 * 1000);
+            await snoozed.save();
+          }
+        }
+      }
+
+      if (woken > 0) console.log(`⏰ Woke ${woken} snoozed email(s)`);
+      return woken;
+    } catch (error) {
+      console.error('❌ Snooze wake-up error:', error);
+      return 0;
+    }
+  }
+
+  async cancel(snoozed, reason) {
+    snoozed.status = 'cancelled';
+    snoozed.error = reason;
+    await snoozed.save();
+  }
+
+  // Currently snoozed mail, soonest wake-up first
+  list(userId, { accountId } = {}) {
+    const query = { userId, status: 'snoozed' };
+    if (accountId !== undefined) query.accountId = accountId;
+    return SnoozedEmail.find(query).sort({ wakeAt: 1 }).lean();
+  }
+}
+
+module.exports = new SnoozeService();
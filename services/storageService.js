@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const gmailService = require('./gmailService');
+const logger = require('../utils/logger');
+
+// Exported attachments live here, one folder per user and export.
+// Not served by the /uploads static route - downloads go through /api/storage.
+const ATTACHMENTS_DIR = path.join(__dirname, '../uploads/attachments');
+
+// Export ids are UUIDs - anything else could walk out of the user's folder
+const EXPORT_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const MAX_SCAN = 2000;
+const TOP_N = 20;
+
+// Age buckets for the report, by upper bound in days
+const AGE_BUCKETS = [
+  { label: 'Last month', maxDays: 30 },
+  { label: '1-6 months', maxDays: 182 },
+  { label: '6-12 months', maxDays: 365 },
+  { label: '1-2 years', maxDays: 730 },
+  { label: 'Older than 2 years', maxDays: Infinity }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const senderOf = (from = '') => {
+  const match = from.match(/<([^>]+)>/);
+  return (match ? match[1] : from).trim().toLowerCase() || 'unknown';
+};
+
+// Keep exported file names on disk harmless
+const safeFilename = (name) =>
+  path.basename(name || 'attachment').replace(/[^\w.\- ]+/g, '_').slice(0, 150) || 'attachment';
+
+/**
+ * Storage reclaimer: finds the messages that actually use the user's Gmail
+ * quota (by sizeEstimate), reports what deleting them would free, and can
+ * export their attachments before they go.
+ */
+class StorageService {
+  // Gmail search for the scan
+  buildQuery({ minSizeBytes = 1024 * 1024, olderThanDays = null, attachmentsOnly = false } = {}) {
+    const terms = [`larger:${Math.max(1, Math.round(minSizeBytes / 1024))}K`];
+    if (olderThanDays) terms.push(`older_than:${olderThanDays}d`);
+    if (attachmentsOnly) terms.push('has:attachment');
+    return terms.join(' ');
+  }
+
+  /**
+   * Scan the mailbox for large messages.
+   * Returns { query, scanned, truncated, totalBytes, largest, bySender, byAge, threads }
+   */
+  async scan(tokens, { minSizeBytes, olderThanDays, attachmentsOnly, limit = 500 } = {}) {
+    const maxResults = Math.min(MAX_SCAN, limit);
+    const q = this.buildQuery({ minSizeBytes, olderThanDays, attachmentsOnly });
+
+    // Everything except trash/spam (those are already on their way out)
+    const ids = await gmailService.listMessageIds(tokens, { q, labelIds: null, maxResults });
+    const attachmentIds = attachmentsOnly
+      ? new Set(ids)
+      : new Set(await gmailService.listMessageIds(tokens, { q: `${q} has:attachment`, labelIds: null, maxResults }));
+
+    const messages = await gmailService.getEmailsByIds(tokens, ids, { format: 'metadata' });
+    const emails = messages.map(message => ({
+      id: message.emailId,
+      threadId: message.threadId,
+      from: message.from,
+      sender: senderOf(message.from),
+      subject: message.subject,
+      date: message.internalDate || (message.date ? new Date(message.date) : null),
+      sizeEstimate: message.sizeEstimate || 0,
+      hasAttachments: attachmentIds.has(message.emailId)
+    }));
+
+    logger.info(`Storage scan "${q}": ${emails.length} messages`);
+
+    return {
+      query: q,
+      scanned: emails.length,
+      truncated: ids.length >= maxResults,
+      ...this.summarize(emails)
+    };
+  }
+
+  // Group scanned messages by sender, age and thread
+  summarize(emails, now = Date.now()) {
+    const totalBytes = emails.reduce((sum, email) => sum + email.sizeEstimate, 0);
+
+    const bySender = new Map();
+    const threads = new Map();
+    const byAge = AGE_BUCKETS.map(bucket => ({ label: bucket.label, count: 0, bytes: 0 }));
+
+    for (const email of emails) {
+      const sender = bySender.get(email.sender) || { sender: email.sender, count: 0, bytes: 0, emailIds: [] };
+      sender.count++;
+      sender.bytes += email.sizeEstimate;
+      sender.emailIds.push(email.id);
+      bySender.set(email.sender, sender);
+
+      const ageDays = email.date ? (now - new Date(email.date).getTime()) / DAY_MS : Infinity;
+      const bucket = byAge[AGE_BUCKETS.findIndex(b => ageDays <= b.maxDays)];
+      bucket.count++;
+      bucket.bytes += email.sizeEstimate;
+
+      if (email.hasAttachments) {
+        const thread = threads.get(email.threadId)
+          || { threadId: email.threadId, subject: email.subject, count: 0, bytes: 0, emailIds: [] };
+        thread.count++;
+        thread.bytes += email.sizeEstimate;
+        thread.emailIds.push(email.id);
+        threads.set(email.threadId, thread);
+      }
+    }
+
+    const top = (items) => [...items].sort((a, b) => b.bytes - a.bytes).slice(0, TOP_N);
+
+    return {
+      totalBytes,
+      largest: [...emails].sort((a, b) => b.sizeEstimate - a.sizeEstimate).slice(0, TOP_N),
+      bySender: top(bySender.values()),
+      byAge,
+      threads: top(threads.values())
+    };
+  }
+
+  // ==================== ATTACHMENT EXPORTS ====================
+
+  getExportDir(userId, exportId) {
+    return path.join(ATTACHMENTS_DIR, String(userId), exportId);
+  }
+
+  /**
+   * Save a message's attachments under the export folder.
+   * Returns [{ file, size }]
+   */
+  async exportAttachments(tokens, emailId, dir) {
+    const parts = await gmailService.getAttachmentParts(tokens, emailId);
+    if (parts.length === 0) return [];
+
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const saved = [];
+    for (const [index, part] of parts.entries()) {
+      const content = await gmailService.downloadAttachment(tokens, emailId, part);
+      // Prefix with the message id so same-named files from different emails don't collide
+      const file = `${emailId}_${index}_${safeFilename(part.filename)}`;
+      await fs.promises.writeFile(path.join(dir, file), content);
+      saved.push({ file, size: content.length });
+    }
+    return saved;
+  }
+
+  // Files in one of the user's exports (null if it doesn't exist)
+  async listExport(userId, exportId) {
+    if (!EXPORT_ID.test(exportId)) return null;
+
+    const dir = this.getExportDir(userId, exportId);
+    try {
+      const files = await fs.promises.readdir(dir);
+      return Promise.all(files.map(async (file) => {
+        const stats = await fs.promises.stat(path.join(dir, file));
+        return { file, size: stats.size };
+      }));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Absolute path of one exported file, or null if the name tries to escape the folder
+  resolveExportFile(userId, exportId, file) {
+    if (!EXPORT_ID.test(exportId)) return null;
+
+    const dir = this.getExportDir(userId, exportId);
+    const filePath = path.join(dir, file);
+    return path.dirname(filePath) === dir ? filePath : null;
+  }
+
+  // Delete attachment exports older than `maxAgeDays` (run daily)
+  async cleanupOldExports(maxAgeDays = 7) {
+    const cutoff = Date.now() - maxAgeDays * DAY_MS;
+    let removed = 0;
+
+    const userDirs = await fs.promises.readdir(ATTACHMENTS_DIR).catch(() => []);
+    for (const userDir of userDirs) {
+      const exportDirs = await fs.promises.readdir(path.join(ATTACHMENTS_DIR, userDir)).catch(() => []);
+      for (const exportDir of exportDirs) {
+        const dir = path.join(ATTACHMENTS_DIR, userDir, exportDir);
+        const stats = await fs.promises.stat(dir);
+        if (stats.mtimeMs < cutoff) {
+          await fs.promises.rm(dir, { recursive: true, force: true });
+          removed++;
+        }
+      }
+    }
+
+    if (removed > 0) logger.info(`Deleted ${removed} old attachment exports`);
+    return removed;
+  }
+}
+
+module.exports = new StorageService();
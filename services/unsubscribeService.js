@@ -0,0 +1,254 @@
+const axios = require('axios');
+const Email = require('../models/Email');
+const EmailAction = require('../models/EmailAction');
+const SenderAnalytics = require('../models/SenderAnalytics');
+const gmailService = require('./gmailService');
+const logger = require('../utils/logger');
+const { isPublicHost, publicLookup } = require('../utils/network');
+const { isEmailAddress } = require('../utils/validation');
+
+const ONE_CLICK_TIMEOUT_MS = 10000;
+
+const LINE_BREAK = /[\r\n]/;
+
+/**
+ * Unsubscribe engine - reads List-Unsubscribe / List-Unsubscribe-Post headers
+ * and unsubscribes by RFC 8058 one-click POST, or by sending the mailto
+ * request through the user's Gmail. HTTPS links without one-click support
+ * can't be followed safely, so they're handed back to the user ('manual').
+ */
+class UnsubscribeService {
+  /**
+   * Split a List-Unsubscribe header into its mailto and https targets
+   * e.g. "<mailto:u@list.com?subject=unsub>, <https://list.com/u/123>"
+   */
+  parseListUnsubscribe(header) {
+    const result = { mailto: [], https: [] };
+    if (!header) return result;
+
+    const targets = header.match(/<[^>]+>/g) || [];
+    targets.map(t => t.slice(1, -1).trim()).forEach(target => {
+      if (/^mailto:/i.test(target)) {
+        const mailto = this.parseMailto(target);
+        if (mailto) result.mailto.push(mailto);
+      } else if (/^https:/i.test(target)) {
+        result.https.push(target);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * A mailto target as { to, subject, body }, or null if it's unsafe to send.
+   * The header is sender-controlled, so line breaks (header injection) and
+   * anything but a single recipient are rejected.
+   */
+  parseMailto(target) {
+    const [address, query = ''] = target.slice(7).split('?');
+    const params = new URLSearchParams(query);
+
+    let to;
+    try {
+      to = decodeURIComponent(address).trim();
+    } catch (error) {
+      return null;
+    }
+
+    const mailto = {
+      to,
+      subject: params.get('subject') || 'unsubscribe',
+      body: params.get('body') || 'unsubscribe'
+    };
+
+    // Exactly one bare address - anything else in a mailto "to" is refused
+    if (!isEmailAddress(mailto.to) || Object.values(mailto).some(value => LINE_BREAK.test(value))) {
+      logger.warn(`Ignoring unsafe List-Unsubscribe mailto: ${JSON.stringify(target)}`);
+      return null;
+    }
+    return mailto;
+  }
+
+  isOneClick(listUnsubscribePost) {
+    return /List-Unsubscribe\s*=\s*One-Click/i.test(listUnsubscribePost || '');
+  }
+
+  /**
+   * Unsubscribe using one message's headers
+   * Returns { status, method, url, error }
+   */
+  async unsubscribeFromMessage(tokens, { listUnsubscribe, listUnsubscribePost }) {
+    const { mailto, https } = this.parseListUnsubscribe(listUnsubscribe);
+
+    if (https.length > 0 && this.isOneClick(listUnsubscribePost)) {
+      const url = https[0];
+      try {
+        if (!await this.isPublicHttpsUrl(url)) {
+          throw new Error('Refusing to POST to a non-public address');
+        }
+        await axios.post(url, 'List-Unsubscribe=One-Click', {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: ONE_CLICK_TIMEOUT_MS,
+          maxRedirects: 0,
+          lookup: publicLookup,
+          validateStatus: status => status >= 200 && status < 300
+        });
+        return { status: 'unsubscribed', method: 'one_click', url };
+      } catch (error) {
+        logger.warn(`One-click unsubscribe failed for ${url}: ${error.message}`);
+        // Fall through to mailto if there is one
+        if (mailto.length === 0) {
+          return { status: 'failed', method: 'one_click', url, error: error.message };
+        }
+      }
+    }
+
+    if (mailto.length > 0) {
+      const { to, subject, body } = mailto[0];
+      const sent = await gmailService.sendEmail(tokens, { to, subject, body });
+      return sent.success
+        ? { status: 'unsubscribed', method: 'mailto' }
+        : { status: 'failed', method: 'mailto', error: sent.error };
+    }
+
+    if (https.length > 0) {
+      return { status: 'manual', method: 'link', url: https[0] };
+    }
+
+    return { status: 'unavailable' };
+  }
+
+  /**
+   * Unsubscribe from every sender of the given emails (e.g. a suggestion
+   * group's email_ids) and/or the given sender addresses, in the login
+   * mailbox or the one whose `tokens` are passed.
+   * Returns one result per sender.
+   */
+  async unsubscribe(user, { emailIds = [], senders = [], force = false, tokens = user.googleTokens } = {}) {
+    const bySender = new Map(); // senderEmail -> newest email with headers
+
+    const consider = (email) => {
+      const sender = this.senderAddress(email.from);
+      if (!sender) return;
+      const current = bySender.get(sender);
+      const hasHeader = !!email.listUnsubscribe;
+      if (!current || (hasHeader && !current.listUnsubscribe)) {
+        bySender.set(sender, email);
+      }
+    };
+
+    (await this.getHeaders(user, tokens, emailIds)).forEach(consider);
+
+    for (const sender of senders.map(s => s.toLowerCase().trim())) {
+      if (bySender.get(sender)?.listUnsubscribe) continue;
+      const email = await this.findLatestFromSender(user, tokens, sender);
+      if (email) consider(email);
+      else bySender.set(sender, bySender.get(sender) || { from: sender });
+    }
+
+    const results = [];
+    for (const [sender, email] of bySender) {
+      const existing = await SenderAnalytics.findOne({ userId: user._id, senderEmail: sender }).lean();
+      if (!force && existing?.unsubscribe?.status === 'unsubscribed') {
+        results.push({ sender, status: 'already_unsubscribed', method: existing.unsubscribe.method });
+        continue;
+      }
+
+      let outcome;
+      try {
+        outcome = await this.unsubscribeFromMessage(tokens, email);
+      } catch (error) {
+        outcome = { status: 'failed', error: error.message };
+      }
+
+      await SenderAnalytics.recordUnsubscribe(user._id, sender, outcome);
+      if (outcome.status === 'unsubscribed' && email.emailId) {
+        await EmailAction.create({
+          userId: user._id,
+          emailId: email.emailId,
+          action: 'unsubscribe',
+          metadata: { sender, senderDomain: sender.split('@')[1], subject: email.subject },
+          executed: true,
+          executedAt: new Date(),
+          userApproved: true,
+          source: 'manual'
+        });
+      }
+
+      results.push({ sender, ...outcome });
+    }
+
+    logger.info(`Unsubscribe for user ${user._id}: ${results.filter(r => r.status === 'unsubscribed').length}/${results.length} senders`);
+    return results;
+  }
+
+  /**
+   * Headers for the given messages - from the Email mirror when we have
+   * them, otherwise fetched from Gmail
+   */
+  async getHeaders(user, tokens, emailIds) {
+    if (emailIds.length === 0) return [];
+
+    const mirrored = await Email.find({ userId: user._id, messageId: { $in: emailIds } }).lean();
+    const emails = mirrored.map(e => ({
+      emailId: e.messageId,
+      from: e.from,
+      subject: e.subject,
+      listUnsubscribe: e.listUnsubscribe,
+      listUnsubscribePost: e.listUnsubscribePost
+    }));
+
+    const found = new Set(emails.map(e => e.emailId));
+    const missing = emailIds.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      emails.push(...await gmailService.getEmailsByIds(tokens, missing, { format: 'metadata' }));
+    }
+
+    return emails;
+  }
+
+  async findLatestFromSender(user, tokens, sender) {
+    // The address goes into a Gmail search - never let it carry operators
+    if (!isEmailAddress(sender)) return null;
+
+    const mirrored = await Email.findOne({
+      userId: user._id,
+      fromEmail: sender,
+      listUnsubscribe: { $ne: null }
+    }).sort({ date: -1 }).lean();
+
+    if (mirrored) {
+      return {
+        emailId: mirrored.messageId,
+        from: mirrored.from,
+        subject: mirrored.subject,
+        listUnsubscribe: mirrored.listUnsubscribe,
+        listUnsubscribePost: mirrored.listUnsubscribePost
+      };
+    }
+
+    const ids = await gmailService.listMessageIds(tokens, { q: `from:"${sender}"`, labelIds: null, maxResults: 5 });
+    const emails = await gmailService.getEmailsByIds(tokens, ids, { format: 'metadata' });
+    return emails.find(e => e.listUnsubscribe) || emails[0] || null;
+  }
+
+  senderAddress(from) {
+    const match = (from || '').match(/<(.+?)>/);
+    return (match ? match[1] : from || '').toLowerCase().trim();
+  }
+
+  // Only POST to https hosts that resolve to public addresses (no localhost / private ranges)
+  async isPublicHttpsUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return false;
+    }
+    if (url.protocol !== 'https:') return false;
+
+    return isPublicHost(url.hostname);
+  }
+}
+
+module.exports = new UnsubscribeService();
@@ -0,0 +1,57 @@
+// Local stand-in for the Pub/Sub push sender - posts a Gmail push
+// notification to the webhook so the flow can be tested offline.
+//
+// Usage: node simulate-gmail-push.js <emailAddress> <historyId> [webhookUrl]
+require('dotenv').config();
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const [emailAddress, historyId, webhookUrl] = process.argv.slice(2);
+
+if (!emailAddress || !historyId) {
+  console.log('Usage: node simulate-gmail-push.js <emailAddress> <historyId> [webhookUrl]');
+  process.exit(1);
+}
+
+const url = new URL(webhookUrl || `http://localhost:${process.env.PORT || 5000}/api/webhook/gmail`);
+if (process.env.GMAIL_PUSH_TOKEN && !url.searchParams.has('token')) {
+  url.searchParams.set('token', process.env.GMAIL_PUSH_TOKEN);
+}
+
+// Same envelope Pub/Sub sends to push endpoints
+const payload = JSON.stringify({
+  message: {
+    data: Buffer.from(JSON.stringify({ emailAddress, historyId: Number(historyId) })).toString('base64'),
+    messageId: crypto.randomUUID(),
+    publishTime: new Date().toISOString()
+  },
+  subscription: 'projects/local/subscriptions/gmail-push-simulator'
+});
+
+const client = url.protocol === 'https:' ? https : http;
+const req = client.request(url, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(payload)
+  },
+  timeout: 30000
+}, (res) => {
+  let body = '';
+  res.on('data', chunk => { body += chunk; });
+  res.on('end', () => {
+    console.log(`📬 Push sent for ${emailAddress} (historyId ${historyId}) -> ${res.statusCode}`);
+    if (body) console.log(body);
+    process.exit(res.statusCode < 300 ? 0 : 1);
+  });
+});
+
+req.on('timeout', () => req.destroy(new Error('Request timed out')));
+req.on('error', (error) => {
+  console.error('❌ Push failed:', error.message);
+  process.exit(1);
+});
+
+req.write(payload);
+req.end();
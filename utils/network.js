@@ -0,0 +1,64 @@
+const dns = require('dns');
+const net = require('net');
+
+// Hostnames that never point anywhere public
+const isLocalHostname = (host) =>
+  host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal');
+
+/**
+ * Loopback, private, link-local, CGNAT, multicast and unspecified addresses
+ * (IPv4, IPv6 and IPv4-mapped IPv6)
+ */
+const isPrivateAddress = (address) => {
+  const ip = address.replace(/^\[|\]$/g, '').toLowerCase();
+
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+  if (net.isIPv6(ip)) {
+    return ip === '::' || ip === '::1' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || /^ff/.test(ip);
+  }
+  return false;
+};
+
+/**
+ * Does `host` only resolve to public addresses? Used before the server
+ * connects somewhere a user chose (SSRF guard).
+ */
+const isPublicHost = async (host) => {
+  const name = String(host || '').trim().toLowerCase().replace(/^\[|\]$/g, '');
+  if (!name || isLocalHostname(name)) return false;
+  if (net.isIP(name)) return !isPrivateAddress(name);
+
+  try {
+    const addresses = await dns.promises.lookup(name, { all: true });
+    return addresses.length > 0 && addresses.every(({ address }) => !isPrivateAddress(address));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * dns.lookup replacement for outgoing requests: fails instead of connecting
+ * when the name resolves to a private address, so a DNS answer that changes
+ * after isPublicHost() can't redirect the request
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a non-public address`));
+    }
+    callback(null, addresses);
+  });
+};
+
+module.exports = { isLocalHostname, isPrivateAddress, isPublicHost, publicLookup };
@@ -0,0 +1,130 @@
+// ─────────────────────────────────────────────
+// Field-level encryption for OAuth tokens and app passwords
+//
+// TOKEN_ENCRYPTION_KEY       32-byte key (64 hex chars or base64) new values are encrypted with
+// TOKEN_ENCRYPTION_OLD_KEYS  comma-separated keys that can still decrypt (key rotation)
+//
+// Stored form: enc:v1:<key id>:<iv>:<auth tag>:<ciphertext> (AES-256-GCM, base64 parts).
+// Values without the prefix are legacy plaintext - read as-is until
+// migrate-encrypt-tokens.js rewrites them.
+// ─────────────────────────────────────────────
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+
+let keyring = null;
+let warnedNoKey = false;
+const warnedKeyIds = new Set();
+
+const parseKey = (value) => {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+  if (key.length !== 32) {
+    throw new Error('Token encryption keys must be 32 bytes (64 hex chars or base64)');
+  }
+  return key;
+};
+
+const keyIdOf = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+
+// Read the keys on first use so dotenv has already run
+const getKeyring = () => {
+  if (keyring) return keyring;
+
+  const current = process.env.TOKEN_ENCRYPTION_KEY ? parseKey(process.env.TOKEN_ENCRYPTION_KEY) : null;
+  const old = (process.env.TOKEN_ENCRYPTION_OLD_KEYS || '')
+    .split(',')
+    .filter(value => value.trim())
+    .map(parseKey);
+
+  keyring = {
+    currentId: current ? keyIdOf(current) : null,
+    keys: new Map([current, ...old].filter(Boolean).map(key => [keyIdOf(key), key]))
+  };
+  return keyring;
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+const keyIdOfValue = (value) => (isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null);
+
+/**
+ * Encrypt with the current key. Empty and already-encrypted values pass
+ * through, so this is safe as a Mongoose setter.
+ */
+const encrypt = (value) => {
+  if (value === null || value === undefined || value === '' || isEncrypted(value)) return value;
+
+  const { currentId, keys } = getKeyring();
+  if (!currentId) {
+    if (!warnedNoKey) {
+      logger.warn('TOKEN_ENCRYPTION_KEY is not set - OAuth tokens are stored in plaintext');
+      warnedNoKey = true;
+    }
+    return value;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentId), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return PREFIX + [currentId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+/**
+ * Decrypt a stored value (plaintext passes through). Returns null when the
+ * key is unknown or the value was tampered with - callers then treat the
+ * token as missing and ask the user to reconnect.
+ */
+const decrypt = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [keyId, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    if (!warnedKeyIds.has(keyId)) {
+      logger.error(`No token encryption key with id ${keyId} - add it to TOKEN_ENCRYPTION_OLD_KEYS`);
+      warnedKeyIds.add(keyId);
+    }
+    return null;
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    logger.error(`Failed to decrypt token (key ${keyId}): ${error.message}`);
+    return null;
+  }
+};
+
+// True when a stored value should be rewritten: plaintext, or under an old key
+const needsReencrypt = (value) => {
+  if (value === null || value === undefined || value === '') return false;
+  const { currentId } = getKeyring();
+  if (!currentId) return false;
+  return keyIdOfValue(value) !== currentId;
+};
+
+// Lookup hash for a refresh token (encrypted values can't be queried by equality)
+const hashToken = (value) => {
+  const plain = decrypt(value);
+  return plain ? crypto.createHash('sha256').update(plain).digest('hex') : undefined;
+};
+
+// Mongoose field options for an encrypted string
+const encryptedString = (options = {}) => ({ type: String, set: encrypt, get: decrypt, ...options });
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  needsReencrypt,
+  hashToken,
+  encryptedString
+};
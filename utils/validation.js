@@ -6,4 +6,12 @@ exports.validate = (req, res, next) => {
     return res.status(400).json({ success: false, errors: errors.array() });
   }
   next();
-};
\ No newline at end of file
+};
+
+// A single bare address - no display name, whitespace or list separators
+const EMAIL_ADDRESS = /^[^\s@<>,;:"'()[\]\\]+@[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)+$/i;
+const HOSTNAME = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)+$/i;
+
+exports.isEmailAddress = (value) => typeof value === 'string' && EMAIL_ADDRESS.test(value);
+
+exports.isHostname = (value) => typeof value === 'string' && HOSTNAME.test(value);